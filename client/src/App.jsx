@@ -15,6 +15,9 @@ import Admin from './pages/Admin';
 // Import authentication components
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 
 // Import common components
 import Header from './components/Header';
@@ -23,7 +26,7 @@ import LoadingSpinner from './components/LoadingSpinner';
 import ErrorBoundary from './components/ErrorBoundary';
 
 // Import API services
-import { healthAPI, authAPI, getCurrentUser, setCurrentUser as storeCurrentUser, normalizeUserData } from './services/api';
+import { healthAPI, authAPI, getCurrentUser, setCurrentUser as storeCurrentUser, normalizeUserData, hasPermission } from './services/api';
 
 /**
  * What is the App Component?
@@ -40,6 +43,7 @@ function App() {
   const [currentUser, setCurrentUser] = useState(null);
   const [showLogin, setShowLogin] = useState(false);
   const [showRegister, setShowRegister] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
 
   /**
    * useEffect Hook
@@ -176,6 +180,10 @@ function App() {
    */
   const handleLogout = () => {
     const username = currentUser?.username || 'Unknown';
+    // Revoke the refresh token server-side; the local session is cleared either way
+    authAPI.logout().catch((error) => {
+      console.error('❌ Logout request failed:', error);
+    });
     setCurrentUser(null);
     // Clear user data from session storage using the API service function
     storeCurrentUser(null);
@@ -185,7 +193,7 @@ function App() {
   /**
    * Protected Route Component
    */
-  const ProtectedRoute = ({ children, requiredRole = null }) => {
+  const ProtectedRoute = ({ children, requiredPermission = null }) => {
     // 🔧 FIX: Enhanced authentication check
     if (!currentUser) {
       console.log('🔒 Protected route accessed without authentication, showing login');
@@ -201,8 +209,8 @@ function App() {
       return <Navigate to="/" replace />;
     }
 
-    if (requiredRole && currentUser.role !== requiredRole) {
-      console.log(`🚫 User ${currentUser.username} tried to access ${requiredRole} route but has role: ${currentUser.role}`);
+    if (requiredPermission && !hasPermission(currentUser, requiredPermission)) {
+      console.log(`🚫 User ${currentUser.username} (${currentUser.role}) lacks ${requiredPermission} for this route`);
       return <Navigate to="/dashboard" replace />;
     }
 
@@ -277,6 +285,10 @@ function App() {
                     setShowLogin(false);
                     setShowRegister(true);
                   }}
+                  onForgotPassword={() => {
+                    setShowLogin(false);
+                    setShowForgotPassword(true);
+                  }}
                 />
                 <button 
                   className="auth-modal-close"
@@ -309,6 +321,26 @@ function App() {
             </div>
           )}
 
+          {showForgotPassword && (
+            <div className="auth-modal">
+              <div className="auth-modal-backdrop" onClick={() => setShowForgotPassword(false)} />
+              <div className="auth-modal-content">
+                <ForgotPassword
+                  onSwitchToLogin={() => {
+                    setShowForgotPassword(false);
+                    setShowLogin(true);
+                  }}
+                />
+                <button 
+                  className="auth-modal-close"
+                  onClick={() => setShowForgotPassword(false)}
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Header Navigation */}
           <Header 
             currentUser={currentUser}
@@ -347,12 +379,19 @@ function App() {
               <Route 
                 path="/admin" 
                 element={
-                  <ProtectedRoute requiredRole="admin">
+                  <ProtectedRoute requiredPermission="feedback:read_all">
                     <Admin />
                   </ProtectedRoute>
                 } 
               />
               
+              {/* Links sent by email */}
+              <Route 
+                path="/reset-password" 
+                element={<ResetPassword onSwitchToLogin={() => setShowLogin(true)} />} 
+              />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              
               {/* Redirect any unknown routes to home */}
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
@@ -1,6 +1,7 @@
 /**
  * AI Question Box Component
- * Simple Q&A interface with Gemini AI
+ * Simple Q&A interface with the AI assistant - answers cite the knowledge base
+ * articles they draw on
  */
 
 import React, { useState } from 'react';
@@ -10,6 +11,7 @@ import './Components.css';
 const AIQuestionBox = () => {
   const [question, setQuestion] = useState('');
   const [answer, setAnswer] = useState('');
+  const [citations, setCitations] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -20,10 +22,12 @@ const AIQuestionBox = () => {
     setIsLoading(true);
     setError('');
     setAnswer('');
+    setCitations([]);
 
     try {
       const response = await aiAPI.askQuestion(question);
       setAnswer(response.data.data.answer);
+      setCitations(response.data.data.citations || []);
       
     } catch (err) {
       setError(handleAPIError(err));
@@ -35,6 +39,7 @@ const AIQuestionBox = () => {
   const clearConversation = () => {
     setQuestion('');
     setAnswer('');
+    setCitations([]);
     setError('');
   };
 
@@ -96,6 +101,21 @@ const AIQuestionBox = () => {
               <p key={index}>{line}</p>
             ))}
           </div>
+
+          {citations.length > 0 && (
+            <div className="answer-citations">
+              <h5>Sources</h5>
+              <ol>
+                {citations.map((citation) => (
+                  <li key={citation.number} value={citation.number}>
+                    <span className="citation-source citation-article">Help article</span>
+                    <strong>{citation.title}</strong>
+                    <p>{citation.excerpt}</p>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
         </div>
       )}
     </div>
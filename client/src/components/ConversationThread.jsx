@@ -0,0 +1,103 @@
+/**
+ * Conversation Thread Component
+ * Renders the message thread on a feedback item with an optional reply box
+ */
+
+import React, { useState } from 'react';
+
+// Older feedback only has a single adminResponse string - show it as one message
+const getThreadMessages = (feedback) => {
+  if (feedback.messages && feedback.messages.length > 0) {
+    return feedback.messages;
+  }
+  if (feedback.adminResponse) {
+    return [{
+      id: 'legacy-response',
+      authorName: 'Support Team',
+      authorRole: 'admin',
+      body: feedback.adminResponse,
+      createdAt: feedback.respondedAt
+    }];
+  }
+  return [];
+};
+
+const ConversationThread = ({ feedback, currentUser, viewerIsStaff = false, onReply }) => {
+  const [reply, setReply] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const messages = getThreadMessages(feedback);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    setIsSending(true);
+    try {
+      await onReply(reply.trim());
+      setReply('');
+    } catch (error) {
+      console.error('❌ Failed to send reply:', error);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const getAuthorLabel = (message) => {
+    if (currentUser && message.author === currentUser._id) return 'You';
+    if (message.authorRole === 'user') return message.authorName || 'Customer';
+    // Customers see a team label rather than individual staff roles
+    return viewerIsStaff ? `${message.authorName} (${message.authorRole})` : `${message.authorName || 'Support Team'} · Support`;
+  };
+
+  return (
+    <div className="conversation-thread">
+      <h4>💬 Conversation</h4>
+
+      {messages.length === 0 ? (
+        <p className="thread-empty">No replies yet.</p>
+      ) : (
+        <ul className="thread-messages">
+          {messages.map(message => (
+            <li
+              key={message.id}
+              className={`thread-message ${message.authorRole === 'user' ? 'from-customer' : 'from-staff'} ${message.internal ? 'internal' : ''}`}
+            >
+              <div className="thread-message-header">
+                <strong>{getAuthorLabel(message)}</strong>
+                {message.internal && <span className="internal-badge">🔒 Internal</span>}
+                {message.source === 'email' && <span className="email-badge">✉️ via email</span>}
+                {message.createdAt && (
+                  <small>{new Date(message.createdAt).toLocaleString()}</small>
+                )}
+              </div>
+              <p className="thread-message-body">{message.body}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onReply && (
+        <form onSubmit={handleSubmit} className="thread-reply">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            className="form-textarea"
+            placeholder="Write a reply..."
+            rows="3"
+            disabled={isSending}
+          />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isSending || !reply.trim()}
+          >
+            {isSending ? 'Sending...' : 'Send Reply'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ConversationThread;
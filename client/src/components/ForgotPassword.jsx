@@ -0,0 +1,103 @@
+/**
+ * Forgot Password Component
+ * Requests a password reset link by email
+ */
+
+import React, { useState } from 'react';
+import { authAPI, handleAPIError } from '../services/api';
+
+const ForgotPassword = ({ onSwitchToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setError('Please enter your email address');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.data.message);
+
+    } catch (err) {
+      console.error('❌ Password reset request failed:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h2>Forgot Password</h2>
+          <p>Enter your account email and we'll send you a reset link.</p>
+        </div>
+
+        {message ? (
+          <div className="success-message">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  if (error) setError('');
+                }}
+                className="form-input"
+                placeholder="Enter your email"
+                disabled={isLoading}
+              />
+            </div>
+
+            {error && (
+              <div className="error-message">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-full"
+              disabled={isLoading}
+            >
+              {isLoading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-switch">
+          <p>
+            Remembered it?{' '}
+            <button
+              type="button"
+              className="link-button"
+              onClick={onSwitchToLogin}
+              disabled={isLoading}
+            >
+              Back to Sign In
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
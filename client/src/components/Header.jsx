@@ -5,6 +5,8 @@
 
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { hasPermission } from '../services/api';
+import NotificationBell from './NotificationBell';
 
 /**
  * What makes a good Header component?
@@ -57,8 +59,8 @@ const Header = ({ currentUser, serverStatus, onLogin, onRegister, onLogout }) =>
               </Link>
             )}
             
-            {/* Show Admin only for admin users */}
-            {currentUser && currentUser.role === 'admin' && (
+            {/* Show Admin for staff roles (admin, agent, viewer) */}
+            {currentUser && hasPermission(currentUser, 'feedback:read_all') && (
               <Link 
                 to="/admin" 
                 className={`nav-link ${isActiveLink('/admin') ? 'active' : ''}`}
@@ -70,6 +72,7 @@ const Header = ({ currentUser, serverStatus, onLogin, onRegister, onLogout }) =>
             {/* Authentication Controls */}
             {currentUser ? (
               <div className="user-menu">
+                <NotificationBell key={currentUser._id} currentUser={currentUser} />
                 <div className="user-info">
                   <span className="user-name">Welcome, {currentUser.name}!</span>
                   <span className="user-role">({currentUser.role})</span>
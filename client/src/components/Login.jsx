@@ -6,7 +6,7 @@
 import React, { useState } from 'react';
 import { authAPI, handleAPIError } from '../services/api';
 
-const Login = ({ onLogin, onSwitchToRegister }) => {
+const Login = ({ onLogin, onSwitchToRegister, onForgotPassword }) => {
   const [formData, setFormData] = useState({
     username: '',
     password: ''
@@ -100,6 +100,14 @@ const Login = ({ onLogin, onSwitchToRegister }) => {
               placeholder="Enter your password"
               disabled={isLoading}
             />
+            <button
+              type="button"
+              className="link-button forgot-password-link"
+              onClick={onForgotPassword}
+              disabled={isLoading}
+            >
+              Forgot password?
+            </button>
           </div>
 
           {error && (
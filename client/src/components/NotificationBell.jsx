@@ -0,0 +1,143 @@
+/**
+ * Notification Bell Component
+ * Header bell with unread count and a dropdown of recent notifications
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationAPI, handleAPIError, hasPermission } from '../services/api';
+import { useServerEvents, NOTIFICATION_EVENTS } from '../services/realtime';
+import './Components.css';
+
+const TYPE_ICONS = {
+  response: '💬',
+  message: '✉️',
+  status_changed: '🔄',
+  assigned: '👤',
+  mention: '📣',
+  sla_breached: '🚨'
+};
+
+const NotificationBell = ({ currentUser }) => {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState('');
+  const containerRef = useRef(null);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      setError('');
+      const response = await notificationAPI.getAll({ limit: 20 });
+      setNotifications(response.data.data);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('❌ Error loading notifications:', err);
+      setError(handleAPIError(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
+
+  // New notifications arrive over the live event stream
+  useServerEvents(NOTIFICATION_EVENTS, (type, { notification }) => {
+    setNotifications(prev => [notification, ...prev]);
+    setUnreadCount(prev => prev + 1);
+  });
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleOpen = (notification) => {
+    if (!notification.readAt) {
+      notificationAPI.markRead(notification.id)
+        .then(response => {
+          setNotifications(prev => prev.map(item => (item.id === notification.id ? response.data.data : item)));
+          setUnreadCount(response.data.unreadCount);
+        })
+        .catch(err => console.error('❌ Error marking notification read:', err));
+    }
+
+    setIsOpen(false);
+    if (notification.feedbackId && hasPermission(currentUser, 'feedback:read_all')) {
+      navigate(`/admin?feedback=${notification.feedbackId}`);
+    } else {
+      navigate('/dashboard');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (err) {
+      alert('Failed to mark notifications as read: ' + handleAPIError(err));
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="notification-bell-button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button className="notification-mark-all" onClick={handleMarkAllRead}>Mark all read</button>
+            )}
+          </div>
+
+          {error && <p className="notification-empty">❌ {error}</p>}
+
+          {!error && (notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                  onClick={() => handleOpen(notification)}
+                >
+                  <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                  <div className="notification-body">
+                    <p className="notification-title">{notification.title}</p>
+                    {notification.message && <p className="notification-message">{notification.message}</p>}
+                    <small>{new Date(notification.createdAt).toLocaleString()}</small>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,131 @@
+/**
+ * Reset Password Component
+ * Sets a new password using the token from the emailed reset link
+ */
+
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { authAPI, handleAPIError } from '../services/api';
+
+const ResetPassword = ({ onSwitchToLogin }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const response = await authAPI.resetPassword(token, formData.password);
+      setMessage(response.data.message);
+
+    } catch (err) {
+      console.error('❌ Password reset failed:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <div className="auth-container card">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h2>Choose a New Password</h2>
+            <p>Reset links can only be used once and expire after an hour.</p>
+          </div>
+
+          {!token ? (
+            <div className="error-message">
+              This reset link is missing its token. Please request a new one.
+            </div>
+          ) : message ? (
+            <>
+              <div className="success-message">
+                {message}
+              </div>
+              <button className="btn btn-primary btn-full" onClick={onSwitchToLogin}>
+                Sign In
+              </button>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              <div className="form-group">
+                <label htmlFor="password">New Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className="form-input"
+                  placeholder="At least 6 characters"
+                  disabled={isLoading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm Password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className="form-input"
+                  placeholder="Repeat your new password"
+                  disabled={isLoading}
+                />
+              </div>
+
+              {error && (
+                <div className="error-message">
+                  {error}
+                </div>
+              )}
+
+              <button
+                type="submit"
+                className="btn btn-primary btn-full"
+                disabled={isLoading}
+              >
+                {isLoading ? 'Saving...' : 'Reset Password'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
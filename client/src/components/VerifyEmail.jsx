@@ -0,0 +1,84 @@
+/**
+ * Verify Email Component
+ * Confirms the account email using the token from the emailed link
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI, handleAPIError, getCurrentUser, setCurrentUser } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const hasRequested = useRef(false); // Tokens are single-use; StrictMode runs effects twice
+
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+
+    const verify = async () => {
+      if (!token) {
+        setError('This verification link is missing its token.');
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setMessage(response.data.message);
+
+        // Keep the stored session in sync if the same user is signed in
+        const currentUser = getCurrentUser();
+        if (currentUser && currentUser._id === response.data.data.id) {
+          setCurrentUser({ ...currentUser, emailVerified: true });
+        }
+      } catch (err) {
+        console.error('❌ Email verification failed:', err);
+        setError(handleAPIError(err));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="page-container">
+      <div className="auth-container card">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h2>Email Verification</h2>
+          </div>
+
+          {isLoading && <LoadingSpinner message="Verifying your email..." />}
+
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          {message && (
+            <div className="success-message">
+              ✅ {message}
+            </div>
+          )}
+
+          {!isLoading && (
+            <Link to="/" className="btn btn-primary btn-full">
+              Continue
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
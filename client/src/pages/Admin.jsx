@@ -3,11 +3,25 @@
  * Enhanced admin panel with proper feedback management
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { feedbackAPI, aiAPI, adminAPI, handleAPIError } from '../services/api';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { feedbackAPI, aiAPI, adminAPI, handleAPIError, getCurrentUser, hasPermission } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ConversationThread from '../components/ConversationThread';
+import { useWorkflow, getStatusInfo, getNextStatuses } from '../services/workflow';
+import { useFeedbackEvents, applyFeedbackEvent } from '../services/realtime';
+
+// Render an age in hours as "5h" or "3d 4h"
+const formatAge = (hours) => {
+  if (hours < 24) return `${Math.round(hours)}h`;
+  return `${Math.floor(hours / 24)}d ${Math.round(hours % 24)}h`;
+};
 
 const Admin = () => {
+  const currentUser = getCurrentUser();
+  const can = (permission) => hasPermission(currentUser, permission);
+  const workflow = useWorkflow();
+
   const [feedback, setFeedback] = useState([]);
   const [filteredFeedback, setFilteredFeedback] = useState([]);
   const [selectedFeedback, setSelectedFeedback] = useState(null);
@@ -17,9 +31,17 @@ const Admin = () => {
     status: '',
     category: '',
     priority: '',
-    rating: ''
+    rating: '',
+    sentiment: '',
+    categoryMismatch: ''
   });
   const [dashboardStats, setDashboardStats] = useState(null);
+  const [activeTab, setActiveTab] = useState('feedback');
+  const [queue, setQueue] = useState(''); // '', 'me' or 'unassigned' - filtered server-side
+  const [staff, setStaff] = useState([]);
+  const [clock, setClock] = useState('business'); // 'business' or 'calendar' hours in metrics
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedFeedbackId = searchParams.get('feedback');
 
   // Load all feedback for admin
   const loadAllFeedback = useCallback(async () => {
@@ -29,7 +51,7 @@ const Admin = () => {
       console.log('🔍 Loading all feedback for admin...');
       
       // Use admin-specific API to get all feedback
-      const response = await adminAPI.getAllFeedback();
+      const response = await adminAPI.getAllFeedback(queue ? { assignedTo: queue } : {});
       console.log('📥 Admin feedback response:', response.data);
       
       if (response.data.success) {
@@ -45,6 +67,16 @@ const Admin = () => {
     } finally {
       setIsLoading(false);
     }
+  }, [queue]);
+
+  // Load staff members feedback can be assigned to
+  const loadStaff = useCallback(async () => {
+    try {
+      const response = await adminAPI.getStaff();
+      setStaff(response.data.data);
+    } catch (err) {
+      console.error('❌ Error loading staff:', err);
+    }
   }, []);
 
   // Load dashboard statistics
@@ -76,6 +108,12 @@ const Admin = () => {
     if (filters.rating) {
       filtered = filtered.filter(item => item.rating >= parseInt(filters.rating));
     }
+    if (filters.sentiment) {
+      filtered = filtered.filter(item => item.triage?.sentimentLabel === filters.sentiment);
+    }
+    if (filters.categoryMismatch) {
+      filtered = filtered.filter(item => item.triage?.categoryMismatch);
+    }
 
     setFilteredFeedback(filtered);
   }, [feedback, filters]);
@@ -85,10 +123,42 @@ const Admin = () => {
     loadDashboardStats();
   }, [loadAllFeedback, loadDashboardStats]);
 
+  useEffect(() => {
+    loadStaff();
+  }, [loadStaff]);
+
   useEffect(() => {
     filterFeedback();
   }, [filterFeedback]);
 
+  // Live updates: patch the list in place and refresh stats once a burst of events settles
+  const statsRefreshTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(statsRefreshTimer.current), []);
+
+  useFeedbackEvents((type, changed) => {
+    let item = changed;
+    if (type !== 'feedback.deleted' && typeof changed.assignedTo === 'string') {
+      // Only the assign endpoint sends a populated assignee - fill it in from the staff list
+      const member = staff.find(m => m.id === changed.assignedTo);
+      item = { ...changed, assignedTo: member ? { _id: member.id, name: member.name, username: member.username } : null };
+    }
+
+    const assigneeId = item.assignedTo?._id;
+    const leftQueue = (queue === 'me' && assigneeId !== currentUser?._id) || (queue === 'unassigned' && assigneeId);
+
+    setFeedback(prev => (leftQueue
+      ? prev.filter(existing => existing.id !== item.id)
+      : applyFeedbackEvent(prev, type, item)));
+    setSelectedFeedback(prev => {
+      if (!prev || prev.id !== item.id) return prev;
+      return type === 'feedback.deleted' ? null : { ...prev, ...item };
+    });
+
+    clearTimeout(statsRefreshTimer.current);
+    statsRefreshTimer.current = setTimeout(loadDashboardStats, 1000);
+  });
+
   const handleFilterChange = (name, value) => {
     setFilters(prev => ({
       ...prev,
@@ -107,6 +177,16 @@ const Admin = () => {
     }
   };
 
+  const retriageFeedback = async (feedbackId) => {
+    try {
+      const response = await aiAPI.triage(feedbackId);
+      const { triage } = response.data.data;
+      setSelectedFeedback(prev => (prev?.id === feedbackId ? { ...prev, triage } : prev));
+    } catch (err) {
+      alert('Failed to triage feedback: ' + handleAPIError(err));
+    }
+  };
+
   const updateFeedbackStatus = async (feedbackId, status, adminResponse = '') => {
     try {
       if (adminResponse && adminResponse.trim()) {
@@ -127,6 +207,54 @@ const Admin = () => {
     }
   };
 
+  // Deep link from a notification: /admin?feedback=<id>
+  useEffect(() => {
+    if (!linkedFeedbackId) return;
+
+    feedbackAPI.getById(linkedFeedbackId)
+      .then(response => setSelectedFeedback(response.data.data))
+      .catch(err => alert('Failed to load feedback: ' + handleAPIError(err)));
+    setSearchParams({}, { replace: true });
+  }, [linkedFeedbackId, setSearchParams]);
+
+  // Open an item that may not be in the current (filtered) list
+  const selectFeedbackById = async (feedbackId) => {
+    const loaded = feedback.find(item => item.id === feedbackId);
+    if (loaded) {
+      setSelectedFeedback(loaded);
+      return;
+    }
+    try {
+      const response = await feedbackAPI.getById(feedbackId);
+      setSelectedFeedback(response.data.data);
+    } catch (err) {
+      alert('Failed to load feedback: ' + handleAPIError(err));
+    }
+  };
+
+  const assignFeedback = async (feedbackId, assigneeId) => {
+    try {
+      const response = await adminAPI.assignFeedback(feedbackId, assigneeId);
+      setSelectedFeedback(response.data.data);
+      loadAllFeedback();
+      loadDashboardStats();
+    } catch (err) {
+      alert('Failed to assign feedback: ' + handleAPIError(err));
+    }
+  };
+
+  const addMessage = async (feedbackId, body, internal) => {
+    try {
+      const response = await adminAPI.addMessage(feedbackId, body, internal);
+      setSelectedFeedback(response.data.data);
+      loadAllFeedback();
+      loadDashboardStats();
+    } catch (err) {
+      alert('Failed to send message: ' + handleAPIError(err));
+      throw err;
+    }
+  };
+
   const updatePriority = async (feedbackId, priority) => {
     try {
       await adminAPI.updatePriority(feedbackId, priority);
@@ -149,177 +277,474 @@ const Admin = () => {
     <div className="page-container">
       <div className="page-header">
         <h1 className="page-title">🛠️ Admin Dashboard</h1>
-        <p className="page-subtitle">Manage all customer feedback and responses</p>
+        <p className="page-subtitle">
+          {can('feedback:respond')
+            ? 'Manage all customer feedback and responses'
+            : 'Read-only view of customer feedback and analytics'}
+        </p>
       </div>
 
-      {/* Dashboard Statistics */}
-      {dashboardStats && (
-        <div className="dashboard-stats">
-          <div className="stats-grid">
-            <div className="stat-card">
-              <h3>{dashboardStats.stats.total}</h3>
-              <p>Total Feedback</p>
-            </div>
-            <div className="stat-card pending">
-              <h3>{dashboardStats.stats.pending}</h3>
-              <p>Pending</p>
-            </div>
-            <div className="stat-card responded">
-              <h3>{dashboardStats.stats.responded}</h3>
-              <p>Responded</p>
-            </div>
-            <div className="stat-card resolved">
-              <h3>{dashboardStats.stats.resolved}</h3>
-              <p>Resolved</p>
-            </div>
-            <div className="stat-card">
-              <h3>{dashboardStats.stats.avgRating?.toFixed(1) || 0}</h3>
-              <p>Avg Rating</p>
-            </div>
-          </div>
+      {/* Section Tabs */}
+      {(can('users:manage') || can('mail:read') || can('jobs:manage') || can('kb:manage') || can('webhooks:manage') || can('api_keys:manage')) && (
+        <div className="admin-tabs">
+          <button
+            className={`admin-tab ${activeTab === 'feedback' ? 'active' : ''}`}
+            onClick={() => setActiveTab('feedback')}
+          >
+            📋 Feedback
+          </button>
+          {can('users:manage') && (
+            <button
+              className={`admin-tab ${activeTab === 'users' ? 'active' : ''}`}
+              onClick={() => setActiveTab('users')}
+            >
+              👥 Users
+            </button>
+          )}
+          {can('mail:read') && (
+            <button
+              className={`admin-tab ${activeTab === 'mail' ? 'active' : ''}`}
+              onClick={() => setActiveTab('mail')}
+            >
+              📨 Mail Log
+            </button>
+          )}
+          {can('jobs:manage') && (
+            <button
+              className={`admin-tab ${activeTab === 'jobs' ? 'active' : ''}`}
+              onClick={() => setActiveTab('jobs')}
+            >
+              🧰 Jobs
+            </button>
+          )}
+          {can('kb:manage') && (
+            <button
+              className={`admin-tab ${activeTab === 'kb' ? 'active' : ''}`}
+              onClick={() => setActiveTab('kb')}
+            >
+              📚 Knowledge Base
+            </button>
+          )}
+          {(can('webhooks:manage') || can('api_keys:manage')) && (
+            <button
+              className={`admin-tab ${activeTab === 'integrations' ? 'active' : ''}`}
+              onClick={() => setActiveTab('integrations')}
+            >
+              🔌 Integrations
+            </button>
+          )}
         </div>
       )}
 
-      <div className="admin-layout">
-        {/* Error Message */}
-        {error && (
-          <div className="error-message">
-            <p>❌ {error}</p>
-            <button className="btn btn-outline" onClick={loadAllFeedback}>
-              Try Again
-            </button>
-          </div>
-        )}
+      {activeTab === 'users' && can('users:manage') ? (
+        <UserManagementPanel currentUser={currentUser} />
+      ) : activeTab === 'mail' && can('mail:read') ? (
+        <MailLogPanel onSelectFeedback={(feedbackId) => {
+          setActiveTab('feedback');
+          selectFeedbackById(feedbackId);
+        }} />
+      ) : activeTab === 'jobs' && can('jobs:manage') ? (
+        <JobsPanel onSelectFeedback={(feedbackId) => {
+          setActiveTab('feedback');
+          selectFeedbackById(feedbackId);
+        }} />
+      ) : activeTab === 'kb' && can('kb:manage') ? (
+        <KnowledgeBasePanel onSelectFeedback={(feedbackId) => {
+          setActiveTab('feedback');
+          selectFeedbackById(feedbackId);
+        }} />
+      ) : activeTab === 'integrations' && (can('webhooks:manage') || can('api_keys:manage')) ? (
+        <>
+          {can('api_keys:manage') && (
+            <>
+              <ApiKeysPanel />
+              <WidgetSitesPanel />
+            </>
+          )}
+          {can('webhooks:manage') && (
+            <>
+              <ChatNotificationsPanel />
+              <WebhooksPanel />
+            </>
+          )}
+        </>
+      ) : (
+        <>
+          {/* Dashboard Statistics */}
+          {dashboardStats && (
+            <div className="dashboard-stats">
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <h3>{dashboardStats.stats.total}</h3>
+                  <p>Total Feedback</p>
+                </div>
+                <div className="stat-card pending">
+                  <h3>{dashboardStats.stats.pending}</h3>
+                  <p>Pending</p>
+                </div>
+                <div className="stat-card responded">
+                  <h3>{dashboardStats.stats.responded}</h3>
+                  <p>Responded</p>
+                </div>
+                <div className="stat-card resolved">
+                  <h3>{dashboardStats.stats.resolved}</h3>
+                  <p>Resolved</p>
+                </div>
+                <div className="stat-card">
+                  <h3>{dashboardStats.stats.avgRating?.toFixed(1) || 0}</h3>
+                  <p>Avg Rating</p>
+                </div>
+              </div>
 
-        {/* Feedback List with Filters */}
-        <div className="feedback-sidebar">
-          <div className="sidebar-header">
-            <h3>All Feedback ({filteredFeedback.length})</h3>
-            
-            {/* Filters */}
-            <div className="admin-filters">
-              <select
-                value={filters.status}
-                onChange={(e) => handleFilterChange('status', e.target.value)}
-                className="form-select"
-              >
-                <option value="">All Statuses</option>
-                <option value="pending">Pending</option>
-                <option value="responded">Responded</option>
-                <option value="resolved">Resolved</option>
-              </select>
+              {/* Count per workflow status */}
+              {workflow && dashboardStats.byStatus && (
+                <div className="status-breakdown">
+                  {workflow.statuses.map(status => (
+                    <button
+                      key={status.value}
+                      className={`status-badge status-${status.value}`}
+                      onClick={() => handleFilterChange('status', status.value)}
+                    >
+                      {status.icon} {status.label}: {dashboardStats.byStatus[status.value] || 0}
+                    </button>
+                  ))}
+                </div>
+              )}
 
-              <select
-                value={filters.category}
-                onChange={(e) => handleFilterChange('category', e.target.value)}
-                className="form-select"
-              >
-                <option value="">All Categories</option>
-                <option value="general">General</option>
-                <option value="product">Product</option>
-                <option value="service">Service</option>
-                <option value="technical">Technical</option>
-                <option value="billing">Billing</option>
-                <option value="suggestion">Suggestion</option>
-              </select>
+              {/* SLA health */}
+              {dashboardStats.sla && (
+                <SlaOverview sla={dashboardStats.sla} onSelect={selectFeedbackById} />
+              )}
 
-              <select
-                value={filters.priority}
-                onChange={(e) => handleFilterChange('priority', e.target.value)}
-                className="form-select"
-              >
-                <option value="">All Priorities</option>
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-                <option value="urgent">Urgent</option>
-              </select>
+              {/* Average response/resolution times */}
+              {dashboardStats.responseTimes && (
+                <ResponseTimes responseTimes={dashboardStats.responseTimes} clock={clock} onClockChange={setClock} />
+              )}
 
-              <select
-                value={filters.rating}
-                onChange={(e) => handleFilterChange('rating', e.target.value)}
-                className="form-select"
-              >
-                <option value="">All Ratings</option>
-                <option value="5">5 Stars</option>
-                <option value="4">4+ Stars</option>
-                <option value="3">3+ Stars</option>
-                <option value="2">2+ Stars</option>
-                <option value="1">1+ Stars</option>
-              </select>
+              {/* Workload per assignee */}
+              {dashboardStats.workload?.length > 0 && (
+                <div className="workload card">
+                  <h3>👥 Team Workload</h3>
+                  <table className="user-table">
+                    <thead>
+                      <tr>
+                        <th>Assignee</th>
+                        <th>Open</th>
+                        <th>Awaiting Staff</th>
+                        <th>High/Urgent</th>
+                        <th>Oldest Pending ({clock === 'business' ? 'business' : 'calendar'} hrs)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {dashboardStats.workload.map(row => (
+                        <tr key={row.assigneeId || 'unassigned'}>
+                          <td>{row.name}</td>
+                          <td>{row.openCount}</td>
+                          <td>{row.pendingCount}</td>
+                          <td>{row.urgentCount}</td>
+                          <td>
+                            {row.oldestPendingAt
+                              ? formatAge(clock === 'business' ? row.oldestPendingAgeBusinessHours : row.oldestPendingAgeHours)
+                              : '—'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
-          </div>
+          )}
+
+          <div className="admin-layout">
+            {/* Error Message */}
+            {error && (
+              <div className="error-message">
+                <p>❌ {error}</p>
+                <button className="btn btn-outline" onClick={loadAllFeedback}>
+                  Try Again
+                </button>
+              </div>
+            )}
+
+            {/* Feedback List with Filters */}
+            <div className="feedback-sidebar">
+              <div className="sidebar-header">
+                <h3>All Feedback ({filteredFeedback.length})</h3>
+            
+                {/* Filters */}
+                <div className="admin-filters">
+                  <select
+                    value={queue}
+                    onChange={(e) => setQueue(e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">Everyone's Feedback</option>
+                    <option value="me">📥 My Queue</option>
+                    <option value="unassigned">Unassigned</option>
+                  </select>
+
+                  <select
+                    value={filters.status}
+                    onChange={(e) => handleFilterChange('status', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">All Statuses</option>
+                    {workflow?.statuses.map(status => (
+                      <option key={status.value} value={status.value}>
+                        {status.label}
+                      </option>
+                    ))}
+                  </select>
+
+                  <select
+                    value={filters.category}
+                    onChange={(e) => handleFilterChange('category', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">All Categories</option>
+                    <option value="general">General</option>
+                    <option value="product">Product</option>
+                    <option value="service">Service</option>
+                    <option value="technical">Technical</option>
+                    <option value="billing">Billing</option>
+                    <option value="suggestion">Suggestion</option>
+                  </select>
+
+                  <select
+                    value={filters.priority}
+                    onChange={(e) => handleFilterChange('priority', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">All Priorities</option>
+                    <option value="low">Low</option>
+                    <option value="medium">Medium</option>
+                    <option value="high">High</option>
+                    <option value="urgent">Urgent</option>
+                  </select>
+
+                  <select
+                    value={filters.rating}
+                    onChange={(e) => handleFilterChange('rating', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">All Ratings</option>
+                    <option value="5">5 Stars</option>
+                    <option value="4">4+ Stars</option>
+                    <option value="3">3+ Stars</option>
+                    <option value="2">2+ Stars</option>
+                    <option value="1">1+ Stars</option>
+                  </select>
+
+                  <select
+                    value={filters.sentiment}
+                    onChange={(e) => handleFilterChange('sentiment', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">All Sentiment</option>
+                    <option value="positive">🙂 Positive</option>
+                    <option value="neutral">😐 Neutral</option>
+                    <option value="negative">🙁 Negative</option>
+                  </select>
+
+                  <select
+                    value={filters.categoryMismatch}
+                    onChange={(e) => handleFilterChange('categoryMismatch', e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">Any Category Fit</option>
+                    <option value="true">⚠️ Category Mismatch</option>
+                  </select>
+                </div>
+              </div>
           
-          <div className="feedback-list">
-            {filteredFeedback.length === 0 ? (
-              <p>No feedback matches the selected filters</p>
-            ) : (
-              filteredFeedback.map(item => (
-                <div
-                  key={item.id}
-                  className={`feedback-summary ${selectedFeedback?.id === item.id ? 'active' : ''}`}
-                  onClick={() => setSelectedFeedback(item)}
-                >
-                  <div className="feedback-header">
-                    <h4>{item.subject}</h4>
-                    <span className={`priority-badge priority-${item.priority}`}>
-                      {item.priority}
-                    </span>
-                  </div>
-                  <p className="customer-name">{item.customerName}</p>
-                  <div className="feedback-meta">
-                    <span className={`status-badge status-${item.status}`}>
-                      {item.status}
-                    </span>
-                    <div className="rating-stars">
-                      {Array.from({ length: 5 }, (_, i) => (
-                        <span key={i} className={`star ${i < item.rating ? '' : 'empty'}`}>★</span>
-                      ))}
+              <div className="feedback-list">
+                {filteredFeedback.length === 0 ? (
+                  <p>No feedback matches the selected filters</p>
+                ) : (
+                  filteredFeedback.map(item => (
+                    <div
+                      key={item.id}
+                      className={`feedback-summary ${selectedFeedback?.id === item.id ? 'active' : ''}`}
+                      onClick={() => setSelectedFeedback(item)}
+                    >
+                      <div className="feedback-header">
+                        <h4>{item.subject}</h4>
+                        <span className={`priority-badge priority-${item.priority}`}>
+                          {item.priority}
+                        </span>
+                      </div>
+                      <p className="customer-name">{item.customerName}</p>
+                      <p className="assignee-name">
+                        {item.assignedTo ? `👤 ${item.assignedTo.name}` : 'Unassigned'}
+                      </p>
+                      <div className="feedback-meta">
+                        <span className={`status-badge status-${item.status}`}>
+                          {getStatusInfo(workflow, item.status).label}
+                        </span>
+                        <div className="rating-stars">
+                          {Array.from({ length: 5 }, (_, i) => (
+                            <span key={i} className={`star ${i < item.rating ? '' : 'empty'}`}>★</span>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="feedback-date">
+                        {new Date(item.createdAt).toLocaleDateString()}
+                      </div>
                     </div>
-                  </div>
-                  <div className="feedback-date">
-                    {new Date(item.createdAt).toLocaleDateString()}
+                  ))
+                )}
+              </div>
+            </div>
+
+            {/* Feedback Details */}
+            <div className="feedback-details">
+              {selectedFeedback ? (
+                <FeedbackDetailPanel 
+                  key={selectedFeedback.id}
+                  feedback={selectedFeedback}
+                  workflow={workflow}
+                  currentUser={currentUser}
+                  can={can}
+                  staff={staff}
+                  onAssign={assignFeedback}
+                  onAddMessage={addMessage}
+                  onGenerateAI={generateAIResponse}
+                  onRetriage={retriageFeedback}
+                  onUpdateStatus={updateFeedbackStatus}
+                  onUpdatePriority={updatePriority}
+                />
+              ) : (
+                <div className="no-selection">
+                  <h3>👈 Select feedback to manage</h3>
+                  <p>Choose a feedback item from the left to view details, generate AI responses, and send replies.</p>
+                  <div className="admin-help">
+                    <h4>Admin Functions:</h4>
+                    <ul>
+                      <li>📧 Send personalized responses to customers</li>
+                      <li>🤖 Generate AI-powered response suggestions</li>
+                      <li>📝 Mark feedback as responded or resolved</li>
+                      <li>⚡ Set priority levels for feedback</li>
+                      <li>🔍 Filter feedback by status, category, and more</li>
+                    </ul>
                   </div>
                 </div>
-              ))
-            )}
+              )}
+            </div>
           </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// SLA breach counts with at-risk and breached lists
+const SlaOverview = ({ sla, onSelect }) => {
+  const renderList = (items, dueLabel) => (
+    <ul className="sla-list">
+      {items.map(item => {
+        const dueAt = !item.firstResponseAt && item.firstResponseDueAt ? item.firstResponseDueAt : item.resolutionDueAt;
+        return (
+          <li key={item.id} onClick={() => onSelect(item.id)}>
+            <span className={`priority-badge priority-${item.priority}`}>{item.priority}</span>
+            <span className="sla-subject">{item.subject}</span>
+            <small>{dueLabel} {new Date(dueAt).toLocaleString()}</small>
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  return (
+    <div className="sla-overview card">
+      <h3>⏱️ SLA Health</h3>
+      <div className="stats-grid">
+        <div className="stat-card sla-breached">
+          <h3>{sla.firstResponseBreached}</h3>
+          <p>First Response Breached</p>
+        </div>
+        <div className="stat-card sla-breached">
+          <h3>{sla.resolutionBreached}</h3>
+          <p>Resolution Breached</p>
         </div>
+        <div className="stat-card sla-at-risk">
+          <h3>{sla.atRisk.length}</h3>
+          <p>At Risk</p>
+        </div>
+      </div>
 
-        {/* Feedback Details */}
-        <div className="feedback-details">
-          {selectedFeedback ? (
-            <FeedbackDetailPanel 
-              feedback={selectedFeedback}
-              onGenerateAI={generateAIResponse}
-              onUpdateStatus={updateFeedbackStatus}
-              onUpdatePriority={updatePriority}
-            />
-          ) : (
-            <div className="no-selection">
-              <h3>👈 Select feedback to manage</h3>
-              <p>Choose a feedback item from the left to view details, generate AI responses, and send replies.</p>
-              <div className="admin-help">
-                <h4>Admin Functions:</h4>
-                <ul>
-                  <li>📧 Send personalized responses to customers</li>
-                  <li>🤖 Generate AI-powered response suggestions</li>
-                  <li>📝 Mark feedback as responded or resolved</li>
-                  <li>⚡ Set priority levels for feedback</li>
-                  <li>🔍 Filter feedback by status, category, and more</li>
-                </ul>
-              </div>
-            </div>
-          )}
+      <div className="sla-lists">
+        <div>
+          <h4>⚠️ At Risk</h4>
+          {sla.atRisk.length > 0 ? renderList(sla.atRisk, 'due') : <p className="thread-empty">Nothing at risk.</p>}
+        </div>
+        <div>
+          <h4>🚨 Breached</h4>
+          {sla.breached.length > 0 ? renderList(sla.breached, 'was due') : <p className="thread-empty">No open breaches.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Average first-response and resolution times, switchable between business and calendar hours
+const ResponseTimes = ({ responseTimes, clock, onClockChange }) => {
+  const { firstResponse, resolution, businessHours } = responseTimes;
+  const hoursKey = clock === 'business' ? 'businessHours' : 'calendarHours';
+  const renderHours = (metric) => (metric[hoursKey] != null ? formatAge(metric[hoursKey]) : '—');
+
+  return (
+    <div className="response-times card">
+      <div className="response-times-header">
+        <h3>⏳ Response Times</h3>
+        <div className="clock-toggle">
+          <button
+            className={`btn btn-small ${clock === 'business' ? 'btn-primary' : 'btn-outline'}`}
+            onClick={() => onClockChange('business')}
+          >
+            Business hours
+          </button>
+          <button
+            className={`btn btn-small ${clock === 'calendar' ? 'btn-primary' : 'btn-outline'}`}
+            onClick={() => onClockChange('calendar')}
+          >
+            Calendar hours
+          </button>
+        </div>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>{renderHours(firstResponse)}</h3>
+          <p>Avg First Response ({firstResponse.count})</p>
+        </div>
+        <div className="stat-card">
+          <h3>{renderHours(resolution)}</h3>
+          <p>Avg Resolution ({resolution.count})</p>
         </div>
       </div>
+
+      {clock === 'business' && businessHours && (
+        <small className="response-times-calendar">
+          {businessHours.workdays.map(day => WEEKDAY_NAMES[day]).join(', ')} {businessHours.start}–{businessHours.end} ({businessHours.timezone})
+          {businessHours.holidays.length > 0 && `, ${businessHours.holidays.length} holiday(s)`}
+        </small>
+      )}
     </div>
   );
 };
 
 // Enhanced Feedback detail panel component
-const FeedbackDetailPanel = ({ feedback, onGenerateAI, onUpdateStatus, onUpdatePriority }) => {
-  const [adminResponse, setAdminResponse] = useState(feedback.adminResponse || '');
+const FeedbackDetailPanel = ({ feedback, workflow, currentUser, can, staff, onAssign, onAddMessage, onGenerateAI, onRetriage, onUpdateStatus, onUpdatePriority }) => {
+  const statusInfo = getStatusInfo(workflow, feedback.status);
+  const nextStatuses = getNextStatuses(workflow, feedback.status);
+  const canResolve = nextStatuses.some(status => status.value === 'resolved');
+  const staffReplyStatus = statusInfo.onStaffReply && getStatusInfo(workflow, statusInfo.onStaffReply);
+
+  const [adminResponse, setAdminResponse] = useState('');
+  const [isInternal, setIsInternal] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [selectedPriority, setSelectedPriority] = useState(feedback.priority || 'medium');
 
@@ -331,7 +756,13 @@ const FeedbackDetailPanel = ({ feedback, onGenerateAI, onUpdateStatus, onUpdateP
     
     setIsSubmitting(true);
     try {
-      await onUpdateStatus(feedback.id, 'responded', adminResponse);
+      if (isInternal) {
+        await onAddMessage(feedback.id, adminResponse, true);
+        setAdminResponse('');
+      } else {
+        // No explicit status - the workflow decides what a staff reply does
+        await onUpdateStatus(feedback.id, null, adminResponse);
+      }
     } catch (error) {
       console.error('Failed to send response:', error);
     } finally {
@@ -370,7 +801,7 @@ const FeedbackDetailPanel = ({ feedback, onGenerateAI, onUpdateStatus, onUpdateP
           <h2>{feedback.subject}</h2>
           <div className="feedback-badges">
             <span className={`status-badge status-${feedback.status}`}>
-              {feedback.status}
+              {statusInfo.icon} {statusInfo.label}
             </span>
             <span className={`priority-badge priority-${feedback.priority}`}>
               {feedback.priority} priority
@@ -384,8 +815,14 @@ const FeedbackDetailPanel = ({ feedback, onGenerateAI, onUpdateStatus, onUpdateP
               <strong>Customer:</strong> {feedback.customerName}
             </div>
             <div>
-              <strong>Email:</strong> {feedback.customerEmail}
+              <strong>Email:</strong> {feedback.customerEmail || 'Not provided'}
             </div>
+            {feedback.pageUrl && (
+              <div>
+                <strong>Submitted From:</strong>{' '}
+                <a href={feedback.pageUrl} target="_blank" rel="noopener noreferrer">{feedback.pageUrl}</a>
+              </div>
+            )}
             <div>
               <strong>Category:</strong> {feedback.category}
             </div>
@@ -401,19 +838,58 @@ const FeedbackDetailPanel = ({ feedback, onGenerateAI, onUpdateStatus, onUpdateP
             <div>
               <strong>Date:</strong> {new Date(feedback.createdAt).toLocaleString()}
             </div>
+            {feedback.firstResponseDueAt && (
+              <div>
+                <strong>First Response Due:</strong>{' '}
+                {feedback.firstResponseAt
+                  ? `✅ met ${new Date(feedback.firstResponseAt).toLocaleString()}`
+                  : new Date(feedback.firstResponseDueAt).toLocaleString()}
+                {feedback.firstResponseBreachedAt && <span className="sla-flag breached">Breached</span>}
+              </div>
+            )}
+            {feedback.resolutionDueAt && (
+              <div>
+                <strong>Resolution Due:</strong> {new Date(feedback.resolutionDueAt).toLocaleString()}
+                {feedback.resolutionBreachedAt && <span className="sla-flag breached">Breached</span>}
+                {feedback.escalatedAt && <span className="sla-flag escalated">Escalated</span>}
+              </div>
+            )}
             <div>
               <strong>Priority:</strong>
-              <select
-                value={selectedPriority}
-                onChange={(e) => setSelectedPriority(e.target.value)}
-                onBlur={handlePriorityChange}
-                className="form-select inline"
-              >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-                <option value="urgent">Urgent</option>
-              </select>
+              {can('feedback:priority') ? (
+                <select
+                  value={selectedPriority}
+                  onChange={(e) => setSelectedPriority(e.target.value)}
+                  onBlur={handlePriorityChange}
+                  className="form-select inline"
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                  <option value="urgent">Urgent</option>
+                </select>
+              ) : (
+                <span> {feedback.priority}</span>
+              )}
+            </div>
+            <div>
+              <strong>Assigned To:</strong>
+              {can('feedback:assign') ? (
+                <select
+                  value={feedback.assignedTo?._id || ''}
+                  onChange={(e) => onAssign(feedback.id, e.target.value || null)}
+                  className="form-select inline"
+                >
+                  <option value="">Unassigned</option>
+                  {staff.map(member => (
+                    <option key={member.id} value={member.id}>
+                      {member.name} ({member.role})
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <span> {feedback.assignedTo?.name || 'Unassigned'}</span>
+              )}
             </div>
           </div>
         </div>
@@ -425,103 +901,2136 @@ const FeedbackDetailPanel = ({ feedback, onGenerateAI, onUpdateStatus, onUpdateP
           </div>
         </div>
         
-        {/* Show existing admin response if any */}
-        {feedback.adminResponse && (
-          <div className="existing-response">
-            <h4>📧 Current Admin Response:</h4>
-            <div className="response-content">
-              {feedback.adminResponse}
-            </div>
-            {feedback.respondedAt && (
-              <small className="response-timestamp">
-                Responded on: {new Date(feedback.respondedAt).toLocaleString()}
-              </small>
-            )}
-          </div>
-        )}
+        {/* Full conversation, including internal messages */}
+        <div className="existing-response">
+          <ConversationThread
+            feedback={feedback}
+            currentUser={currentUser}
+            viewerIsStaff
+          />
+        </div>
       </div>
 
+      {/* Internal Notes */}
+      {can('feedback:respond') && (
+        <InternalNotes feedbackId={feedback.id} staff={staff} />
+      )}
+
+      {/* Change History */}
+      <FeedbackHistory feedbackId={feedback.id} lastUpdated={feedback.updatedAt} />
+
+      {/* AI Triage */}
+      {can('feedback:respond') && (
+        <TriageSummary triage={feedback.triage} category={feedback.category} onRetriage={() => onRetriage(feedback.id)} />
+      )}
+
       {/* AI Suggestions */}
-      <div className="ai-suggestions card">
-        <div className="section-header">
-          <h3>🤖 AI Response Suggestions</h3>
-          <button 
-            className="btn btn-primary"
-            onClick={() => onGenerateAI(feedback.id)}
-          >
-            Generate AI Responses
-          </button>
-        </div>
+      {can('feedback:respond') && (
+        <div className="ai-suggestions card">
+          <div className="section-header">
+            <h3>🤖 AI Response Suggestions</h3>
+            <button 
+              className="btn btn-primary"
+              onClick={() => onGenerateAI(feedback.id)}
+            >
+              Generate AI Responses
+            </button>
+          </div>
         
-        {feedback.aiSuggestions && feedback.aiSuggestions.length > 0 ? (
-          <div className="suggestions-list">
-            {feedback.aiSuggestions.map((suggestion, index) => (
-              <div key={index} className="suggestion-item">
-                <div className="suggestion-header">
-                  <h4>Suggestion {index + 1}</h4>
-                  <span className="confidence-badge">
-                    {Math.round((suggestion.confidence || 0.8) * 100)}% confidence
-                  </span>
+          {feedback.aiSuggestions && feedback.aiSuggestions.length > 0 ? (
+            <div className="suggestions-list">
+              {feedback.aiSuggestions.map((suggestion, index) => (
+                <div key={index} className="suggestion-item">
+                  <div className="suggestion-header">
+                    <h4>Suggestion {index + 1}{suggestion.tone && ` · ${suggestion.tone}`}</h4>
+                    <span className="confidence-badge" title={suggestion.model && `${suggestion.provider}: ${suggestion.model}`}>
+                      {Math.round((suggestion.confidence || 0.8) * 100)}% confidence
+                    </span>
+                  </div>
+                  <p className="suggestion-text">{suggestion.suggestion}</p>
+                  {suggestion.addressedConcerns?.length > 0 && (
+                    <ul className="suggestion-concerns">
+                      {suggestion.addressedConcerns.map(concern => <li key={concern}>{concern}</li>)}
+                    </ul>
+                  )}
+                  {(suggestion.suggestedStatus || suggestion.suggestedPriority) && (
+                    <p className="suggestion-meta">
+                      Suggests:
+                      {suggestion.suggestedStatus && ` ${getStatusInfo(workflow, suggestion.suggestedStatus).label}`}
+                      {suggestion.suggestedStatus && suggestion.suggestedPriority && ' ·'}
+                      {suggestion.suggestedPriority && ` ${suggestion.suggestedPriority} priority`}
+                    </p>
+                  )}
+                  <button 
+                    className="btn btn-outline"
+                    onClick={() => setAdminResponse(suggestion.suggestion)}
+                  >
+                    Use This Response
+                  </button>
                 </div>
-                <p className="suggestion-text">{suggestion.suggestion}</p>
-                <button 
-                  className="btn btn-outline"
-                  onClick={() => setAdminResponse(suggestion.suggestion)}
-                >
-                  Use This Response
-                </button>
-              </div>
-            ))}
-          </div>
-        ) : (
-          <div className="no-suggestions">
-            <p>No AI suggestions generated yet.</p>
-            <p>Click "Generate AI Responses" to create personalized response suggestions based on the customer's feedback.</p>
-          </div>
-        )}
-      </div>
+              ))}
+            </div>
+          ) : (
+            <div className="no-suggestions">
+              <p>No AI suggestions generated yet.</p>
+              <p>Click "Generate AI Responses" to create personalized response suggestions based on the customer's feedback.</p>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Response Form */}
-      <div className="response-form card">
-        <h3>📝 Send Response to Customer</h3>
-        <div className="form-group">
-          <label className="form-label">Your Response:</label>
-          <textarea
-            value={adminResponse}
-            onChange={(e) => setAdminResponse(e.target.value)}
-            className="form-textarea"
-            placeholder="Write a personalized response to the customer's feedback..."
-            rows="5"
-          />
-          <small className="form-help">
-            This message will be visible to the customer when they view their feedback.
-          </small>
-        </div>
+      {(can('feedback:respond') || can('feedback:status')) && (
+        <div className="response-form card">
+          <h3>📝 Send Response to Customer</h3>
+          {can('feedback:respond') && (
+            <div className="form-group">
+              <label className="form-label">Your Response:</label>
+              <textarea
+                value={adminResponse}
+                onChange={(e) => setAdminResponse(e.target.value)}
+                className="form-textarea"
+                placeholder="Write a personalized response to the customer's feedback..."
+                rows="5"
+              />
+              <label className="internal-toggle">
+                <input
+                  type="checkbox"
+                  checked={isInternal}
+                  onChange={(e) => setIsInternal(e.target.checked)}
+                />
+                🔒 Internal only (hidden from the customer)
+              </label>
+              <small className="form-help">
+                {isInternal
+                  ? 'Only staff will see this message in the conversation.'
+                  : 'This message will be added to the conversation and visible to the customer.'}
+              </small>
+            </div>
+          )}
         
-        <div className="form-actions">
-          <button 
-            className="btn btn-success" 
-            onClick={handleRespond}
-            disabled={isSubmitting || !adminResponse.trim()}
-          >
-            {isSubmitting ? 'Sending...' : '📧 Send Response'}
-          </button>
+          <div className="form-actions">
+            {can('feedback:respond') && (
+              <button 
+                className="btn btn-success" 
+                onClick={handleRespond}
+                disabled={isSubmitting || !adminResponse.trim()}
+              >
+                {isSubmitting ? 'Sending...' : isInternal ? '🔒 Add Internal Message' : '📧 Send Response'}
+              </button>
+            )}
           
-          <button 
-            className="btn btn-warning"
-            onClick={handleMarkResolved}
-            disabled={isSubmitting}
-          >
-            {isSubmitting ? 'Processing...' : '✅ Mark as Resolved'}
-          </button>
+            {can('feedback:status') && canResolve && (
+              <button 
+                className="btn btn-warning"
+                onClick={handleMarkResolved}
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Processing...' : '✅ Mark as Resolved'}
+              </button>
+            )}
+
+            {can('feedback:status') && nextStatuses.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => e.target.value && onUpdateStatus(feedback.id, e.target.value)}
+                className="form-select inline"
+                disabled={isSubmitting}
+              >
+                <option value="">Move to…</option>
+                {nextStatuses.map(status => (
+                  <option key={status.value} value={status.value}>
+                    {status.icon} {status.label}
+                  </option>
+                ))}
+              </select>
+            )}
           
-          {feedback.status === 'pending' && (
-            <small className="action-help">
-              Sending a response will automatically mark this feedback as "Responded"
-            </small>
-          )}
+            {staffReplyStatus && (
+              <small className="action-help">
+                Sending a response will automatically mark this feedback as "{staffReplyStatus.label}"
+              </small>
+            )}
+          </div>
         </div>
-      </div>
+      )}
+    </div>
+  );
+};
+
+// Staff-only notes with @mentions - never shown to the customer
+const InternalNotes = ({ feedbackId, staff }) => {
+  const [notes, setNotes] = useState([]);
+  const [noteBody, setNoteBody] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadNotes = async () => {
+      try {
+        const response = await adminAPI.getNotes(feedbackId);
+        setNotes(response.data.data);
+      } catch (err) {
+        console.error('❌ Error loading internal notes:', err);
+        setError(handleAPIError(err));
+      }
+    };
+
+    loadNotes();
+  }, [feedbackId]);
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteBody.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const response = await adminAPI.addNote(feedbackId, noteBody.trim());
+      setNotes(response.data.data);
+      setNoteBody('');
+      setError('');
+    } catch (err) {
+      setError(handleAPIError(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Highlight @mentions in the note text
+  const renderBody = (body) => body.split(/(@[a-zA-Z0-9_.-]+)/g).map((part, index) => (
+    part.startsWith('@') ? <span key={index} className="mention">{part}</span> : part
+  ));
+
+  return (
+    <div className="internal-notes card">
+      <h3>🔒 Internal Notes</h3>
+      <small className="form-help">Only visible to staff.</small>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {notes.length === 0 ? (
+        <p className="thread-empty">No internal notes yet.</p>
+      ) : (
+        <ul className="notes-list">
+          {notes.map(note => (
+            <li key={note.id} className="note-item">
+              <div className="thread-message-header">
+                <strong>{note.authorName}</strong>
+                <small>{new Date(note.createdAt).toLocaleString()}</small>
+              </div>
+              <p className="thread-message-body">{renderBody(note.body)}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAddNote} className="thread-reply">
+        <textarea
+          value={noteBody}
+          onChange={(e) => setNoteBody(e.target.value)}
+          className="form-textarea"
+          placeholder="Leave context for your colleagues..."
+          rows="3"
+          disabled={isSaving}
+        />
+        {staff.length > 0 && (
+          <small className="form-help">
+            Mention a colleague with @username: {staff.map(member => `@${member.username}`).join(', ')}
+          </small>
+        )}
+        <button type="submit" className="btn btn-secondary" disabled={isSaving || !noteBody.trim()}>
+          {isSaving ? 'Saving...' : 'Add Note'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const SENTIMENT_ICONS = { positive: '🙂', neutral: '😐', negative: '🙁' };
+
+// AI triage result: sentiment, topics, suggested category and priority
+const TriageSummary = ({ triage, category, onRetriage }) => {
+  const [isRunning, setIsRunning] = useState(false);
+
+  const handleRetriage = async () => {
+    setIsRunning(true);
+    try {
+      await onRetriage();
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="triage-summary card">
+      <div className="section-header">
+        <h3>🏷️ AI Triage</h3>
+        <button className="btn btn-outline" onClick={handleRetriage} disabled={isRunning}>
+          {isRunning ? 'Triaging...' : triage?.triagedAt ? 'Re-run Triage' : 'Run Triage'}
+        </button>
+      </div>
+
+      {triage?.sentimentLabel ? (
+        <div className="info-grid">
+          <div>
+            <strong>Sentiment:</strong> {SENTIMENT_ICONS[triage.sentimentLabel]} {triage.sentimentLabel}
+            {typeof triage.sentimentScore === 'number' && ` (${triage.sentimentScore > 0 ? '+' : ''}${triage.sentimentScore})`}
+          </div>
+          {triage.suggestedCategory && (
+            <div>
+              <strong>Suggested Category:</strong> {triage.suggestedCategory}
+              {triage.categoryMismatch && (
+                <span className="triage-flag" title={`The customer chose "${category}"`}>Mismatch</span>
+              )}
+            </div>
+          )}
+          {triage.suggestedPriority && (
+            <div>
+              <strong>Suggested Priority:</strong> {triage.suggestedPriority}
+              {triage.priorityApplied && <span className="triage-flag applied">Auto-assigned</span>}
+            </div>
+          )}
+          {triage.topics?.length > 0 && (
+            <div className="triage-topics">
+              <strong>Topics:</strong>
+              {triage.topics.map(topic => <span key={topic} className="triage-topic">{topic}</span>)}
+            </div>
+          )}
+          {triage.reason && <p className="suggestion-meta">{triage.reason}</p>}
+        </div>
+      ) : (
+        <p className="no-suggestions">Not triaged yet.</p>
+      )}
+    </div>
+  );
+};
+
+const HISTORY_LABELS = {
+  created: '📝 Feedback submitted',
+  updated: '✏️ Feedback edited',
+  status_changed: '🔄 Status changed',
+  priority_changed: '🚩 Priority changed',
+  response_added: '📧 Response sent',
+  message_added: '💬 Message added',
+  assigned: '👤 Assignment changed',
+  note_added: '🔒 Internal note added',
+  sla_breached: '🚨 SLA breached',
+  escalated: '⬆️ Priority escalated',
+  triaged: '🏷️ Triaged by AI',
+  deleted: '🗑️ Feedback deleted'
+};
+
+// Audit trail timeline - who changed what, and when
+const FeedbackHistory = ({ feedbackId, lastUpdated }) => {
+  const [history, setHistory] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadHistory = async () => {
+      try {
+        const response = await adminAPI.getHistory(feedbackId);
+        setHistory(response.data.data);
+      } catch (err) {
+        console.error('❌ Error loading feedback history:', err);
+      }
+    };
+
+    loadHistory();
+  }, [feedbackId, lastUpdated, isOpen]);
+
+  const formatValue = (entry, change) => {
+    if (change.field === 'assignedTo') {
+      return change.after ? entry.meta?.assigneeName || 'staff member' : 'unassigned';
+    }
+    const value = change.after ?? '—';
+    return String(value).length > 80 ? `${String(value).slice(0, 80)}…` : String(value);
+  };
+
+  return (
+    <div className="feedback-history card">
+      <div className="section-header">
+        <h3>🕓 History</h3>
+        <button className="btn btn-outline" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen ? 'Hide' : 'Show'} Timeline
+        </button>
+      </div>
+
+      {isOpen && (
+        history.length === 0 ? (
+          <p className="thread-empty">No recorded changes yet.</p>
+        ) : (
+          <ol className="history-timeline">
+            {history.map(entry => (
+              <li key={entry.id} className="history-entry">
+                <div className="thread-message-header">
+                  <strong>{HISTORY_LABELS[entry.action] || entry.action}</strong>
+                  <small>{new Date(entry.createdAt).toLocaleString()}</small>
+                </div>
+                <div className="history-actor">
+                  by {entry.actorName || 'System'}{entry.actorRole ? ` (${entry.actorRole})` : ''}
+                  {entry.meta?.internal && ' · internal'}
+                </div>
+                {entry.changes.length > 0 && (
+                  <ul className="history-changes">
+                    {entry.changes.map(change => (
+                      <li key={change.field}>
+                        <code>{change.field}</code>
+                        {change.field !== 'assignedTo' && change.field !== 'adminResponse' && (
+                          <> {String(change.before ?? '—')} →</>
+                        )}
+                        {' '}{formatValue(entry, change)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )
+      )}
+    </div>
+  );
+};
+
+// User management panel (users:manage permission)
+const UserManagementPanel = ({ currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(['admin', 'agent', 'viewer', 'user']);
+  const [pagination, setPagination] = useState(null);
+  const [query, setQuery] = useState({ search: '', role: '', status: '', page: 1 });
+  const [searchInput, setSearchInput] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newUser, setNewUser] = useState({ username: '', email: '', name: '', role: 'agent' });
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const params = { page: query.page, limit: 20 };
+      if (query.search) params.search = query.search;
+      if (query.role) params.role = query.role;
+      if (query.status) params.status = query.status;
+
+      const response = await adminAPI.getUsers(params);
+      setUsers(response.data.data);
+      setPagination(response.data.pagination);
+      if (response.data.roles) setRoles(response.data.roles);
+    } catch (err) {
+      console.error('❌ Error loading users:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const updateQuery = (changes) => {
+    setQuery(prev => ({ ...prev, page: 1, ...changes }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateQuery({ search: searchInput.trim() });
+  };
+
+  // Run a user action, then refresh the list
+  const runAction = async (action, successMessage) => {
+    try {
+      const response = await action();
+      if (successMessage) alert(response.data.message || successMessage);
+      loadUsers();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleRoleChange = (user, role) => {
+    if (role === user.role) return;
+    runAction(() => adminAPI.updateUserRole(user.id, role));
+  };
+
+  const handleToggleActive = (user) => {
+    const verb = user.isActive ? 'Deactivate' : 'Activate';
+    if (window.confirm(`${verb} ${user.username}?`)) {
+      runAction(() => adminAPI.setUserActive(user.id, !user.isActive));
+    }
+  };
+
+  const handleForceReset = (user) => {
+    if (window.confirm(`Sign ${user.username} out and require a password reset?`)) {
+      runAction(() => adminAPI.forcePasswordReset(user.id), 'Password reset required');
+    }
+  };
+
+  const handleDelete = (user) => {
+    if (window.confirm(`Permanently delete ${user.username}? Their feedback will be kept.`)) {
+      runAction(() => adminAPI.deleteUser(user.id), 'User deleted');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await adminAPI.createUser(newUser);
+      alert(`User created. A password setup link was sent to ${newUser.email}.`);
+      setNewUser({ username: '', email: '', name: '', role: 'agent' });
+      setShowCreateForm(false);
+      loadUsers();
+    } catch (err) {
+      alert('Failed to create user: ' + handleAPIError(err));
+    }
+  };
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>👥 Users {pagination && `(${pagination.totalItems})`}</h3>
+        <button className="btn btn-primary" onClick={() => setShowCreateForm(prev => !prev)}>
+          {showCreateForm ? 'Cancel' : '➕ Add User'}
+        </button>
+      </div>
+
+      {showCreateForm && (
+        <form className="user-create-form" onSubmit={handleCreate}>
+          <input
+            className="form-input"
+            placeholder="Username"
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            required
+          />
+          <input
+            className="form-input"
+            type="email"
+            placeholder="Email"
+            value={newUser.email}
+            onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+            required
+          />
+          <input
+            className="form-input"
+            placeholder="Full name"
+            value={newUser.name}
+            onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+            required
+          />
+          <select
+            className="form-select"
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          >
+            {roles.map(role => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-success">Create</button>
+        </form>
+      )}
+
+      {/* Filters */}
+      <form className="user-filters" onSubmit={handleSearch}>
+        <input
+          className="form-input"
+          placeholder="Search username, email or name..."
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select
+          className="form-select"
+          value={query.role}
+          onChange={(e) => updateQuery({ role: e.target.value })}
+        >
+          <option value="">All Roles</option>
+          {roles.map(role => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <select
+          className="form-select"
+          value={query.status}
+          onChange={(e) => updateQuery({ status: e.target.value })}
+        >
+          <option value="">All Statuses</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+        </select>
+        <button type="submit" className="btn btn-outline">Search</button>
+      </form>
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner message="Loading users..." />
+      ) : users.length === 0 ? (
+        <p>No users match the selected filters</p>
+      ) : (
+        <div className="user-table-wrapper">
+          <table className="user-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last Login</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => {
+                const isSelf = user.id === currentUser?._id;
+                return (
+                  <tr key={user.id} className={user.isActive ? '' : 'inactive'}>
+                    <td>
+                      <strong>{user.name}</strong>
+                      <div className="user-table-meta">@{user.username} · {user.email}</div>
+                    </td>
+                    <td>
+                      <select
+                        className="form-select inline"
+                        value={user.role}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        disabled={isSelf}
+                      >
+                        {roles.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <span className={`status-badge ${user.isActive ? 'status-resolved' : 'status-pending'}`}>
+                        {user.isActive ? 'active' : 'inactive'}
+                      </span>
+                      {user.passwordResetRequired && (
+                        <div className="user-table-meta">reset required</div>
+                      )}
+                    </td>
+                    <td>
+                      {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="user-actions">
+                      <button
+                        className="btn btn-outline btn-small"
+                        onClick={() => handleToggleActive(user)}
+                        disabled={isSelf}
+                      >
+                        {user.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                      <button
+                        className="btn btn-outline btn-small"
+                        onClick={() => handleForceReset(user)}
+                      >
+                        Force Reset
+                      </button>
+                      <button
+                        className="btn btn-danger btn-small"
+                        onClick={() => handleDelete(user)}
+                        disabled={isSelf}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="pagination">
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            ← Previous
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Outgoing email log (mail:read permission)
+const MailLogPanel = ({ onSelectFeedback }) => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [statuses, setStatuses] = useState(['sent', 'failed', 'skipped']);
+  const [templates, setTemplates] = useState([]);
+  const [query, setQuery] = useState({ search: '', status: '', template: '', page: 1 });
+  const [searchInput, setSearchInput] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const params = { page: query.page, limit: 20 };
+      if (query.search) params.search = query.search;
+      if (query.status) params.status = query.status;
+      if (query.template) params.template = query.template;
+
+      const response = await adminAPI.getMailLog(params);
+      setEntries(response.data.data);
+      setPagination(response.data.pagination);
+      if (response.data.statuses) setStatuses(response.data.statuses);
+      if (response.data.templates) setTemplates(response.data.templates);
+    } catch (err) {
+      console.error('❌ Error loading mail log:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateQuery = (changes) => {
+    setQuery(prev => ({ ...prev, page: 1, ...changes }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateQuery({ search: searchInput.trim() });
+  };
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>📨 Mail Log {pagination && `(${pagination.totalItems})`}</h3>
+      </div>
+
+      <form className="user-filters" onSubmit={handleSearch}>
+        <input
+          className="form-input"
+          placeholder="Search recipient..."
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select
+          className="form-select"
+          value={query.status}
+          onChange={(e) => updateQuery({ status: e.target.value })}
+        >
+          <option value="">All Statuses</option>
+          {statuses.map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <select
+          className="form-select"
+          value={query.template}
+          onChange={(e) => updateQuery({ template: e.target.value })}
+        >
+          <option value="">All Emails</option>
+          {templates.map(template => (
+            <option key={template} value={template}>{template.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn btn-outline">Search</button>
+      </form>
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner message="Loading mail log..." />
+      ) : entries.length === 0 ? (
+        <p>No emails match the selected filters</p>
+      ) : (
+        <div className="user-table-wrapper">
+          <table className="user-table">
+            <thead>
+              <tr>
+                <th>Sent</th>
+                <th>Recipient</th>
+                <th>Email</th>
+                <th>Status</th>
+                <th>Feedback</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td>{entry.to}</td>
+                  <td>
+                    <strong>{entry.subject}</strong>
+                    <div className="user-table-meta">{entry.template.replace(/_/g, ' ')} · {entry.transport}</div>
+                  </td>
+                  <td>
+                    <span className={`mail-status mail-status-${entry.status}`}>{entry.status}</span>
+                    {entry.error && <div className="user-table-meta">{entry.error}</div>}
+                  </td>
+                  <td>
+                    {entry.feedbackId ? (
+                      <button className="btn btn-outline btn-small" onClick={() => onSelectFeedback(entry.feedbackId)}>
+                        Open
+                      </button>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="pagination">
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            ← Previous
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Background job queue: counts per type, recent jobs, and retry for dead-lettered ones
+const JobsPanel = ({ onSelectFeedback }) => {
+  const [jobs, setJobs] = useState([]);
+  const [stats, setStats] = useState({});
+  const [pagination, setPagination] = useState(null);
+  const [statuses, setStatuses] = useState(['queued', 'running', 'succeeded', 'dead']);
+  const [types, setTypes] = useState([]);
+  const [query, setQuery] = useState({ status: '', type: '', page: 1 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadJobs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const params = { page: query.page, limit: 20 };
+      if (query.status) params.status = query.status;
+      if (query.type) params.type = query.type;
+
+      const response = await adminAPI.getJobs(params);
+      setJobs(response.data.data);
+      setStats(response.data.stats);
+      setPagination(response.data.pagination);
+      if (response.data.statuses) setStatuses(response.data.statuses);
+      if (response.data.types) setTypes(response.data.types);
+    } catch (err) {
+      console.error('❌ Error loading jobs:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const updateQuery = (changes) => {
+    setQuery(prev => ({ ...prev, page: 1, ...changes }));
+  };
+
+  const handleRetry = async (job) => {
+    try {
+      await adminAPI.retryJob(job.id);
+      loadJobs();
+    } catch (err) {
+      alert('Failed to retry job: ' + handleAPIError(err));
+    }
+  };
+
+  const typeLabel = (type) => types.find(option => option.value === type)?.label || type;
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>🧰 Background Jobs {pagination && `(${pagination.totalItems})`}</h3>
+        <button className="btn btn-outline btn-small" onClick={loadJobs}>Refresh</button>
+      </div>
+
+      <div className="job-stats">
+        {Object.entries(stats).map(([type, counts]) => (
+          <div key={type} className="job-stat">
+            <strong>{counts.label}</strong>
+            <span>{counts.queued} queued · {counts.running} running · {counts.succeeded} done</span>
+            {counts.dead > 0 && (
+              <button className="job-status job-status-dead" onClick={() => updateQuery({ type, status: 'dead' })}>
+                {counts.dead} dead
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="user-filters">
+        <select
+          className="form-select"
+          value={query.status}
+          onChange={(e) => updateQuery({ status: e.target.value })}
+        >
+          <option value="">All Statuses</option>
+          {statuses.map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <select
+          className="form-select"
+          value={query.type}
+          onChange={(e) => updateQuery({ type: e.target.value })}
+        >
+          <option value="">All Jobs</option>
+          {types.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner message="Loading jobs..." />
+      ) : jobs.length === 0 ? (
+        <p>No jobs match the selected filters</p>
+      ) : (
+        <div className="user-table-wrapper">
+          <table className="user-table">
+            <thead>
+              <tr>
+                <th>Queued</th>
+                <th>Job</th>
+                <th>Status</th>
+                <th>Feedback</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.id}>
+                  <td>{new Date(job.createdAt).toLocaleString()}</td>
+                  <td>
+                    <strong>{typeLabel(job.type)}</strong>
+                    <div className="user-table-meta">
+                      {job.type} · attempt {job.attempts} of {job.maxAttempts}
+                    </div>
+                  </td>
+                  <td>
+                    <span className={`job-status job-status-${job.status}`}>{job.status}</span>
+                    {job.status === 'queued' && job.attempts > 0 && (
+                      <div className="user-table-meta">retry at {new Date(job.runAt).toLocaleTimeString()}</div>
+                    )}
+                    {job.lastError && job.status !== 'succeeded' && (
+                      <div className="user-table-meta">{job.lastError}</div>
+                    )}
+                  </td>
+                  <td>
+                    {job.feedbackId ? (
+                      <button className="btn btn-outline btn-small" onClick={() => onSelectFeedback(job.feedbackId)}>
+                        Open
+                      </button>
+                    ) : '—'}
+                  </td>
+                  <td>
+                    {job.status === 'dead' && (
+                      <button className="btn btn-outline btn-small" onClick={() => handleRetry(job)}>
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="pagination">
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            ← Previous
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Knowledge base articles the AI assistant answers from, with a retrieval preview (kb:manage permission)
+const EMPTY_KB_ARTICLE = { title: '', body: '', tags: '', published: true };
+
+const KB_SOURCE_LABELS = {
+  article: 'Article',
+  resolution: 'Past resolution'
+};
+
+const KnowledgeBasePanel = ({ onSelectFeedback }) => {
+  const [articles, setArticles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_KB_ARTICLE);
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  // Comma-separated
+  const parseTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+  const loadArticles = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await adminAPI.getKbArticles();
+      setArticles(response.data.data);
+    } catch (err) {
+      console.error('❌ Error loading knowledge base articles:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadArticles();
+  }, [loadArticles]);
+
+  const openForm = (article = null) => {
+    setEditingId(article ? article.id : null);
+    setForm(article
+      ? { title: article.title, body: article.body, tags: article.tags.join(', '), published: article.published }
+      : EMPTY_KB_ARTICLE);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setForm(EMPTY_KB_ARTICLE);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = { ...form, tags: parseTags(form.tags) };
+    try {
+      if (editingId) {
+        await adminAPI.updateKbArticle(editingId, data);
+      } else {
+        await adminAPI.createKbArticle(data);
+      }
+      closeForm();
+      loadArticles();
+    } catch (err) {
+      alert('Failed to save article: ' + handleAPIError(err));
+    }
+  };
+
+  const handleTogglePublished = async (article) => {
+    try {
+      await adminAPI.updateKbArticle(article.id, { published: !article.published });
+      loadArticles();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleDelete = async (article) => {
+    if (!window.confirm(`Delete "${article.title}"? The assistant will stop citing it.`)) return;
+    try {
+      await adminAPI.deleteKbArticle(article.id);
+      if (editingId === article.id) closeForm();
+      loadArticles();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setIsSearching(true);
+      const response = await adminAPI.searchKb(query);
+      setMatches(response.data.data);
+    } catch (err) {
+      alert('Search failed: ' + handleAPIError(err));
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="user-management card">
+        <div className="section-header">
+          <h3>📚 Knowledge Base ({articles.length})</h3>
+          <button className="btn btn-primary" onClick={() => (showForm ? closeForm() : openForm())}>
+            {showForm ? 'Cancel' : '➕ New Article'}
+          </button>
+        </div>
+
+        <p className="user-table-meta">
+          The AI assistant answers customer questions from published articles, which it cites. If enabled on the server, staff replies to resolved feedback also inform answers to signed-in staff - never to customers.
+        </p>
+
+        {showForm && (
+          <form className="webhook-create-form kb-article-form" onSubmit={handleSave}>
+            <input
+              className="form-input"
+              placeholder="Title, e.g. How refunds work"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              required
+            />
+            <textarea
+              className="form-input"
+              rows="8"
+              placeholder="Article text"
+              value={form.body}
+              onChange={(e) => setForm({ ...form, body: e.target.value })}
+              required
+            />
+            <input
+              className="form-input"
+              placeholder="Tags (comma-separated), e.g. refund, payment"
+              value={form.tags}
+              onChange={(e) => setForm({ ...form, tags: e.target.value })}
+            />
+            <label className="kb-published-toggle">
+              <input
+                type="checkbox"
+                checked={form.published}
+                onChange={(e) => setForm({ ...form, published: e.target.checked })}
+              />
+              Published
+            </label>
+            <button type="submit" className="btn btn-success">{editingId ? 'Save Changes' : 'Create'}</button>
+          </form>
+        )}
+
+        {error && (
+          <div className="error-message">
+            <p>❌ {error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <LoadingSpinner message="Loading articles..." />
+        ) : articles.length === 0 ? (
+          <p>No articles yet</p>
+        ) : (
+          <div className="user-table-wrapper">
+            <table className="user-table">
+              <thead>
+                <tr>
+                  <th>Article</th>
+                  <th>Tags</th>
+                  <th>Updated</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {articles.map(article => (
+                  <tr key={article.id} className={article.published ? '' : 'inactive'}>
+                    <td>
+                      <strong>{article.title}</strong>
+                      {!article.published && <span className="kb-draft-badge">Unpublished</span>}
+                      <div className="user-table-meta">{article.body.slice(0, 120)}{article.body.length > 120 ? '…' : ''}</div>
+                    </td>
+                    <td>{article.tags.join(', ') || '—'}</td>
+                    <td>
+                      {new Date(article.updatedAt).toLocaleDateString()}
+                      {article.updatedBy && <div className="user-table-meta">by {article.updatedBy.name}</div>}
+                    </td>
+                    <td className="user-actions">
+                      <button className="btn btn-outline btn-small" onClick={() => openForm(article)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-outline btn-small" onClick={() => handleTogglePublished(article)}>
+                        {article.published ? 'Unpublish' : 'Publish'}
+                      </button>
+                      <button className="btn btn-danger btn-small" onClick={() => handleDelete(article)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="user-management card">
+        <div className="section-header">
+          <h3>🔎 Test Retrieval</h3>
+        </div>
+
+        <form className="kb-search-form" onSubmit={handleSearch}>
+          <input
+            className="form-input"
+            placeholder="A customer question, e.g. When will I get my refund?"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button type="submit" className="btn btn-primary" disabled={isSearching || !query.trim()}>
+            {isSearching ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+
+        {matches && (matches.length === 0 ? (
+          <p>Nothing matches - the assistant would answer without sources</p>
+        ) : (
+          <ol className="kb-matches">
+            {matches.map((match, index) => (
+              <li key={`${match.source}-${match.sourceId}`}>
+                <span className={`citation-source citation-${match.source}`}>{KB_SOURCE_LABELS[match.source]}</span>
+                <strong>{match.title}</strong>
+                <span className="user-table-meta"> score {match.score}{index === 0 ? ' (best)' : ''}</span>
+                {match.source === 'resolution' && (
+                  <button className="btn btn-outline btn-small" onClick={() => onSelectFeedback(match.sourceId)}>
+                    Open
+                  </button>
+                )}
+                <p>{match.excerpt}</p>
+              </li>
+            ))}
+          </ol>
+        ))}
+      </div>
+    </>
+  );
+};
+
+// Slack/Teams alert settings (configured on the server) with a test button
+const ChatNotificationsPanel = () => {
+  const [settings, setSettings] = useState(null);
+  const [stubMessages, setStubMessages] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSettings = useCallback(async () => {
+    try {
+      setError('');
+      const response = await adminAPI.getChatNotifications();
+      setSettings(response.data.data);
+
+      if (response.data.data.mode === 'test') {
+        const stubResponse = await adminAPI.getChatStubMessages();
+        setStubMessages(stubResponse.data.data.slice(0, 5));
+      }
+    } catch (err) {
+      console.error('❌ Error loading chat notification settings:', err);
+      setError(handleAPIError(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const handleTest = async () => {
+    try {
+      setIsSending(true);
+      const response = await adminAPI.testChatNotifications();
+      alert(response.data.message);
+      loadSettings();
+    } catch (err) {
+      alert('Failed to send test alert: ' + handleAPIError(err));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>💬 Chat Alerts</h3>
+        {settings && settings.channels.length > 0 && (
+          <button className="btn btn-outline" onClick={handleTest} disabled={isSending}>
+            {isSending ? 'Sending...' : 'Send Test Alert'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {settings && (
+        <div className="chat-settings">
+          <p>
+            <strong>Mode:</strong> {settings.mode}
+            {settings.mode === 'test' && ' - messages go to the local stub instead of Slack/Teams'}
+          </p>
+          <p>
+            <strong>Channels:</strong>{' '}
+            {settings.channels.length === 0
+              ? 'none - set SLACK_WEBHOOK_URL or TEAMS_WEBHOOK_URL on the server'
+              : settings.channels.map(channel => `${channel.format} (${channel.url})`).join(', ')}
+          </p>
+          <p>
+            <strong>Alerts for:</strong>{' '}
+            {settings.rules.length === 0 ? 'no rules enabled' : settings.rules.map(rule => rule.label).join(' · ')}
+          </p>
+
+          {settings.mode === 'test' && (
+            <>
+              <h4>Recent stub messages</h4>
+              {stubMessages.length === 0 ? (
+                <p className="user-table-meta">Nothing received yet</p>
+              ) : (
+                <ul className="chat-stub-messages">
+                  {stubMessages.map((message, index) => (
+                    <li key={`${message.receivedAt}-${index}`}>
+                      <span className="delivery-status delivery-status-succeeded">{message.format}</span>{' '}
+                      {message.body.text || message.body.summary}
+                      <div className="user-table-meta">{new Date(message.receivedAt).toLocaleString()}</div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// API keys for programmatic access (api_keys:manage permission)
+const ApiKeysPanel = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [defaultRateLimit, setDefaultRateLimit] = useState(60);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newKey, setNewKey] = useState({ name: '', scopes: ['submit'], rateLimitPerMinute: '' });
+  const [revealedKey, setRevealedKey] = useState(null);
+
+  const loadApiKeys = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await adminAPI.getApiKeys();
+      setApiKeys(response.data.data);
+      setScopes(response.data.scopes);
+      setDefaultRateLimit(response.data.defaultRateLimitPerMinute);
+    } catch (err) {
+      console.error('❌ Error loading API keys:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const toggleNewScope = (scope) => {
+    setNewKey(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (newKey.scopes.length === 0) {
+      alert('Select at least one scope');
+      return;
+    }
+    try {
+      const response = await adminAPI.createApiKey({
+        name: newKey.name,
+        scopes: newKey.scopes,
+        ...(newKey.rateLimitPerMinute && { rateLimitPerMinute: parseInt(newKey.rateLimitPerMinute) })
+      });
+      const created = response.data.data;
+      setRevealedKey({ name: created.name, key: created.key });
+      setNewKey({ name: '', scopes: ['submit'], rateLimitPerMinute: '' });
+      setShowCreateForm(false);
+      loadApiKeys();
+    } catch (err) {
+      alert('Failed to create API key: ' + handleAPIError(err));
+    }
+  };
+
+  const handleRateLimitChange = async (apiKey) => {
+    const value = window.prompt(`Requests per minute for "${apiKey.name}":`, apiKey.rateLimitPerMinute);
+    if (value === null || parseInt(value) === apiKey.rateLimitPerMinute) return;
+    try {
+      await adminAPI.updateApiKey(apiKey.id, { rateLimitPerMinute: parseInt(value) });
+      loadApiKeys();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Apps using it will stop working immediately.`)) return;
+    try {
+      await adminAPI.revokeApiKey(apiKey.id);
+      loadApiKeys();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>🔑 API Keys ({apiKeys.length})</h3>
+        <button className="btn btn-primary" onClick={() => setShowCreateForm(prev => !prev)}>
+          {showCreateForm ? 'Cancel' : '➕ New API Key'}
+        </button>
+      </div>
+
+      {revealedKey && (
+        <div className="webhook-secret">
+          <p>
+            API key for <strong>{revealedKey.name}</strong> - copy it now, it won't be shown again.
+            Send it as the <code>X-API-Key</code> header.
+          </p>
+          <code>{revealedKey.key}</code>
+          <button className="btn btn-outline btn-small" onClick={() => setRevealedKey(null)}>Done</button>
+        </div>
+      )}
+
+      {showCreateForm && (
+        <form className="webhook-create-form" onSubmit={handleCreate}>
+          <input
+            className="form-input"
+            placeholder="Name, e.g. Mobile app"
+            value={newKey.name}
+            onChange={(e) => setNewKey({ ...newKey, name: e.target.value })}
+            required
+          />
+          <input
+            className="form-input"
+            type="number"
+            min="1"
+            placeholder={`Requests/minute (default ${defaultRateLimit})`}
+            value={newKey.rateLimitPerMinute}
+            onChange={(e) => setNewKey({ ...newKey, rateLimitPerMinute: e.target.value })}
+          />
+          <div className="webhook-events">
+            {scopes.map(scope => (
+              <label key={scope.name} title={scope.description}>
+                <input
+                  type="checkbox"
+                  checked={newKey.scopes.includes(scope.name)}
+                  onChange={() => toggleNewScope(scope.name)}
+                />
+                {scope.name} - {scope.description}
+              </label>
+            ))}
+          </div>
+          <button type="submit" className="btn btn-success">Create</button>
+        </form>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner message="Loading API keys..." />
+      ) : apiKeys.length === 0 ? (
+        <p>No API keys yet</p>
+      ) : (
+        <div className="user-table-wrapper">
+          <table className="user-table">
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Scopes</th>
+                <th>Rate Limit</th>
+                <th>Last Used</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {apiKeys.map(apiKey => (
+                <tr key={apiKey.id} className={apiKey.isActive ? '' : 'inactive'}>
+                  <td>
+                    <strong>{apiKey.name}</strong>
+                    <div className="user-table-meta">
+                      {apiKey.prefix}… · created {new Date(apiKey.createdAt).toLocaleDateString()}
+                      {apiKey.createdBy && ` by ${apiKey.createdBy.name}`}
+                    </div>
+                  </td>
+                  <td>{apiKey.scopes.join(', ')}</td>
+                  <td>{apiKey.rateLimitPerMinute}/min</td>
+                  <td>
+                    {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}
+                    {apiKey.lastUsedIp && <div className="user-table-meta">{apiKey.lastUsedIp}</div>}
+                  </td>
+                  <td className="user-actions">
+                    {apiKey.isActive ? (
+                      <>
+                        <button className="btn btn-outline btn-small" onClick={() => handleRateLimitChange(apiKey)}>
+                          Rate Limit
+                        </button>
+                        <button className="btn btn-danger btn-small" onClick={() => handleRevoke(apiKey)}>
+                          Revoke
+                        </button>
+                      </>
+                    ) : (
+                      <span className="status-badge status-pending">
+                        {apiKey.revokedAt ? 'revoked' : 'expired'}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Websites allowed to embed the feedback widget (api_keys:manage permission)
+const WidgetSitesPanel = () => {
+  const [sites, setSites] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newSite, setNewSite] = useState({ name: '', allowedOrigins: '' });
+  const [snippetSiteId, setSnippetSiteId] = useState(null);
+
+  // One origin per line or comma-separated
+  const parseOrigins = (value) => value.split(/[\s,]+/).map(origin => origin.trim()).filter(Boolean);
+
+  const loadSites = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await adminAPI.getWidgetSites();
+      setSites(response.data.data);
+    } catch (err) {
+      console.error('❌ Error loading widget sites:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSites();
+  }, [loadSites]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await adminAPI.createWidgetSite({
+        name: newSite.name,
+        allowedOrigins: parseOrigins(newSite.allowedOrigins)
+      });
+      setSnippetSiteId(response.data.data.id);
+      setNewSite({ name: '', allowedOrigins: '' });
+      setShowCreateForm(false);
+      loadSites();
+    } catch (err) {
+      alert('Failed to create widget site: ' + handleAPIError(err));
+    }
+  };
+
+  const handleEditOrigins = async (site) => {
+    const value = window.prompt(`Allowed origins for "${site.name}" (comma-separated):`, site.allowedOrigins.join(', '));
+    if (value === null) return;
+    try {
+      await adminAPI.updateWidgetSite(site.id, { allowedOrigins: parseOrigins(value) });
+      loadSites();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleToggleActive = async (site) => {
+    try {
+      await adminAPI.updateWidgetSite(site.id, { active: !site.active });
+      loadSites();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleDelete = async (site) => {
+    if (!window.confirm(`Delete "${site.name}"? The widget will stop working on that site.`)) return;
+    try {
+      await adminAPI.deleteWidgetSite(site.id);
+      loadSites();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const snippetSite = sites.find(site => site.id === snippetSiteId);
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>🧩 Feedback Widget Sites ({sites.length})</h3>
+        <button className="btn btn-primary" onClick={() => setShowCreateForm(prev => !prev)}>
+          {showCreateForm ? 'Cancel' : '➕ New Site'}
+        </button>
+      </div>
+
+      {snippetSite && (
+        <div className="webhook-secret">
+          <p>
+            Add this to every page of <strong>{snippetSite.name}</strong> that should show the feedback button:
+          </p>
+          <code className="widget-snippet">
+            {`<script src="${adminAPI.getWidgetScriptUrl()}" data-site-key="${snippetSite.siteKey}" async></script>`}
+          </code>
+          <button className="btn btn-outline btn-small" onClick={() => setSnippetSiteId(null)}>Done</button>
+        </div>
+      )}
+
+      {showCreateForm && (
+        <form className="webhook-create-form" onSubmit={handleCreate}>
+          <input
+            className="form-input"
+            placeholder="Name, e.g. Marketing site"
+            value={newSite.name}
+            onChange={(e) => setNewSite({ ...newSite, name: e.target.value })}
+            required
+          />
+          <textarea
+            className="form-input"
+            rows="2"
+            placeholder="Allowed origins, e.g. https://www.example.com, https://example.com"
+            value={newSite.allowedOrigins}
+            onChange={(e) => setNewSite({ ...newSite, allowedOrigins: e.target.value })}
+            required
+          />
+          <button type="submit" className="btn btn-success">Create</button>
+        </form>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner message="Loading widget sites..." />
+      ) : sites.length === 0 ? (
+        <p>No widget sites yet</p>
+      ) : (
+        <div className="user-table-wrapper">
+          <table className="user-table">
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Allowed Origins</th>
+                <th>Submissions</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sites.map(site => (
+                <tr key={site.id} className={site.active ? '' : 'inactive'}>
+                  <td>
+                    <strong>{site.name}</strong>
+                    <div className="user-table-meta">
+                      {site.siteKey} · created {new Date(site.createdAt).toLocaleDateString()}
+                      {site.createdBy && ` by ${site.createdBy.name}`}
+                    </div>
+                  </td>
+                  <td>{site.allowedOrigins.join(', ')}</td>
+                  <td>
+                    {site.submissionCount}
+                    {site.lastSubmissionAt && (
+                      <div className="user-table-meta">last {new Date(site.lastSubmissionAt).toLocaleString()}</div>
+                    )}
+                  </td>
+                  <td className="user-actions">
+                    <button className="btn btn-outline btn-small" onClick={() => setSnippetSiteId(site.id)}>
+                      Embed Code
+                    </button>
+                    <button className="btn btn-outline btn-small" onClick={() => handleEditOrigins(site)}>
+                      Origins
+                    </button>
+                    <button className="btn btn-outline btn-small" onClick={() => handleToggleActive(site)}>
+                      {site.active ? 'Disable' : 'Enable'}
+                    </button>
+                    <button className="btn btn-danger btn-small" onClick={() => handleDelete(site)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Outgoing webhook subscriptions and their delivery log (webhooks:manage permission)
+const WebhooksPanel = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newWebhook, setNewWebhook] = useState({ url: '', description: '', events: [] });
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [selectedWebhook, setSelectedWebhook] = useState(null);
+  const [testingId, setTestingId] = useState(null);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const response = await adminAPI.getWebhooks();
+      setWebhooks(response.data.data);
+      setEvents(response.data.events);
+    } catch (err) {
+      console.error('❌ Error loading webhooks:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const toggleNewEvent = (event) => {
+    setNewWebhook(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(item => item !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (newWebhook.events.length === 0) {
+      alert('Select at least one event');
+      return;
+    }
+    try {
+      const response = await adminAPI.createWebhook(newWebhook);
+      const created = response.data.data;
+      setRevealedSecret({ url: created.url, secret: created.secret });
+      setNewWebhook({ url: '', description: '', events: [] });
+      setShowCreateForm(false);
+      loadWebhooks();
+    } catch (err) {
+      alert('Failed to create webhook: ' + handleAPIError(err));
+    }
+  };
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      await adminAPI.updateWebhook(webhook.id, { active: !webhook.active });
+      loadWebhooks();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm(`Generate a new signing secret for ${webhook.url}? The old secret stops working immediately.`)) return;
+    try {
+      const response = await adminAPI.updateWebhook(webhook.id, { rotateSecret: true });
+      setRevealedSecret({ url: webhook.url, secret: response.data.data.secret });
+      loadWebhooks();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) return;
+    try {
+      await adminAPI.deleteWebhook(webhook.id);
+      if (selectedWebhook?.id === webhook.id) setSelectedWebhook(null);
+      loadWebhooks();
+    } catch (err) {
+      alert(handleAPIError(err));
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    try {
+      setTestingId(webhook.id);
+      const response = await adminAPI.testWebhook(webhook.id);
+      alert(response.data.message);
+      loadWebhooks();
+    } catch (err) {
+      alert('Failed to send test event: ' + handleAPIError(err));
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  return (
+    <>
+      <div className="user-management card">
+        <div className="section-header">
+          <h3>🪝 Webhooks ({webhooks.length})</h3>
+          <button className="btn btn-primary" onClick={() => setShowCreateForm(prev => !prev)}>
+            {showCreateForm ? 'Cancel' : '➕ Add Webhook'}
+          </button>
+        </div>
+
+        {revealedSecret && (
+          <div className="webhook-secret">
+            <p>
+              Signing secret for <strong>{revealedSecret.url}</strong> - copy it now, it won't be shown again:
+            </p>
+            <code>{revealedSecret.secret}</code>
+            <button className="btn btn-outline btn-small" onClick={() => setRevealedSecret(null)}>Done</button>
+          </div>
+        )}
+
+        {showCreateForm && (
+          <form className="webhook-create-form" onSubmit={handleCreate}>
+            <input
+              className="form-input"
+              type="url"
+              placeholder="https://example.com/hooks/feedback"
+              value={newWebhook.url}
+              onChange={(e) => setNewWebhook({ ...newWebhook, url: e.target.value })}
+              required
+            />
+            <input
+              className="form-input"
+              placeholder="Description (optional)"
+              value={newWebhook.description}
+              onChange={(e) => setNewWebhook({ ...newWebhook, description: e.target.value })}
+            />
+            <div className="webhook-events">
+              {events.map(event => (
+                <label key={event}>
+                  <input
+                    type="checkbox"
+                    checked={newWebhook.events.includes(event)}
+                    onChange={() => toggleNewEvent(event)}
+                  />
+                  {event}
+                </label>
+              ))}
+            </div>
+            <button type="submit" className="btn btn-success">Create</button>
+          </form>
+        )}
+
+        {error && (
+          <div className="error-message">
+            <p>❌ {error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <LoadingSpinner message="Loading webhooks..." />
+        ) : webhooks.length === 0 ? (
+          <p>No webhooks yet. Add one to receive feedback events in your own systems.</p>
+        ) : (
+          <div className="user-table-wrapper">
+            <table className="user-table">
+              <thead>
+                <tr>
+                  <th>Endpoint</th>
+                  <th>Events</th>
+                  <th>Status</th>
+                  <th>Last Delivery</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {webhooks.map(webhook => (
+                  <tr key={webhook.id} className={webhook.active ? '' : 'inactive'}>
+                    <td>
+                      <strong>{webhook.url}</strong>
+                      <div className="user-table-meta">
+                        {webhook.description && `${webhook.description} · `}secret {webhook.secretPreview}
+                      </div>
+                    </td>
+                    <td>{webhook.events.join(', ')}</td>
+                    <td>
+                      <span className={`status-badge ${webhook.active ? 'status-resolved' : 'status-pending'}`}>
+                        {webhook.active ? 'active' : 'paused'}
+                      </span>
+                    </td>
+                    <td>
+                      {webhook.lastDeliveryAt ? (
+                        <>
+                          <span className={`delivery-status delivery-status-${webhook.lastDeliveryStatus}`}>
+                            {webhook.lastDeliveryStatus}
+                          </span>
+                          <div className="user-table-meta">{new Date(webhook.lastDeliveryAt).toLocaleString()}</div>
+                        </>
+                      ) : 'Never'}
+                    </td>
+                    <td className="user-actions">
+                      <button
+                        className="btn btn-outline btn-small"
+                        onClick={() => handleTest(webhook)}
+                        disabled={testingId === webhook.id}
+                      >
+                        {testingId === webhook.id ? 'Sending...' : 'Send Test'}
+                      </button>
+                      <button className="btn btn-outline btn-small" onClick={() => setSelectedWebhook(webhook)}>
+                        Deliveries
+                      </button>
+                      <button className="btn btn-outline btn-small" onClick={() => handleToggleActive(webhook)}>
+                        {webhook.active ? 'Pause' : 'Activate'}
+                      </button>
+                      <button className="btn btn-outline btn-small" onClick={() => handleRotateSecret(webhook)}>
+                        Rotate Secret
+                      </button>
+                      <button className="btn btn-danger btn-small" onClick={() => handleDelete(webhook)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedWebhook && (
+        <WebhookDeliveries
+          key={selectedWebhook.id}
+          webhook={selectedWebhook}
+          onClose={() => setSelectedWebhook(null)}
+        />
+      )}
+    </>
+  );
+};
+
+// Delivery log for one webhook, with redelivery
+const WebhookDeliveries = ({ webhook, onClose }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [statuses, setStatuses] = useState(['pending', 'succeeded', 'failed']);
+  const [query, setQuery] = useState({ status: '', page: 1 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const params = { page: query.page, limit: 20 };
+      if (query.status) params.status = query.status;
+
+      const response = await adminAPI.getWebhookDeliveries(webhook.id, params);
+      setDeliveries(response.data.data);
+      setPagination(response.data.pagination);
+      if (response.data.statuses) setStatuses(response.data.statuses);
+    } catch (err) {
+      console.error('❌ Error loading webhook deliveries:', err);
+      setError(handleAPIError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [webhook.id, query]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      const response = await adminAPI.redeliverWebhook(webhook.id, delivery.id);
+      alert(response.data.message);
+      setQuery(prev => ({ ...prev, page: 1 }));    // New deliveries are listed first
+    } catch (err) {
+      alert('Failed to redeliver: ' + handleAPIError(err));
+    }
+  };
+
+  return (
+    <div className="user-management card">
+      <div className="section-header">
+        <h3>📦 Deliveries - {webhook.url} {pagination && `(${pagination.totalItems})`}</h3>
+        <button className="btn btn-outline" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="user-filters">
+        <select
+          className="form-select"
+          value={query.status}
+          onChange={(e) => setQuery({ status: e.target.value, page: 1 })}
+        >
+          <option value="">All Statuses</option>
+          {statuses.map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <button className="btn btn-outline" onClick={loadDeliveries}>🔄 Refresh</button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>❌ {error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSpinner message="Loading deliveries..." />
+      ) : deliveries.length === 0 ? (
+        <p>No deliveries yet</p>
+      ) : (
+        <div className="user-table-wrapper">
+          <table className="user-table">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Event</th>
+                <th>Status</th>
+                <th>Response</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <React.Fragment key={delivery.id}>
+                  <tr>
+                    <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                    <td>
+                      {delivery.event}
+                      {delivery.redeliveryOf && <div className="user-table-meta">redelivery</div>}
+                    </td>
+                    <td>
+                      <span className={`delivery-status delivery-status-${delivery.status}`}>{delivery.status}</span>
+                      <div className="user-table-meta">
+                        {delivery.attempts} attempt(s)
+                        {delivery.status === 'pending' && delivery.attempts > 0 &&
+                          ` · next ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+                      </div>
+                    </td>
+                    <td>
+                      {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '—'}
+                      {delivery.error && <div className="user-table-meta">{delivery.error}</div>}
+                      {delivery.durationMs !== undefined && <div className="user-table-meta">{delivery.durationMs} ms</div>}
+                    </td>
+                    <td className="user-actions">
+                      <button
+                        className="btn btn-outline btn-small"
+                        onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                      >
+                        {expandedId === delivery.id ? 'Hide' : 'Payload'}
+                      </button>
+                      <button className="btn btn-outline btn-small" onClick={() => handleRedeliver(delivery)}>
+                        Redeliver
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === delivery.id && (
+                    <tr>
+                      <td colSpan="5">
+                        <pre className="webhook-payload">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                        {delivery.responseBody && (
+                          <pre className="webhook-payload">{delivery.responseBody}</pre>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="pagination">
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasPrevPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            ← Previous
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+          <button
+            className="btn btn-outline btn-small"
+            disabled={!pagination.hasNextPage}
+            onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next →
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -3,12 +3,29 @@
  * Enhanced user dashboard with proper feedback filtering and management
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { feedbackAPI, handleAPIError, getCurrentUser } from '../services/api';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { feedbackAPI, authAPI, handleAPIError, getCurrentUser } from '../services/api';
+import { useWorkflow, getStatusInfo } from '../services/workflow';
+import { useFeedbackEvents, applyFeedbackEvent } from '../services/realtime';
 import FeedbackForm from '../components/FeedbackForm';
 import AIQuestionBox from '../components/AIQuestionBox';
+import ConversationThread from '../components/ConversationThread';
 import LoadingSpinner from '../components/LoadingSpinner';
 
+// Calculate user feedback statistics, grouping statuses by workflow category
+const calculateStats = (feedbackList, workflow) => {
+  const countCategory = (category) => feedbackList
+    .filter(f => getStatusInfo(workflow, f.status).category === category).length;
+
+  const total = feedbackList.length;
+  const pending = countCategory('open');
+  const responded = countCategory('waiting');
+  const resolved = countCategory('done');
+  const avgRating = total > 0 ? feedbackList.reduce((sum, f) => sum + f.rating, 0) / total : 0;
+
+  return { total, pending, responded, resolved, avgRating };
+};
+
 const Dashboard = () => {
   const [feedback, setFeedback] = useState([]);
   const [filteredFeedback, setFilteredFeedback] = useState([]);
@@ -19,8 +36,14 @@ const Dashboard = () => {
     category: '',
     rating: ''
   });
-  const [feedbackStats, setFeedbackStats] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);  // 🔧 FIX: Track current user
+  const workflow = useWorkflow();
+
+  // Stats follow the feedback list (statuses are grouped once the workflow loads)
+  const feedbackStats = useMemo(
+    () => (workflow ? calculateStats(feedback, workflow) : null),
+    [feedback, workflow]
+  );
 
   // 🔧 FIX: Initialize current user on component mount
   useEffect(() => {
@@ -31,18 +54,32 @@ const Dashboard = () => {
 
   const handleFeedbackSubmitted = (newFeedback) => {
     console.log('✅ New feedback submitted:', newFeedback);
-    // Add new feedback to the list
-    setFeedback(prev => [newFeedback, ...prev]);
-    setFilteredFeedback(prev => [newFeedback, ...prev]);
-    
-    // Update stats
-    const updatedFeedback = [newFeedback, ...feedback];
-    const stats = calculateStats(updatedFeedback);
-    setFeedbackStats(stats);
+    // Add new feedback to the list (the live update may have added it already)
+    setFeedback(prev => [newFeedback, ...prev.filter(item => item.id !== newFeedback.id)]);
     
     alert('Thank you for your feedback! We appreciate your input.');
   };
 
+  // Post a follow-up reply and swap in the updated feedback
+  const handleReply = async (feedbackId, body) => {
+    try {
+      const response = await feedbackAPI.addMessage(feedbackId, body);
+      const updated = response.data.data;
+      const replaceItem = (list) => list.map(item => ((item._id || item.id) === feedbackId ? updated : item));
+
+      setFeedback(replaceItem);
+      setFilteredFeedback(replaceItem);
+    } catch (err) {
+      alert('Failed to send reply: ' + handleAPIError(err));
+      throw err;
+    }
+  };
+
+  // Live updates - the server only sends events for feedback this user can see
+  useFeedbackEvents((type, changed) => {
+    setFeedback(prev => applyFeedbackEvent(prev, type, changed));
+  });
+
   // Load user's feedback with proper filtering
   const loadFeedback = useCallback(async () => {
     try {
@@ -66,10 +103,6 @@ const Dashboard = () => {
         setFilteredFeedback(feedbackData);
         console.log(`✅ Loaded ${feedbackData.length} feedback items for user: ${user.username}`);
         
-        // Calculate basic stats
-        const stats = calculateStats(feedbackData);
-        setFeedbackStats(stats);
-        
         // 🔧 FIX: Show debug info if no feedback found
         if (feedbackData.length === 0) {
           console.log('ℹ️ No feedback found for user. This could be normal for new users.');
@@ -85,7 +118,6 @@ const Dashboard = () => {
       // 🔧 FIX: Clear feedback data on error
       setFeedback([]);
       setFilteredFeedback([]);
-      setFeedbackStats(null);
       
       // 🔧 FIX: Special handling for authentication errors
       if (err.message?.includes('authentication') || err.response?.status === 401) {
@@ -96,17 +128,6 @@ const Dashboard = () => {
     }
   }, []);
 
-  // Calculate user feedback statistics
-  const calculateStats = (feedbackList) => {
-    const total = feedbackList.length;
-    const pending = feedbackList.filter(f => f.status === 'pending').length;
-    const responded = feedbackList.filter(f => f.status === 'responded').length;
-    const resolved = feedbackList.filter(f => f.status === 'resolved').length;
-    const avgRating = total > 0 ? feedbackList.reduce((sum, f) => sum + f.rating, 0) / total : 0;
-
-    return { total, pending, responded, resolved, avgRating };
-  };
-
   // Filter feedback based on selected criteria
   const filterFeedback = useCallback(() => {
     let filtered = [...feedback];
@@ -140,6 +161,15 @@ const Dashboard = () => {
     }));
   };
 
+  const resendVerification = async () => {
+    try {
+      await authAPI.resendVerification();
+      alert(`Verification email sent to ${currentUser.email}`);
+    } catch (err) {
+      alert('Failed to send verification email: ' + handleAPIError(err));
+    }
+  };
+
   const clearFilters = () => {
     setFilters({
       status: '',
@@ -186,6 +216,16 @@ const Dashboard = () => {
         )}
       </div>
 
+      {/* Email verification reminder */}
+      {currentUser.emailVerified === false && (
+        <div className="verify-email-banner">
+          <span>📧 Please verify your email address so we can reach you about your feedback.</span>
+          <button className="btn btn-outline btn-small" onClick={resendVerification}>
+            Resend Verification Email
+          </button>
+        </div>
+      )}
+
       {/* User Feedback Statistics */}
       {feedbackStats && feedbackStats.total > 0 && (
         <div className="user-stats">
@@ -196,7 +236,7 @@ const Dashboard = () => {
             </div>
             <div className="stat-card pending">
               <h3>{feedbackStats.pending}</h3>
-              <p>Pending Review</p>
+              <p>In Review</p>
             </div>
             <div className="stat-card responded">
               <h3>{feedbackStats.responded}</h3>
@@ -204,7 +244,7 @@ const Dashboard = () => {
             </div>
             <div className="stat-card resolved">
               <h3>{feedbackStats.resolved}</h3>
-              <p>Resolved</p>
+              <p>Resolved / Closed</p>
             </div>
             <div className="stat-card">
               <h3>{feedbackStats.avgRating.toFixed(1)}</h3>
@@ -265,9 +305,11 @@ const Dashboard = () => {
                   className="form-select"
                 >
                   <option value="">All Statuses</option>
-                  <option value="pending">⏳ Pending Review</option>
-                  <option value="responded">📧 Admin Responded</option>
-                  <option value="resolved">✅ Resolved</option>
+                  {workflow?.statuses.map(status => (
+                    <option key={status.value} value={status.value}>
+                      {status.icon} {status.label}
+                    </option>
+                  ))}
                 </select>
               </div>
 
@@ -367,41 +409,86 @@ const Dashboard = () => {
             </div>
           ) : (
             filteredFeedback.map(item => (
-              <FeedbackItem key={item._id || item.id} feedback={item} />  // 🔧 FIX: Use _id as primary key
+              <FeedbackItem
+                key={item._id || item.id}  // 🔧 FIX: Use _id as primary key
+                feedback={item}
+                workflow={workflow}
+                currentUser={currentUser}
+                onReply={(body) => handleReply(item._id || item.id, body)}
+              />
             ))
           )}
         </div>
       </section>
+
+      {/* Email opt-outs */}
+      <EmailPreferences />
     </div>
   );
 };
 
+const EMAIL_PREFERENCE_OPTIONS = [
+  { key: 'acknowledgement', label: 'Confirmation when I submit feedback' },
+  { key: 'response', label: 'When the support team replies' },
+  { key: 'resolution', label: 'When my feedback is resolved' }
+];
+
+// Which feedback emails the user receives
+const EmailPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    authAPI.getPreferences()
+      .then(response => setPreferences(response.data.data))
+      .catch(err => console.error('❌ Error loading email preferences:', err));
+  }, []);
+
+  const togglePreference = async (key) => {
+    const previous = preferences;
+    const updated = { ...preferences, [key]: !preferences[key] };
+    setPreferences(updated);
+    setIsSaving(true);
+    try {
+      await authAPI.updatePreferences({ [key]: updated[key] });
+    } catch (err) {
+      setPreferences(previous);
+      alert('Failed to update email preferences: ' + handleAPIError(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!preferences) return null;
+
+  return (
+    <section className="email-preferences card">
+      <h3>📧 Email Notifications</h3>
+      {EMAIL_PREFERENCE_OPTIONS.map(option => (
+        <label key={option.key}>
+          <input
+            type="checkbox"
+            checked={preferences[option.key] !== false}
+            onChange={() => togglePreference(option.key)}
+            disabled={isSaving}
+          />
+          {option.label}
+        </label>
+      ))}
+    </section>
+  );
+};
+
 // Enhanced feedback item component with better admin response display
-const FeedbackItem = ({ feedback }) => {
+const FeedbackItem = ({ feedback, workflow, currentUser, onReply }) => {
+  const statusInfo = getStatusInfo(workflow, feedback.status);
+
   const renderStars = (rating) => {
     return Array.from({ length: 5 }, (_, i) => (
       <span key={i} className={`star ${i < rating ? '' : 'empty'}`}>★</span>
     ));
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'pending': return '⏳';
-      case 'responded': return '📧';
-      case 'resolved': return '✅';
-      default: return '📝';
-    }
-  };
-
-  const getStatusMessage = (status) => {
-    switch (status) {
-      case 'pending': return 'Your feedback is being reviewed by our team';
-      case 'responded': return 'Admin has responded to your feedback';
-      case 'resolved': return 'This feedback has been resolved';
-      default: return '';
-    }
-  };
-
   return (
     <div className="feedback-item card">
       <div className="feedback-header">
@@ -411,7 +498,7 @@ const FeedbackItem = ({ feedback }) => {
         </div>
         <div className="feedback-status">
           <span className={`status-badge status-${feedback.status}`}>
-            {getStatusIcon(feedback.status)} {feedback.status}
+            {statusInfo.icon} {statusInfo.label}
           </span>
         </div>
       </div>
@@ -435,31 +522,20 @@ const FeedbackItem = ({ feedback }) => {
           <p className="feedback-message">{feedback.message}</p>
         </div>
         
-        {/* Enhanced admin response display */}
-        {feedback.adminResponse ? (
+        {/* Conversation with the support team */}
+        {feedback.adminResponse || feedback.messages?.length > 0 ? (
           <div className="admin-response">
-            <div className="response-header">
-              <h4>📧 Admin Response:</h4>
-              {feedback.respondedAt && (
-                <small className="response-date">
-                  Responded on: {new Date(feedback.respondedAt).toLocaleString()}
-                </small>
-              )}
-            </div>
-            <div className="response-content">
-              <p className="admin-response-text">{feedback.adminResponse}</p>
-            </div>
-            <div className="response-footer">
-              <small className="response-note">
-                💡 If you have follow-up questions, feel free to submit new feedback referencing this conversation.
-              </small>
-            </div>
+            <ConversationThread
+              feedback={feedback}
+              currentUser={currentUser}
+              onReply={statusInfo.acceptsCustomerReplies ? onReply : null}
+            />
           </div>
         ) : (
           <div className="status-message">
             <p className="status-text">
-              <span className="status-icon">{getStatusIcon(feedback.status)}</span>
-              {getStatusMessage(feedback.status)}
+              <span className="status-icon">{statusInfo.icon}</span>
+              {statusInfo.customerMessage}
             </p>
             {feedback.status === 'pending' && (
               <small className="pending-note">
@@ -30,10 +30,11 @@ const api = axios.create({
  */
 api.interceptors.request.use(
   (config) => {
-    // Add user authentication if available
+    // Attach the access token if we have one
     const currentUser = getCurrentUser();
-    if (currentUser && currentUser._id) {  // 🔧 FIX: Use _id instead of id
-      config.headers['x-user-id'] = currentUser._id;
+    const tokens = getAuthTokens();
+    if (tokens?.accessToken) {
+      config.headers['Authorization'] = `Bearer ${tokens.accessToken}`;
     }
     
     // Log API requests in development
@@ -128,6 +129,7 @@ function setCurrentUser(userData) {
       console.log('✅ User data stored in session:', normalizedUser.username);
     } else {
       sessionStorage.removeItem('currentUser');
+      setAuthTokens(null);
       console.log('✅ User data cleared from session');
     }
   } catch (error) {
@@ -135,8 +137,65 @@ function setCurrentUser(userData) {
   }
 }
 
+/**
+ * Token Management Functions
+ * Access/refresh token pair issued by /auth/login, /auth/register and /auth/refresh
+ */
+function getAuthTokens() {
+  try {
+    const tokenData = sessionStorage.getItem('authTokens');
+    return tokenData ? JSON.parse(tokenData) : null;
+  } catch (error) {
+    console.error('Error getting auth tokens:', error);
+    sessionStorage.removeItem('authTokens');
+    return null;
+  }
+}
+
+function setAuthTokens(tokens) {
+  if (tokens) {
+    sessionStorage.setItem('authTokens', JSON.stringify(tokens));
+  } else {
+    sessionStorage.removeItem('authTokens');
+  }
+}
+
+// Shared in-flight refresh so parallel 401s only rotate the token once
+let refreshPromise = null;
+
+function refreshAuthTokens() {
+  if (!refreshPromise) {
+    const refreshToken = getAuthTokens()?.refreshToken;
+
+    refreshPromise = api.post('/auth/refresh', { refreshToken })
+      .then((response) => {
+        setAuthTokens(response.data.tokens);
+        // Pick up role/permission changes made since login
+        if (response.data.data) {
+          setCurrentUser(response.data.data);
+        }
+        return response.data.tokens;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// Auth endpoints never trigger a refresh-and-retry
+const isAuthEndpoint = (url = '') => /\/auth\/(login|register|refresh|logout|forgot-password|reset-password)/.test(url);
 
 
+
+/**
+ * Check whether a user holds a permission
+ * Permissions come from the server (see server/config/permissions.js)
+ */
+function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
+
 function validateUserData(userData) {
   if (!userData) return false;
   
@@ -172,7 +231,29 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // 🔄 Access token expired - refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isAuthEndpoint(originalRequest.url) &&
+      getAuthTokens()?.refreshToken
+    ) {
+      originalRequest._retry = true;
+      try {
+        const tokens = await refreshAuthTokens();
+        originalRequest.headers['Authorization'] = `Bearer ${tokens.accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error('🔒 Token refresh failed - clearing user session');
+        setCurrentUser(null);
+        return Promise.reject(error);
+      }
+    }
+
     // Handle common HTTP errors
     if (error.response) {
       const { status, data } = error.response;
@@ -257,6 +338,21 @@ export const feedbackAPI = {
     return api.put(`/feedback/${id}`, updateData);
   },
 
+  // Status workflow definition (statuses, labels, allowed transitions)
+  getWorkflow: () => {
+    return api.get('/feedback/workflow');
+  },
+
+  // Reply to the feedback conversation
+  addMessage: (id, body) => {
+    const currentUser = getCurrentUser();
+    if (!currentUser) {
+      return Promise.reject(new Error('User authentication required'));
+    }
+    
+    return api.post(`/feedback/${id}/messages`, { body });
+  },
+
   // Delete feedback
   delete: (id) => {
     const currentUser = getCurrentUser();
@@ -297,6 +393,11 @@ export const aiAPI = {
     return api.post(`/ai/analyze-sentiment/${feedbackId}`);
   },
 
+  // Re-run triage (sentiment, topics, suggested category and priority) on feedback
+  triage: (feedbackId) => {
+    return api.post(`/ai/triage/${feedbackId}`);
+  },
+
   // Check AI service health
   checkHealth: () => {
     return api.get('/ai/health');
@@ -318,10 +419,30 @@ export const adminAPI = {
   },
 
   // Send admin response to feedback
-  respondToFeedback: (feedbackId, adminResponse, status = 'responded') => {
+  // Without a status the server applies the workflow's staff-reply rule
+  respondToFeedback: (feedbackId, adminResponse, status) => {
     return api.put(`/admin/feedback/${feedbackId}/response`, { adminResponse, status });
   },
 
+  // Add a staff reply (or internal-only message) to the conversation
+  addMessage: (feedbackId, body, internal = false) => {
+    return api.post(`/admin/feedback/${feedbackId}/messages`, { body, internal });
+  },
+
+  // Audit trail for a feedback item
+  getHistory: (feedbackId) => {
+    return api.get(`/admin/feedback/${feedbackId}/history`);
+  },
+
+  // Internal staff notes
+  getNotes: (feedbackId) => {
+    return api.get(`/admin/feedback/${feedbackId}/notes`);
+  },
+
+  addNote: (feedbackId, body) => {
+    return api.post(`/admin/feedback/${feedbackId}/notes`, { body });
+  },
+
   // Update feedback status
   updateFeedbackStatus: (feedbackId, status) => {
     return api.put(`/admin/feedback/${feedbackId}/status`, { status });
@@ -332,12 +453,177 @@ export const adminAPI = {
     return api.put(`/admin/feedback/${feedbackId}/priority`, { priority });
   },
 
+  // Assign feedback to a staff member ('me' for yourself, null to unassign)
+  assignFeedback: (feedbackId, assigneeId) => {
+    return api.put(`/admin/feedback/${feedbackId}/assign`, { assigneeId });
+  },
+
+  // Staff members feedback can be assigned to
+  getStaff: () => {
+    return api.get('/admin/staff');
+  },
+
   // Generate summary report
   getSummaryReport: (startDate, endDate) => {
     return api.get('/admin/reports/summary', {
       params: { startDate, endDate }
     });
   },
+
+  // User management
+  getUsers: (params = {}) => {
+    return api.get('/admin/users', { params });
+  },
+
+  createUser: (userData) => {
+    return api.post('/admin/users', userData);
+  },
+
+  updateUser: (userId, updateData) => {
+    return api.put(`/admin/users/${userId}`, updateData);
+  },
+
+  updateUserRole: (userId, role) => {
+    return api.put(`/admin/users/${userId}/role`, { role });
+  },
+
+  setUserActive: (userId, isActive) => {
+    return api.put(`/admin/users/${userId}/status`, { isActive });
+  },
+
+  forcePasswordReset: (userId) => {
+    return api.post(`/admin/users/${userId}/force-password-reset`);
+  },
+
+  deleteUser: (userId) => {
+    return api.delete(`/admin/users/${userId}`);
+  },
+
+  // Outgoing email log
+  getMailLog: (params = {}) => {
+    return api.get('/admin/mail-log', { params });
+  },
+
+  // Background jobs
+  getJobs: (params = {}) => {
+    return api.get('/admin/jobs', { params });
+  },
+
+  retryJob: (id) => {
+    return api.post(`/admin/jobs/${id}/retry`);
+  },
+
+  // Knowledge base
+  getKbArticles: () => {
+    return api.get('/admin/kb-articles');
+  },
+
+  createKbArticle: (data) => {
+    return api.post('/admin/kb-articles', data);
+  },
+
+  updateKbArticle: (id, data) => {
+    return api.put(`/admin/kb-articles/${id}`, data);
+  },
+
+  deleteKbArticle: (id) => {
+    return api.delete(`/admin/kb-articles/${id}`);
+  },
+
+  searchKb: (q) => {
+    return api.get('/admin/kb-search', { params: { q } });
+  },
+
+  // Outgoing webhooks
+  getWebhooks: () => {
+    return api.get('/admin/webhooks');
+  },
+
+  createWebhook: (webhook) => {
+    return api.post('/admin/webhooks', webhook);
+  },
+
+  updateWebhook: (id, changes) => {
+    return api.put(`/admin/webhooks/${id}`, changes);
+  },
+
+  deleteWebhook: (id) => {
+    return api.delete(`/admin/webhooks/${id}`);
+  },
+
+  testWebhook: (id) => {
+    return api.post(`/admin/webhooks/${id}/test`);
+  },
+
+  getWebhookDeliveries: (id, params = {}) => {
+    return api.get(`/admin/webhooks/${id}/deliveries`, { params });
+  },
+
+  redeliverWebhook: (id, deliveryId) => {
+    return api.post(`/admin/webhooks/${id}/deliveries/${deliveryId}/redeliver`);
+  },
+
+  // Slack/Teams chat alerts
+  getChatNotifications: () => {
+    return api.get('/admin/chat-notifications');
+  },
+
+  testChatNotifications: () => {
+    return api.post('/admin/chat-notifications/test');
+  },
+
+  // Messages captured by the local chat stub (test mode only)
+  getChatStubMessages: () => {
+    return api.get('/chat-stub');
+  },
+
+  // API keys
+  getApiKeys: () => {
+    return api.get('/admin/api-keys');
+  },
+
+  createApiKey: (apiKey) => {
+    return api.post('/admin/api-keys', apiKey);
+  },
+
+  updateApiKey: (id, changes) => {
+    return api.put(`/admin/api-keys/${id}`, changes);
+  },
+
+  revokeApiKey: (id) => {
+    return api.post(`/admin/api-keys/${id}/revoke`);
+  },
+
+  getWidgetSites: () => {
+    return api.get('/admin/widget-sites');
+  },
+
+  createWidgetSite: (site) => {
+    return api.post('/admin/widget-sites', site);
+  },
+
+  updateWidgetSite: (id, changes) => {
+    return api.put(`/admin/widget-sites/${id}`, changes);
+  },
+
+  deleteWidgetSite: (id) => {
+    return api.delete(`/admin/widget-sites/${id}`);
+  },
+
+  // The widget is served by the API server, outside /api
+  getWidgetScriptUrl: () => {
+    return `${api.defaults.baseURL.replace(/\/api\/?$/, '')}/widget/embed.js`;
+  },
+};
+
+/**
+ * Notification API Methods
+ */
+export const notificationAPI = {
+  getAll: (params = {}) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+  markAllRead: () => api.put('/notifications/read-all'),
 };
 
 /**
@@ -354,10 +640,28 @@ export const healthAPI = {
  * Authentication API Methods
  */
 export const authAPI = {
-  login: (credentials) => api.post('/auth/login', credentials),
-  register: (userData) => api.post('/auth/register', userData),
+  login: async (credentials) => {
+    const response = await api.post('/auth/login', credentials);
+    setAuthTokens(response.data.tokens);
+    return response;
+  },
+  register: async (userData) => {
+    const response = await api.post('/auth/register', userData);
+    setAuthTokens(response.data.tokens);
+    return response;
+  },
+  logout: () => {
+    const refreshToken = getAuthTokens()?.refreshToken;
+    return api.post('/auth/logout', { refreshToken });
+  },
   validateToken: () => api.get('/auth/validate-token'),
   setupDemo: () => api.get('/auth/demo-setup'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  getPreferences: () => api.get('/auth/preferences'),
+  updatePreferences: (preferences) => api.put('/auth/preferences', preferences),
 };
 
 /**
@@ -432,5 +736,5 @@ export default api;
  */
 
 // Export user management functions
-export { getCurrentUser, setCurrentUser };
-export { validateUserData };
\ No newline at end of file
+export { getCurrentUser, setCurrentUser, getAuthTokens };
+export { validateUserData, hasPermission };
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Real-time Updates
+ * One shared Server-Sent Events connection for feedback and notification events
+ */
+
+import { useEffect, useRef } from 'react';
+import api, { authAPI, getAuthTokens } from './api';
+
+export const FEEDBACK_EVENTS = ['feedback.created', 'feedback.updated', 'feedback.responded', 'feedback.deleted'];
+export const NOTIFICATION_EVENTS = ['notification.created'];
+
+const ALL_EVENTS = [...FEEDBACK_EVENTS, ...NOTIFICATION_EVENTS];
+const MAX_RETRY_DELAY_MS = 30000;
+
+// event type -> Set of handlers
+const listeners = new Map();
+
+let source = null;
+let retryTimer = null;
+let attempts = 0;
+let isConnecting = false;
+
+const hasListeners = () => [...listeners.values()].some(handlers => handlers.size > 0);
+
+const dispatch = (type, data) => {
+  (listeners.get(type) || []).forEach(handler => {
+    try {
+      handler(type, data);
+    } catch (error) {
+      console.error('❌ Error handling live update:', error);
+    }
+  });
+};
+
+const scheduleReconnect = () => {
+  if (!hasListeners()) return;
+  const delay = Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY_MS);
+  attempts++;
+  retryTimer = setTimeout(connect, delay);
+};
+
+/**
+ * Open the stream. The session is validated first so an expired access token
+ * is refreshed by the API interceptors before the stream opens.
+ */
+async function connect() {
+  if (source || isConnecting) return;
+  isConnecting = true;
+
+  try {
+    await authAPI.validateToken();
+  } catch (error) {
+    isConnecting = false;
+    if (error.response?.status !== 401) scheduleReconnect(); // 401: logged out, nothing to subscribe to
+    return;
+  }
+  isConnecting = false;
+
+  const accessToken = getAuthTokens()?.accessToken;
+  if (!accessToken || !hasListeners()) return;
+
+  source = new EventSource(`${api.defaults.baseURL}/events?access_token=${encodeURIComponent(accessToken)}`);
+
+  source.addEventListener('connected', () => {
+    attempts = 0;
+    console.log('📡 Live updates connected');
+  });
+
+  ALL_EVENTS.forEach(type => {
+    source.addEventListener(type, (event) => dispatch(type, JSON.parse(event.data)));
+  });
+
+  // The server closes the stream when the access token expires
+  source.onerror = () => {
+    disconnect();
+    scheduleReconnect();
+  };
+}
+
+function disconnect() {
+  clearTimeout(retryTimer);
+  if (source) source.close();
+  source = null;
+}
+
+/**
+ * Register a handler for some event types; returns an unsubscribe function
+ * The connection opens with the first handler and closes with the last
+ */
+export function subscribe(types, handler) {
+  types.forEach(type => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+  });
+  if (typeof EventSource !== 'undefined') connect();
+
+  return () => {
+    types.forEach(type => listeners.get(type)?.delete(handler));
+    if (!hasListeners()) {
+      disconnect();
+      attempts = 0;
+    }
+  };
+}
+
+/**
+ * React hook calling onEvent(type, data) for the given server event types
+ */
+export function useServerEvents(types, onEvent, enabled = true) {
+  const handlerRef = useRef(onEvent);
+  const typesKey = types.join(',');
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribe(typesKey.split(','), (type, data) => handlerRef.current(type, data));
+  }, [typesKey, enabled]);
+}
+
+/**
+ * React hook calling onEvent(type, feedback) for every feedback event the user may see
+ */
+export function useFeedbackEvents(onEvent, enabled = true) {
+  useServerEvents(FEEDBACK_EVENTS, (type, data) => onEvent(type, data.feedback), enabled);
+}
+
+/**
+ * Apply a feedback event to a list of feedback items
+ * Updated items replace the existing entry, new ones go to the top
+ */
+export function applyFeedbackEvent(list, type, feedback) {
+  if (type === 'feedback.deleted') {
+    return list.filter(item => item.id !== feedback.id);
+  }
+  const exists = list.some(item => item.id === feedback.id);
+  if (!exists) {
+    return type === 'feedback.created' ? [feedback, ...list] : list;
+  }
+  return list.map(item => (item.id === feedback.id ? { ...item, ...feedback } : item));
+}
@@ -0,0 +1,68 @@
+/**
+ * Status Workflow
+ * Loads the server's status workflow once and shares it between pages
+ */
+
+import { useState, useEffect } from 'react';
+import { feedbackAPI } from './api';
+
+let workflowPromise = null;
+
+/**
+ * Fetch the workflow definition (cached for the session)
+ */
+export function loadWorkflow() {
+  if (!workflowPromise) {
+    workflowPromise = feedbackAPI.getWorkflow()
+      .then(response => response.data.data)
+      .catch(error => {
+        workflowPromise = null; // Allow a retry on the next call
+        throw error;
+      });
+  }
+  return workflowPromise;
+}
+
+/**
+ * React hook returning the workflow (null until loaded)
+ */
+export function useWorkflow() {
+  const [workflow, setWorkflow] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    loadWorkflow()
+      .then(data => {
+        if (isMounted) setWorkflow(data);
+      })
+      .catch(error => console.error('❌ Error loading status workflow:', error));
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  return workflow;
+}
+
+/**
+ * Look up a status definition, falling back to the raw value
+ */
+export function getStatusInfo(workflow, value) {
+  return workflow?.statuses.find(status => status.value === value) || {
+    value,
+    label: value,
+    icon: '📝',
+    category: 'open',
+    acceptsCustomerReplies: true
+  };
+}
+
+/**
+ * Statuses feedback may move to from its current status
+ */
+export function getNextStatuses(workflow, value) {
+  const allowed = workflow?.transitions[value] || [];
+  return workflow ? workflow.statuses.filter(status => allowed.includes(status.value)) : [];
+}
@@ -0,0 +1,59 @@
+/**
+ * AI Provider Configuration
+ * Which model backs the AI features, and what to fall back to when it fails
+ *
+ * Providers (services/aiProviders):
+ * - gemini    Google Gemini API
+ * - openai    Any OpenAI-compatible chat completions API - OpenAI itself, or a local
+ *             server such as Ollama, llama.cpp, LM Studio or vLLM
+ * - offline   Deterministic rules and templates - no network, same output every time
+ *
+ * Environment:
+ * - AI_PROVIDER         gemini | openai | offline (default: gemini if GEMINI_API_KEY is set,
+ *                       openai if OPENAI_BASE_URL or OPENAI_API_KEY is set, otherwise offline)
+ * - AI_FALLBACK         Provider used when the main one errors: offline (default) or none
+ * - AI_TIMEOUT_MS       Per-request timeout (default 30s)
+ * - AI_JSON_RETRIES     Extra attempts when a model returns unusable JSON (default 2)
+ * - GEMINI_API_KEY      Gemini API key
+ * - GEMINI_MODEL        Gemini model (default gemini-1.5-flash)
+ * - GEMINI_EMBEDDING_MODEL  Gemini embedding model (default text-embedding-004)
+ * - OPENAI_BASE_URL     API root, e.g. http://localhost:11434/v1 (default https://api.openai.com/v1)
+ * - OPENAI_API_KEY      Bearer token (optional for local servers)
+ * - OPENAI_MODEL        Model name (default gpt-4o-mini)
+ * - OPENAI_EMBEDDING_MODEL  Embedding model name (default text-embedding-3-small)
+ *
+ * Embeddings are only used for knowledge base retrieval when KB_EMBEDDINGS=true (config/knowledgeBase.js)
+ */
+
+const detectProvider = () => {
+  if (process.env.GEMINI_API_KEY) return 'gemini';
+  if (process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY) return 'openai';
+  return 'offline';
+};
+
+const PROVIDER = (process.env.AI_PROVIDER || detectProvider()).toLowerCase();
+const FALLBACK = (process.env.AI_FALLBACK || 'offline').toLowerCase();
+const TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 30 * 1000;
+const JSON_RETRIES = parseInt(process.env.AI_JSON_RETRIES) >= 0 ? parseInt(process.env.AI_JSON_RETRIES) : 2;
+
+const GEMINI = {
+  apiKey: process.env.GEMINI_API_KEY || null,
+  model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+  embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+};
+
+const OPENAI = {
+  baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, ''),
+  apiKey: process.env.OPENAI_API_KEY || null,
+  model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+};
+
+module.exports = {
+  PROVIDER,
+  FALLBACK,
+  TIMEOUT_MS,
+  JSON_RETRIES,
+  GEMINI,
+  OPENAI
+};
@@ -0,0 +1,71 @@
+/**
+ * API Key Configuration
+ * Scopes and rate limits for admin-issued API keys
+ *
+ * Keys are sent as "X-API-Key: fbk_..." (or "Authorization: ApiKey fbk_...")
+ *
+ * Environment:
+ * - API_KEY_RATE_LIMIT_PER_MINUTE   Default per-key limit for new keys (default 60)
+ */
+
+const { PERMISSIONS } = require('./permissions');
+
+const KEY_PREFIX = 'fbk_';
+
+/**
+ * Scopes
+ * - submit: create feedback (e.g. from a mobile app)
+ * - read:   read all feedback, dashboard stats and reports
+ * - admin:  everything staff can do with feedback - implies submit and read
+ *
+ * Keys never get account, mail or integration management rights, so a leaked key can't mint users or more keys
+ */
+const API_KEY_SCOPES = {
+  submit: {
+    description: 'Submit feedback',
+    permissions: []
+  },
+  read: {
+    description: 'Read feedback and analytics',
+    permissions: ['feedback:read_all', 'dashboard:read', 'reports:read']
+  },
+  admin: {
+    description: 'Full feedback administration',
+    permissions: PERMISSIONS.filter(permission =>
+      permission.startsWith('feedback:') || ['dashboard:read', 'reports:read'].includes(permission))
+  }
+};
+
+const SCOPE_NAMES = Object.keys(API_KEY_SCOPES);
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 10000;
+
+/**
+ * Whether a key's scopes satisfy any of the required scopes (admin satisfies all)
+ *
+ * @param {Array} scopes - Scopes granted to the key
+ * @param {Array} required - Acceptable scopes for the route
+ * @returns {boolean}
+ */
+const hasAnyScope = (scopes, required) =>
+  scopes.includes('admin') || required.some(scope => scopes.includes(scope));
+
+/**
+ * Permissions granted by a set of scopes
+ *
+ * @param {Array} scopes - Scope names
+ * @returns {Array} Permission names
+ */
+const getScopePermissions = (scopes) =>
+  [...new Set(scopes.flatMap(scope => API_KEY_SCOPES[scope]?.permissions || []))];
+
+module.exports = {
+  KEY_PREFIX,
+  API_KEY_SCOPES,
+  SCOPE_NAMES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  hasAnyScope,
+  getScopePermissions
+};
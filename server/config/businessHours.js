@@ -0,0 +1,38 @@
+/**
+ * Business Hours Configuration
+ * Working calendar used for SLA deadlines and business-hour metrics
+ *
+ * Environment overrides:
+ * - BUSINESS_TIMEZONE     IANA zone, e.g. "Europe/London" (default UTC)
+ * - BUSINESS_HOURS_START  "HH:MM" local time (default 09:00)
+ * - BUSINESS_HOURS_END    "HH:MM" local time (default 17:00)
+ * - BUSINESS_DAYS         Comma-separated weekdays, 0 = Sunday (default 1,2,3,4,5)
+ * - BUSINESS_HOLIDAYS     Comma-separated dates, YYYY-MM-DD
+ */
+
+const parseTime = (value, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return fallback;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const BUSINESS_HOURS = {
+  timezone: process.env.BUSINESS_TIMEZONE || 'UTC',
+
+  // Minutes after local midnight
+  startMinutes: parseTime(process.env.BUSINESS_HOURS_START, 9 * 60),
+  endMinutes: parseTime(process.env.BUSINESS_HOURS_END, 17 * 60),
+
+  workdays: process.env.BUSINESS_DAYS
+    ? parseList(process.env.BUSINESS_DAYS).map(Number)
+    : [1, 2, 3, 4, 5],
+
+  holidays: parseList(process.env.BUSINESS_HOLIDAYS)
+};
+
+module.exports = BUSINESS_HOURS;
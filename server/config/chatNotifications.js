@@ -0,0 +1,93 @@
+/**
+ * Chat Notification Configuration
+ * Which feedback gets posted to Slack / Microsoft Teams incoming webhooks
+ *
+ * Environment:
+ * - SLACK_WEBHOOK_URL          Slack incoming-webhook URL
+ * - TEAMS_WEBHOOK_URL          Microsoft Teams incoming-webhook URL
+ * - CHAT_NOTIFICATIONS_MODE    'live' (default), 'test' (post to the local stub at /api/chat-stub) or 'off'
+ * - CHAT_ALERT_RULES           Comma-separated rule IDs to enable (default: all)
+ * - CHAT_ALERT_MAX_RATING      low_rating threshold (default 2)
+ * - CHAT_ALERT_PRIORITIES      urgent_priority priorities (default "urgent")
+ * - CHAT_ALERT_CATEGORIES      category_watch categories (default "billing")
+ */
+
+const parseList = (value, fallback) =>
+  (value ? value.split(',') : fallback).map(item => item.trim()).filter(Boolean);
+
+const MODE = ['live', 'test', 'off'].includes(process.env.CHAT_NOTIFICATIONS_MODE)
+  ? process.env.CHAT_NOTIFICATIONS_MODE
+  : 'live';
+
+const MAX_RATING = parseInt(process.env.CHAT_ALERT_MAX_RATING) || 2;
+const PRIORITIES = parseList(process.env.CHAT_ALERT_PRIORITIES, ['urgent']);
+const CATEGORIES = parseList(process.env.CHAT_ALERT_CATEGORIES, ['billing']);
+
+/**
+ * Alert rules
+ * - matches(feedback): whether the feedback triggers this rule
+ * - field:             the feedback field the rule watches, so a later change
+ *                      (e.g. priority raised to urgent) can trigger it again
+ */
+const RULES = [
+  {
+    id: 'low_rating',
+    label: `Rating ≤ ${MAX_RATING}`,
+    field: 'rating',
+    matches: (feedback) => feedback.rating <= MAX_RATING
+  },
+  {
+    id: 'urgent_priority',
+    label: `Priority ${PRIORITIES.join('/')}`,
+    field: 'priority',
+    matches: (feedback) => PRIORITIES.includes(feedback.priority)
+  },
+  {
+    id: 'category_watch',
+    label: `Category ${CATEGORIES.join('/')}`,
+    field: 'category',
+    matches: (feedback) => CATEGORIES.includes(feedback.category)
+  }
+];
+
+const ENABLED_RULE_IDS = parseList(process.env.CHAT_ALERT_RULES, RULES.map(rule => rule.id));
+const ENABLED_RULES = RULES.filter(rule => ENABLED_RULE_IDS.includes(rule.id));
+
+/**
+ * Configured chat channels; in test mode both formats go to the local stub
+ *
+ * @param {string} stubBaseUrl - Base URL of the stub endpoint (test mode only)
+ * @returns {Array} [{ format: 'slack' | 'teams', url }]
+ */
+const getChannels = (stubBaseUrl) => {
+  if (MODE === 'off') return [];
+  if (MODE === 'test') {
+    return [
+      { format: 'slack', url: `${stubBaseUrl}/slack` },
+      { format: 'teams', url: `${stubBaseUrl}/teams` }
+    ];
+  }
+
+  return [
+    process.env.SLACK_WEBHOOK_URL && { format: 'slack', url: process.env.SLACK_WEBHOOK_URL },
+    process.env.TEAMS_WEBHOOK_URL && { format: 'teams', url: process.env.TEAMS_WEBHOOK_URL }
+  ].filter(Boolean);
+};
+
+/**
+ * Enabled rules the feedback currently matches
+ *
+ * @param {Object} feedback - Feedback document
+ * @param {string} field - Only consider rules watching this field (optional)
+ * @returns {Array} Matching rules
+ */
+const getMatchingRules = (feedback, field) =>
+  ENABLED_RULES.filter(rule => (!field || rule.field === field) && rule.matches(feedback));
+
+module.exports = {
+  MODE,
+  RULES,
+  ENABLED_RULES,
+  getChannels,
+  getMatchingRules
+};
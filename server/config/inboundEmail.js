@@ -0,0 +1,44 @@
+/**
+ * Inbound Email Configuration
+ * Reply-by-email addressing and ingestion settings
+ *
+ * Outgoing feedback emails carry a per-feedback reply token twice:
+ * - in the Reply-To address:  reply+<token>@INBOUND_EMAIL_DOMAIN
+ * - in the subject:           "... [#<token>]" (survives clients that drop plus-addressing)
+ *
+ * Reply-by-email is only offered when it is set up end to end: INBOUND_EMAIL_DOMAIN plus a
+ * way in (INBOUND_EMAIL_SECRET or INBOUND_MAILDIR). Otherwise emails carry no reply address
+ * and point customers to their dashboard instead.
+ *
+ * Environment:
+ * - INBOUND_EMAIL_DOMAIN       Domain whose mail is routed to this server
+ * - INBOUND_EMAIL_SECRET       Shared secret for POST /api/inbound/email (endpoint disabled without it)
+ * - INBOUND_MAILDIR            Maildir to poll instead of (or as well as) the webhook
+ * - INBOUND_POLL_INTERVAL_MS   Maildir poll interval (default 30s)
+ */
+
+const REPLY_DOMAIN = process.env.INBOUND_EMAIL_DOMAIN || null;
+const WEBHOOK_SECRET = process.env.INBOUND_EMAIL_SECRET || null;
+const MAILDIR = process.env.INBOUND_MAILDIR || null;
+const POLL_INTERVAL_MS = parseInt(process.env.INBOUND_POLL_INTERVAL_MS) || 30 * 1000;
+const ENABLED = Boolean(REPLY_DOMAIN && (WEBHOOK_SECRET || MAILDIR));
+
+// Tokens are 16 hex characters (see Feedback.ensureReplyToken)
+const ADDRESS_TOKEN_PATTERN = /reply\+([a-f0-9]{16})@/i;
+const SUBJECT_TOKEN_PATTERN = /\[#([a-f0-9]{16})\]/i;
+
+const getReplyAddress = (token) => `reply+${token}@${REPLY_DOMAIN}`;
+
+const getSubjectTag = (token) => `[#${token}]`;
+
+module.exports = {
+  REPLY_DOMAIN,
+  WEBHOOK_SECRET,
+  MAILDIR,
+  POLL_INTERVAL_MS,
+  ENABLED,
+  ADDRESS_TOKEN_PATTERN,
+  SUBJECT_TOKEN_PATTERN,
+  getReplyAddress,
+  getSubjectTag
+};
@@ -0,0 +1,67 @@
+/**
+ * Background Job Configuration
+ * Job types, retry policy and concurrency for the MongoDB-backed job queue
+ * (services/jobQueue.js, jobs/jobWorker.js)
+ *
+ * A job that throws is retried with exponential backoff; once it has used all its
+ * attempts it is moved to the dead-letter state ("dead") and kept for inspection,
+ * where an admin can queue it again.
+ *
+ * Environment:
+ * - JOB_WORKER_ENABLED      Run jobs in this process (default true)
+ * - JOB_POLL_INTERVAL_MS    How often the worker looks for due jobs (default 2s)
+ * - JOB_CONCURRENCY         Jobs run at once per process, across all types (default 4)
+ * - JOB_MAX_ATTEMPTS        Default attempts before a job is dead-lettered (default 5)
+ * - JOB_RETRY_BASE_MS       First retry delay, doubled after each failure (default 15s)
+ * - JOB_LEASE_MS            How long a running job is reserved before another worker may take it over (default 5m)
+ * - JOB_RETENTION_DAYS      Days succeeded jobs are kept (default 7)
+ */
+
+const WORKER_ENABLED = process.env.JOB_WORKER_ENABLED !== 'false';
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2 * 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 4;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 15 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+
+/**
+ * Job types
+ * - concurrency: jobs of this type run at once per process
+ * - maxAttempts: attempts before the job is dead-lettered
+ *
+ * AI jobs are limited more tightly so a slow model can't hold every worker slot.
+ */
+const JOB_TYPES = {
+  'ai.suggestions': { label: 'AI response suggestions', concurrency: 2, maxAttempts: 4 },
+  'ai.triage': { label: 'AI triage (sentiment, topics, priority)', concurrency: 2, maxAttempts: 4 },
+  'email.customer': { label: 'Customer email', concurrency: 2, maxAttempts: MAX_ATTEMPTS },
+  'chat.alert': { label: 'Slack/Teams alert', concurrency: 2, maxAttempts: MAX_ATTEMPTS }
+};
+
+const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
+
+/**
+ * Delay before the next attempt: 15s, 30s, 1m, 2m, ... capped at an hour
+ *
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const isValidJobType = (type) => JOB_TYPE_NAMES.includes(type);
+
+module.exports = {
+  WORKER_ENABLED,
+  POLL_INTERVAL_MS,
+  CONCURRENCY,
+  MAX_ATTEMPTS,
+  LEASE_MS,
+  RETENTION_DAYS,
+  JOB_TYPES,
+  JOB_TYPE_NAMES,
+  getRetryDelay,
+  isValidJobType
+};
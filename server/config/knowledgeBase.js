@@ -0,0 +1,60 @@
+/**
+ * Knowledge Base Configuration
+ * What the AI assistant retrieves from before answering, and how matches are ranked
+ * (services/knowledgeBaseService.js)
+ *
+ * Sources:
+ * - Articles written by admins (models/KnowledgeArticle.js)
+ * - Resolved feedback with a staff reply (opt-in) - the staff reply is the answer, with
+ *   customer names and email addresses removed. These are other customers' tickets, so
+ *   they are only retrieved for signed-in staff, and only as background: never cited.
+ *
+ * Ranking is BM25 over title and text. With KB_EMBEDDINGS=true and a provider that supports
+ * embeddings (gemini, openai), it is blended with embedding similarity.
+ *
+ * Environment:
+ * - KB_TOP_K               Matches added to the assistant's prompt (default 3)
+ * - KB_INCLUDE_RESOLVED    Index resolved feedback too, for staff questions (default false)
+ * - KB_MAX_RESOLVED        Most recent resolved items indexed (default 500)
+ * - KB_REFRESH_MS          How long the index is reused before new resolutions are picked up (default 5m)
+ * - KB_EMBEDDINGS          Blend in embedding similarity (default false)
+ * - KB_EMBEDDING_WEIGHT    Share of the score from embeddings when enabled, 0-1 (default 0.5)
+ */
+
+const TOP_K = parseInt(process.env.KB_TOP_K) || 3;
+const INCLUDE_RESOLVED = process.env.KB_INCLUDE_RESOLVED === 'true';
+const MAX_RESOLVED = parseInt(process.env.KB_MAX_RESOLVED) || 500;
+const REFRESH_MS = parseInt(process.env.KB_REFRESH_MS) || 5 * 60 * 1000;
+const EMBEDDINGS_ENABLED = process.env.KB_EMBEDDINGS === 'true';
+const EMBEDDING_WEIGHT = Math.min(Math.max(parseFloat(process.env.KB_EMBEDDING_WEIGHT) || 0.5, 0), 1);
+
+// BM25 term-frequency saturation and length normalization
+const BM25 = { k1: 1.2, b: 0.75 };
+
+// Title words count this many times over body words
+const TITLE_WEIGHT = 2;
+
+// Matches scoring below this share of the best match are dropped
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Statuses whose staff reply counts as a known-good answer
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+
+// Characters of each match sent to the model, and shown as the citation excerpt
+const MAX_PROMPT_CHARS = 1500;
+const EXCERPT_CHARS = 240;
+
+module.exports = {
+  TOP_K,
+  INCLUDE_RESOLVED,
+  MAX_RESOLVED,
+  REFRESH_MS,
+  EMBEDDINGS_ENABLED,
+  EMBEDDING_WEIGHT,
+  BM25,
+  TITLE_WEIGHT,
+  MIN_RELATIVE_SCORE,
+  RESOLVED_STATUSES,
+  MAX_PROMPT_CHARS,
+  EXCERPT_CHARS
+};
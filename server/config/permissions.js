@@ -0,0 +1,109 @@
+/**
+ * Role & Permission Configuration
+ * Single source of truth for what each role is allowed to do
+ */
+
+/**
+ * Permissions
+ * - feedback:read_all  View every customer's feedback (not just your own)
+ * - feedback:respond   Reply to feedback and use AI response suggestions
+ * - feedback:status    Change feedback status
+ * - feedback:priority  Change feedback priority
+ * - feedback:assign    Assign feedback to staff members
+ * - feedback:delete    Delete any feedback
+ * - dashboard:read     View the admin dashboard statistics
+ * - reports:read       Generate analytics reports
+ * - users:manage       Manage user accounts and roles
+ * - mail:read          View the outgoing mail log
+ * - webhooks:manage    Manage outgoing webhooks and chat (Slack/Teams) notifications
+ * - api_keys:manage    Issue and revoke API keys and widget site keys
+ * - jobs:manage        View background jobs and retry dead-lettered ones
+ * - kb:manage          Manage knowledge base articles for the AI assistant
+ */
+const PERMISSIONS = [
+  'feedback:read_all',
+  'feedback:respond',
+  'feedback:status',
+  'feedback:priority',
+  'feedback:assign',
+  'feedback:delete',
+  'dashboard:read',
+  'reports:read',
+  'users:manage',
+  'mail:read',
+  'webhooks:manage',
+  'api_keys:manage',
+  'jobs:manage',
+  'kb:manage'
+];
+
+/**
+ * Role → permission matrix
+ * - admin:  everything
+ * - agent:  support staff working the feedback queue
+ * - viewer: read-only access to feedback and analytics
+ * - user:   customers - only their own feedback (no extra permissions)
+ */
+const ROLE_PERMISSIONS = {
+  admin: [...PERMISSIONS],
+  agent: [
+    'feedback:read_all',
+    'feedback:respond',
+    'feedback:status',
+    'feedback:priority',
+    'feedback:assign',
+    'dashboard:read'
+  ],
+  viewer: [
+    'feedback:read_all',
+    'dashboard:read',
+    'reports:read'
+  ],
+  user: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that can work tickets (and can therefore be assigned feedback)
+const STAFF_ROLES = ROLES.filter(role => ROLE_PERMISSIONS[role].includes('feedback:respond'));
+
+/**
+ * Get the permissions granted to a role
+ *
+ * @param {string} role - User role
+ * @returns {Array} Permission names
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Roles that hold a permission, e.g. for finding who to notify
+ *
+ * @param {string} permission - Permission name
+ * @returns {Array} Role names
+ */
+const getRolesWithPermission = (permission) =>
+  ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+/**
+ * Check whether a user (or role name) has a permission
+ * API key principals carry their own permissions list (see services/apiKeyService.js)
+ *
+ * @param {Object|string} userOrRole - User document, API key principal or role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (userOrRole, permission) => {
+  if (userOrRole?.isApiKey) return userOrRole.permissions.includes(permission);
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+  return getPermissions(role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  getPermissions,
+  getRolesWithPermission,
+  hasPermission
+};
@@ -0,0 +1,75 @@
+/**
+ * SLA Policy Configuration
+ * Response and resolution targets per priority, with optional per-category overrides
+ */
+
+/**
+ * Targets are in hours
+ * - firstResponseHours: time until the first public staff reply
+ * - resolutionHours:    time until the feedback is resolved/closed
+ * - clock:              'business' counts working hours only (see config/businessHours.js),
+ *                       'calendar' counts round the clock
+ */
+const PRIORITY_POLICIES = {
+  urgent: { firstResponseHours: 1, resolutionHours: 8, clock: 'calendar' },
+  high: { firstResponseHours: 4, resolutionHours: 24, clock: 'business' },
+  medium: { firstResponseHours: 8, resolutionHours: 72, clock: 'business' },
+  low: { firstResponseHours: 24, resolutionHours: 168, clock: 'business' }
+};
+
+/**
+ * Category overrides (merged over the priority policy)
+ * Billing problems block customers, so they get a faster first response
+ */
+const CATEGORY_POLICIES = {
+  billing: {
+    urgent: { firstResponseHours: 0.5 },
+    high: { firstResponseHours: 2 },
+    medium: { firstResponseHours: 4 }
+  }
+};
+
+// Order used when auto-escalating a breached item
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+// An item is "at risk" once this share of its SLA window has elapsed
+const AT_RISK_THRESHOLD = parseFloat(process.env.SLA_AT_RISK_THRESHOLD) || 0.75;
+
+// How often the breach monitor runs
+const CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60 * 1000;
+
+/**
+ * Resolve the SLA policy for a priority/category pair
+ *
+ * @param {string} priority - Feedback priority
+ * @param {string} category - Feedback category
+ * @returns {Object} { name, firstResponseHours, resolutionHours, clock }
+ */
+const getPolicy = (priority, category) => {
+  const base = PRIORITY_POLICIES[priority] || PRIORITY_POLICIES.medium;
+  const override = CATEGORY_POLICIES[category]?.[priority];
+
+  return {
+    name: override ? `${category}/${priority}` : priority,
+    ...base,
+    ...override
+  };
+};
+
+/**
+ * Next priority up, or null if already at the top
+ */
+const getEscalatedPriority = (priority) => {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  return index >= 0 && index < PRIORITY_ORDER.length - 1 ? PRIORITY_ORDER[index + 1] : null;
+};
+
+module.exports = {
+  PRIORITY_POLICIES,
+  CATEGORY_POLICIES,
+  PRIORITY_ORDER,
+  AT_RISK_THRESHOLD,
+  CHECK_INTERVAL_MS,
+  getPolicy,
+  getEscalatedPriority
+};
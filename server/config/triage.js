@@ -0,0 +1,26 @@
+/**
+ * AI Triage Configuration
+ * Automatic sentiment, topic, category and priority analysis of new feedback
+ *
+ * Environment:
+ * - AI_TRIAGE_ENABLED        Triage new feedback in the background (default true)
+ * - AI_TRIAGE_AUTO_PRIORITY  Let triage set the priority of new feedback (default true)
+ */
+
+const ENABLED = process.env.AI_TRIAGE_ENABLED !== 'false';
+const AUTO_PRIORITY = process.env.AI_TRIAGE_AUTO_PRIORITY !== 'false';
+
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative'];
+
+const MAX_TOPICS = 5;
+
+// Audit log actor for changes made by triage
+const TRIAGE_ACTOR = { name: 'AI Triage', role: 'system' };
+
+module.exports = {
+  ENABLED,
+  AUTO_PRIORITY,
+  SENTIMENT_LABELS,
+  MAX_TOPICS,
+  TRIAGE_ACTOR
+};
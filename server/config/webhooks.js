@@ -0,0 +1,62 @@
+/**
+ * Webhook Configuration
+ * Event types, signing and retry policy for outgoing webhooks
+ *
+ * Every delivery is a JSON POST with these headers:
+ * - X-Webhook-Event:      event type, e.g. "feedback.created"
+ * - X-Webhook-Delivery:   delivery ID (stable across retries, new on redelivery)
+ * - X-Webhook-Timestamp:  unix seconds when the request was signed
+ * - X-Webhook-Signature:  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the subscription secret
+ *
+ * Environment:
+ * - WEBHOOK_MAX_ATTEMPTS       Attempts before a delivery is marked failed (default 6)
+ * - WEBHOOK_RETRY_BASE_MS      First retry delay, doubled after each failure (default 30s)
+ * - WEBHOOK_TIMEOUT_MS         Per-request timeout (default 10s)
+ * - WEBHOOK_POLL_INTERVAL_MS   How often due retries are picked up (default 15s)
+ */
+
+/**
+ * Subscribable events
+ * - feedback.created         New feedback submitted
+ * - feedback.responded       Public staff reply added
+ * - feedback.status_changed  Status moved (includes previousStatus)
+ * - feedback.assigned        Assignee changed
+ * - feedback.deleted         Feedback removed
+ */
+const WEBHOOK_EVENTS = [
+  'feedback.created',
+  'feedback.responded',
+  'feedback.status_changed',
+  'feedback.assigned',
+  'feedback.deleted'
+];
+
+// Sent by the "send test event" action regardless of the subscription's events
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * 1000;
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped at an hour
+ *
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const isValidEvent = (event) => WEBHOOK_EVENTS.includes(event);
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_ATTEMPTS,
+  REQUEST_TIMEOUT_MS,
+  POLL_INTERVAL_MS,
+  getRetryDelay,
+  isValidEvent
+};
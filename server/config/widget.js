@@ -0,0 +1,65 @@
+/**
+ * Feedback Widget Configuration
+ * Site keys, spam protection and rate limits for the embeddable widget
+ *
+ * Sites embed it with:
+ *   <script src="https://<api host>/widget/embed.js" data-site-key="site_..." async></script>
+ *
+ * The loader adds a button and an iframe served from this server; the iframe posts to
+ * POST /widget/feedback. A submission is accepted only if:
+ * - the site key belongs to an active site
+ * - the page hosting the widget is on one of the site's allowed origins
+ * - the honeypot field is empty (filled-in submissions get a fake success)
+ * - the visitor is under the rate limit for that site
+ *
+ * Environment:
+ * - WIDGET_RATE_LIMIT_WINDOW_MS   Rate limit window (default 15 minutes)
+ * - WIDGET_RATE_LIMIT_MAX         Submissions per IP and site per window (default 5)
+ */
+
+const SITE_KEY_PREFIX = 'site_';
+
+// Hidden form field a human never fills in
+const HONEYPOT_FIELD = 'website';
+
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.WIDGET_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const RATE_LIMIT_MAX = parseInt(process.env.WIDGET_RATE_LIMIT_MAX) || 5;
+
+const ANONYMOUS_NAME = 'Anonymous visitor';
+const SUBJECT_LENGTH = 80;
+
+/**
+ * Normalize an origin ("https://Example.com/" → "https://example.com")
+ *
+ * @param {string} value - Origin or URL
+ * @returns {string|null} Origin, or null if it isn't an http(s) URL
+ */
+const normalizeOrigin = (value) => {
+  try {
+    const url = new URL(String(value).trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Subject for widget feedback, which has no subject field - the start of the message
+ *
+ * @param {string} message - Feedback message
+ * @returns {string} Subject line
+ */
+const getSubject = (message) => {
+  const firstLine = message.trim().split('\n')[0].trim();
+  return firstLine.length > SUBJECT_LENGTH ? `${firstLine.slice(0, SUBJECT_LENGTH - 1)}…` : firstLine;
+};
+
+module.exports = {
+  SITE_KEY_PREFIX,
+  HONEYPOT_FIELD,
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX,
+  ANONYMOUS_NAME,
+  normalizeOrigin,
+  getSubject
+};
@@ -0,0 +1,178 @@
+/**
+ * Feedback Status Workflow
+ * Single source of truth for feedback statuses and the transitions between them
+ */
+
+/**
+ * Statuses
+ * - category: open    → needs action from staff
+ *             waiting → ball is in the customer's court
+ *             done    → no further work expected
+ * - onStaffReply / onCustomerReply: status to move to when someone replies
+ *   in the conversation (omitted = stay put)
+ * - acceptsCustomerReplies: false blocks customer replies entirely
+ */
+const STATUSES = [
+  {
+    value: 'pending',
+    label: 'Pending',
+    icon: '⏳',
+    category: 'open',
+    customerMessage: 'Your feedback is being reviewed by our team',
+    onStaffReply: 'responded'
+  },
+  {
+    value: 'in-progress',
+    label: 'In Progress',
+    icon: '🛠️',
+    category: 'open',
+    customerMessage: 'Our team is working on your feedback',
+    onStaffReply: 'responded'
+  },
+  {
+    value: 'waiting-on-customer',
+    label: 'Waiting on Customer',
+    icon: '💬',
+    category: 'waiting',
+    customerMessage: 'We need a bit more information - please reply below',
+    onCustomerReply: 'pending'
+  },
+  {
+    value: 'responded',
+    label: 'Responded',
+    icon: '📧',
+    category: 'waiting',
+    customerMessage: 'Admin has responded to your feedback',
+    onCustomerReply: 'pending'
+  },
+  {
+    value: 'reopened',
+    label: 'Reopened',
+    icon: '🔁',
+    category: 'open',
+    customerMessage: 'Your feedback has been reopened and is back with our team',
+    onStaffReply: 'responded'
+  },
+  {
+    value: 'resolved',
+    label: 'Resolved',
+    icon: '✅',
+    category: 'done',
+    customerMessage: 'This feedback has been resolved',
+    onCustomerReply: 'reopened'
+  },
+  {
+    value: 'closed',
+    label: 'Closed',
+    icon: '🔒',
+    category: 'done',
+    customerMessage: 'This conversation is closed',
+    acceptsCustomerReplies: false
+  },
+  {
+    value: 'spam',
+    label: 'Spam',
+    icon: '🚫',
+    category: 'done',
+    customerMessage: 'This conversation is closed',
+    acceptsCustomerReplies: false
+  }
+];
+
+const INITIAL_STATUS = 'pending';
+
+// Allowed status → next statuses
+const TRANSITIONS = {
+  pending: ['in-progress', 'waiting-on-customer', 'responded', 'resolved', 'closed', 'spam'],
+  'in-progress': ['pending', 'waiting-on-customer', 'responded', 'resolved', 'closed'],
+  'waiting-on-customer': ['pending', 'in-progress', 'responded', 'resolved', 'closed'],
+  responded: ['pending', 'in-progress', 'waiting-on-customer', 'resolved', 'closed'],
+  reopened: ['in-progress', 'waiting-on-customer', 'responded', 'resolved', 'closed'],
+  resolved: ['reopened', 'closed'],
+  closed: ['reopened'],
+  spam: ['pending']
+};
+
+const STATUS_VALUES = STATUSES.map(status => status.value);
+
+const statusesIn = (...categories) => STATUSES
+  .filter(status => categories.includes(status.category))
+  .map(status => status.value);
+
+// Needs staff action
+const OPEN_STATUSES = statusesIn('open');
+// Not finished (open or waiting on the customer)
+const ACTIVE_STATUSES = statusesIn('open', 'waiting');
+const DONE_STATUSES = statusesIn('done');
+
+/**
+ * Look up a status definition
+ *
+ * @param {string} value - Status value
+ * @returns {Object|undefined}
+ */
+const getStatus = (value) => STATUSES.find(status => status.value === value);
+
+const isValidStatus = (value) => STATUS_VALUES.includes(value);
+
+/**
+ * Check whether feedback may move between two statuses
+ * Staying on the same status is always allowed
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => from === to || (TRANSITIONS[from] || []).includes(to);
+
+const getAllowedTransitions = (from) => TRANSITIONS[from] || [];
+
+/**
+ * Build an error for a rejected transition (statusCode for the route handlers)
+ */
+const transitionError = (from, to) => {
+  const error = isValidStatus(to)
+    ? new Error(`Cannot change status from "${from}" to "${to}"`)
+    : new Error(`Invalid status "${to}". Must be one of: ${STATUS_VALUES.join(', ')}`);
+  error.statusCode = isValidStatus(to) ? 409 : 400;
+  error.allowedTransitions = getAllowedTransitions(from);
+  return error;
+};
+
+/**
+ * Throw if the transition is not allowed
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const assertTransition = (from, to) => {
+  if (!isValidStatus(to) || !canTransition(from, to)) {
+    throw transitionError(from, to);
+  }
+};
+
+// Workflow definition served to the client
+const getWorkflow = () => ({
+  statuses: STATUSES.map(status => ({
+    ...status,
+    acceptsCustomerReplies: status.acceptsCustomerReplies !== false
+  })),
+  transitions: TRANSITIONS,
+  initialStatus: INITIAL_STATUS
+});
+
+module.exports = {
+  STATUSES,
+  STATUS_VALUES,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  ACTIVE_STATUSES,
+  DONE_STATUSES,
+  getStatus,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  getWorkflow
+};
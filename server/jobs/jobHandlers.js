@@ -0,0 +1,54 @@
+/**
+ * Job Handlers
+ * What each background job type does (types and retry policy: config/jobs.js)
+ *
+ * A handler receives the job payload and returns a small result to store on the job.
+ * Throwing fails the attempt and schedules a retry; throw PermanentJobError
+ * (services/jobQueue.js) when retrying can't help.
+ */
+
+const Feedback = require('../models/Feedback');
+const aiService = require('../services/aiService');
+const eventService = require('../services/eventService');
+const triageService = require('../services/triageService');
+const customerEmailService = require('../services/customerEmailService');
+const chatNotificationService = require('../services/chatNotificationService');
+
+const FEEDBACK_DELETED = { skipped: 'Feedback was deleted' };
+
+/**
+ * Generate response suggestions for new feedback and push them to open admin views
+ */
+const generateSuggestions = async ({ feedbackId }) => {
+  const feedback = await Feedback.findById(feedbackId);
+  if (!feedback) return FEEDBACK_DELETED;
+
+  const suggestions = await aiService.generateResponseSuggestions(feedback);
+
+  feedback.aiSuggestions = suggestions;
+  await feedback.save();
+  eventService.publishFeedback('feedback.updated', feedback, { staffOnly: true });
+
+  return { suggestions: suggestions.length, provider: suggestions[0]?.provider };
+};
+
+/**
+ * Triage new feedback (sentiment, topics, category and priority)
+ */
+const triageFeedback = async ({ feedbackId }) => {
+  const feedback = await triageService.triage(feedbackId);
+  if (!feedback) return FEEDBACK_DELETED;
+
+  return {
+    sentiment: feedback.triage.sentimentLabel,
+    priority: feedback.priority,
+    priorityApplied: feedback.triage.priorityApplied
+  };
+};
+
+module.exports = {
+  'ai.suggestions': generateSuggestions,
+  'ai.triage': triageFeedback,
+  'email.customer': (payload) => customerEmailService.deliver(payload),
+  'chat.alert': (payload) => chatNotificationService.deliver(payload)
+};
@@ -0,0 +1,135 @@
+/**
+ * Job Worker
+ * Runs queued background jobs, within the global and per-type concurrency limits
+ * (config/jobs.js). Jobs are claimed from MongoDB, so several processes can share the queue.
+ */
+
+const os = require('os');
+const jobQueue = require('../services/jobQueue');
+const { PermanentJobError } = require('../services/jobQueue');
+const handlers = require('./jobHandlers');
+const { POLL_INTERVAL_MS, CONCURRENCY, JOB_TYPES, JOB_TYPE_NAMES } = require('../config/jobs');
+
+/**
+ * Job Worker Class
+ */
+class JobWorker {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.runAgain = false;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.active = new Map();    // type → jobs running in this process
+    this.onEnqueued = () => this.run();
+  }
+
+  /**
+   * Start polling on an interval, and right away when a job is queued in this process
+   * (no-op if already started)
+   */
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();    // Never keep the process alive on its own
+    jobQueue.on('enqueued', this.onEnqueued);
+    console.log(`🧰 Job worker started (every ${Math.round(intervalMs / 1000)}s, up to ${CONCURRENCY} at once)`);
+
+    this.run();
+  }
+
+  /**
+   * Stop taking new jobs - jobs already running are left to finish
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    jobQueue.off('enqueued', this.onEnqueued);
+  }
+
+  /**
+   * Job types with a free slot
+   */
+  availableTypes() {
+    const running = [...this.active.values()].reduce((sum, count) => sum + count, 0);
+    if (running >= CONCURRENCY) return [];
+    return JOB_TYPE_NAMES.filter(type => (this.active.get(type) || 0) < JOB_TYPES[type].concurrency);
+  }
+
+  /**
+   * One pass: recover jobs whose worker disappeared, then claim due jobs until the slots are full
+   * A call made while a pass is in progress triggers one more pass afterwards
+   */
+  async run() {
+    if (!this.timer) return;
+    if (this.isRunning) {
+      this.runAgain = true;
+      return;
+    }
+    this.isRunning = true;
+
+    try {
+      const recovered = await jobQueue.recoverExpired();
+      if (recovered > 0) {
+        console.log(`🧰 Job worker: recovered ${recovered} job(s) with an expired lease`);
+      }
+
+      let types = this.availableTypes();
+      while (types.length > 0) {
+        const job = await jobQueue.claim(types, this.workerId);
+        if (!job) break;
+
+        this.execute(job);
+        types = this.availableTypes();
+      }
+    } catch (error) {
+      console.error('❌ Job worker run failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+
+    if (this.runAgain) {
+      this.runAgain = false;
+      this.run();
+    }
+  }
+
+  /**
+   * Run one claimed job and record the outcome, then look for more work
+   *
+   * @param {Object} job - Claimed job
+   */
+  async execute(job) {
+    this.active.set(job.type, (this.active.get(job.type) || 0) + 1);
+    const startedAt = Date.now();
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new PermanentJobError(`No handler for job type "${job.type}"`);
+      }
+
+      const result = await handler(job.payload, job);
+      await jobQueue.complete(job, result);
+      console.log(`✅ Job ${job.type} ${job._id} done in ${Date.now() - startedAt}ms (attempt ${job.attempts})`);
+    } catch (error) {
+      try {
+        const dead = await jobQueue.fail(job, error);
+        if (dead) {
+          console.error(`💀 Job ${job.type} ${job._id} dead-lettered after ${job.attempts} attempt(s): ${error.message}`);
+        } else {
+          console.error(`⚠️ Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), will retry: ${error.message}`);
+        }
+      } catch (recordError) {
+        // The lease will expire and the job will be recovered
+        console.error(`❌ Failed to record job ${job._id} failure:`, recordError.message);
+      }
+    } finally {
+      this.active.set(job.type, this.active.get(job.type) - 1);
+      this.run();
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new JobWorker();
@@ -0,0 +1,81 @@
+/**
+ * Maildir Poller Job
+ * Ingests customer email replies delivered to a local Maildir (INBOUND_MAILDIR)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const inboundEmailService = require('../services/inboundEmailService');
+const { MAILDIR, POLL_INTERVAL_MS } = require('../config/inboundEmail');
+
+/**
+ * Maildir Poller Class
+ */
+class MaildirPoller {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start polling on an interval (no-op if already started or no Maildir is configured)
+   */
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer || !MAILDIR) return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();    // Never keep the process alive on its own
+    console.log(`📬 Maildir poller started for ${MAILDIR} (every ${Math.round(intervalMs / 1000)}s)`);
+
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One pass over new/: ingest each message, then move it to cur/ marked as seen
+   * Messages that fail with an error stay in new/ and are retried on the next pass
+   */
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const newDir = path.join(MAILDIR, 'new');
+      const curDir = path.join(MAILDIR, 'cur');
+      const files = (await fs.readdir(newDir)).filter(file => !file.startsWith('.'));
+
+      let appended = 0;
+      for (const file of files) {
+        try {
+          const raw = await fs.readFile(path.join(newDir, file));
+          const result = await inboundEmailService.ingest(raw);
+
+          if (result.status === 'appended') {
+            appended++;
+          } else {
+            console.log(`⚠️ Inbound email ${file} ${result.status}: ${result.reason}`);
+          }
+
+          await fs.rename(path.join(newDir, file), path.join(curDir, `${file}:2,S`));
+        } catch (error) {
+          console.error(`❌ Failed to ingest inbound email ${file}:`, error.message);
+        }
+      }
+
+      if (appended > 0) {
+        console.log(`📬 Maildir poller: ${appended} reply(ies) added`);
+      }
+    } catch (error) {
+      console.error('❌ Maildir poll failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new MaildirPoller();
@@ -0,0 +1,183 @@
+/**
+ * SLA Monitor Job
+ * Periodically flags feedback that missed its SLA targets and escalates its priority
+ */
+
+const Feedback = require('../models/Feedback');
+const auditService = require('../services/auditService');
+const eventService = require('../services/eventService');
+const notificationService = require('../services/notificationService');
+const chatNotificationService = require('../services/chatNotificationService');
+const slaService = require('../services/slaService');
+const { ACTIVE_STATUSES } = require('../config/workflow');
+const { CHECK_INTERVAL_MS, getEscalatedPriority } = require('../config/sla');
+
+// Audit log actor for changes made by this job
+const SYSTEM_ACTOR = { name: 'SLA Monitor', role: 'system' };
+
+/**
+ * SLA Monitor Class
+ */
+class SlaMonitor {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start checking on an interval (no-op if already started)
+   */
+  start(intervalMs = CHECK_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();    // Never keep the process alive on its own
+    console.log(`⏱️ SLA monitor started (every ${Math.round(intervalMs / 1000)}s)`);
+
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One pass: backfill missing due dates, then flag and escalate breaches
+   * Overlapping runs are skipped
+   */
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const now = new Date();
+      const backfilled = await this.backfillDueDates();
+
+      // Older feedback (and status-only "responded" updates) only have respondedAt - same
+      // fallback as Feedback.computeTimeMetrics
+      const firstResponseBreaches = await Feedback.find({
+        status: { $in: ACTIVE_STATUSES },
+        firstResponseAt: null,
+        respondedAt: null,
+        firstResponseBreachedAt: null,
+        firstResponseDueAt: { $lte: now }
+      });
+
+      const resolutionBreaches = await Feedback.find({
+        status: { $in: ACTIVE_STATUSES },
+        resolutionBreachedAt: null,
+        resolutionDueAt: { $lte: now }
+      });
+
+      // One item that fails to save must not hold up the rest
+      for (const feedback of firstResponseBreaches) {
+        await this.handleBreach(feedback, 'firstResponse', now)
+          .catch(error => console.error(`❌ SLA monitor: failed to record breach for ${feedback._id}:`, error.message));
+      }
+      for (const feedback of resolutionBreaches) {
+        try {
+          // May have been escalated already in this pass
+          const fresh = await Feedback.findById(feedback._id);
+          if (fresh) await this.handleBreach(fresh, 'resolution', now);
+        } catch (error) {
+          console.error(`❌ SLA monitor: failed to record breach for ${feedback._id}:`, error.message);
+        }
+      }
+
+      const total = firstResponseBreaches.length + resolutionBreaches.length;
+      if (total > 0 || backfilled > 0) {
+        console.log(`⏱️ SLA monitor: ${total} new breach(es), ${backfilled} item(s) backfilled`);
+      }
+    } catch (error) {
+      console.error('❌ SLA monitor run failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Give feedback created before SLAs existed its due dates
+   * Written with updateOne so legacy documents that would fail validation or workflow
+   * checks on save() still get them; a failing item is logged and skipped
+   *
+   * @returns {Promise<number>} Number of items updated
+   */
+  async backfillDueDates() {
+    const missing = await Feedback.find({
+      status: { $in: ACTIVE_STATUSES },
+      firstResponseDueAt: null
+    }).limit(500);
+
+    let updated = 0;
+    for (const feedback of missing) {
+      try {
+        slaService.applyPolicy(feedback);
+        await Feedback.updateOne(
+          { _id: feedback._id },
+          { $set: {
+            slaPolicy: feedback.slaPolicy,
+            firstResponseDueAt: feedback.firstResponseDueAt,
+            resolutionDueAt: feedback.resolutionDueAt
+          } },
+          { timestamps: false }
+        );
+        updated++;
+      } catch (error) {
+        console.error(`❌ SLA monitor: failed to backfill due dates for ${feedback._id}:`, error.message);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Record a breach and bump priority one level
+   *
+   * @param {Object} feedback - Feedback document
+   * @param {string} target - 'firstResponse' or 'resolution'
+   * @param {Date} now - Time of detection
+   */
+  async handleBreach(feedback, target, now) {
+    const breachField = `${target}BreachedAt`;
+    feedback[breachField] = now;
+
+    const previousPriority = feedback.priority;
+    const escalatedPriority = getEscalatedPriority(previousPriority);
+    if (escalatedPriority) {
+      feedback.priority = escalatedPriority;
+      feedback.escalatedAt = now;
+      feedback.$locals.slaEscalation = true;    // Keep the original due dates
+    }
+
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: SYSTEM_ACTOR,
+      action: 'sla_breached',
+      changes: [{ field: breachField, before: null, after: now.toISOString() }],
+      meta: { target, dueAt: feedback[`${target}DueAt`], policy: feedback.slaPolicy }
+    });
+
+    if (escalatedPriority) {
+      await auditService.record({
+        feedback,
+        actor: SYSTEM_ACTOR,
+        action: 'escalated',
+        changes: [{ field: 'priority', before: previousPriority, after: escalatedPriority }],
+        meta: { reason: `${target} SLA breached` }
+      });
+    }
+
+    eventService.publishFeedback('feedback.updated', feedback, { staffOnly: true });
+    await notificationService.slaBreached(feedback, target, SYSTEM_ACTOR);
+    if (escalatedPriority) {
+      chatNotificationService.priorityChanged(feedback, previousPriority);
+    }
+
+    console.log(`🚨 SLA ${target} breached: ${feedback.subject} (${previousPriority} → ${feedback.priority})`);
+  }
+}
+
+// Export a singleton instance
+module.exports = new SlaMonitor();
@@ -0,0 +1,57 @@
+/**
+ * Webhook Dispatcher Job
+ * Retries webhook deliveries whose backoff delay has elapsed
+ */
+
+const webhookService = require('../services/webhookService');
+const { POLL_INTERVAL_MS } = require('../config/webhooks');
+
+/**
+ * Webhook Dispatcher Class
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start polling on an interval (no-op if already started)
+   */
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();    // Never keep the process alive on its own
+    console.log(`🪝 Webhook dispatcher started (every ${Math.round(intervalMs / 1000)}s)`);
+
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One pass over due retries (overlapping runs are skipped)
+   */
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const attempted = await webhookService.processDue();
+      if (attempted > 0) {
+        console.log(`🪝 Webhook dispatcher: ${attempted} delivery attempt(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Webhook dispatcher run failed:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new WebhookDispatcher();
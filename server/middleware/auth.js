@@ -1,48 +1,148 @@
 /**
  * Authentication Middleware
- * Simple user authentication for demo purposes
+ * Verifies signed JWT access tokens sent as "Authorization: Bearer <token>"
  */
 
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const apiKeyService = require('../services/apiKeyService');
+const { hasPermission } = require('../config/permissions');
+const { hasAnyScope } = require('../config/apiKeys');
 
 /**
- * Simple auth middleware that expects userId in headers
- * In production, this would validate JWT tokens
+ * Extract the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Extract an API key from "X-API-Key" or "Authorization: ApiKey <key>"
+ */
+const getApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return header;
+
+  const [scheme, key] = (req.headers.authorization || '').split(' ');
+  return scheme === 'ApiKey' && key ? key : null;
+};
+
+// Per-key request limit (ApiKey.rateLimitPerMinute)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down',
+    code: 'RATE_LIMITED'
+  }
+});
+
+/**
+ * Auth middleware that requires a valid access token
  */
 const requireAuth = async (req, res, next) => {
   try {
-    const userId = req.headers['x-user-id'];
-    
-    console.log(`🔐 Auth middleware - Received userId: ${userId}`);
-    console.log(`🔍 Request headers:`, req.headers);
-    
-    if (!userId) {
-      console.log('❌ No userId in headers');
+    const token = getBearerToken(req);
+
+    if (!token) {
+      console.log('❌ No bearer token in headers');
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
       });
     }
 
-    // Find user by ID
-    const user = await User.findById(userId);
+    const payload = tokenService.verifyAccessToken(token);
+
+    // Find user by ID from the token subject
+    const user = await User.findById(payload.sub);
     
     if (!user) {
-      console.log(`❌ User not found for ID: ${userId}`);
+      console.log(`❌ User not found for ID: ${payload.sub}`);
       return res.status(401).json({
         success: false,
         message: 'Invalid user'
       });
     }
 
+    if (!user.isActive) {
+      console.log(`❌ Inactive account: ${user.username}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
     console.log(`✅ User authenticated: ${user.username} (${user.role})`);
     
     // Add user to request object
     req.user = user;
+    req.tokenPayload = payload;
     next();
     
   } catch (error) {
-    console.error('❌ Auth middleware error:', error);
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token expired',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    console.error('❌ Auth middleware error:', error.message);
+    res.status(401).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+/**
+ * Auth middleware that accepts an API key as well as a user access token
+ * Keys must hold one of the listed scopes (admin keys pass every scope check);
+ * requests without a key fall through to requireAuth
+ *
+ * Usage: router.post('/', requireAuthOrApiKey('submit'), handler)
+ */
+const requireAuthOrApiKey = (...scopes) => async (req, res, next) => {
+  const rawKey = getApiKey(req);
+  if (!rawKey) return requireAuth(req, res, next);
+
+  try {
+    const apiKey = await apiKeyService.authenticate(rawKey, req.ip);
+
+    if (!apiKey) {
+      console.log('❌ Invalid, revoked or expired API key');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    if (!hasAnyScope(apiKey.scopes, scopes)) {
+      console.log(`🚫 API key ${apiKey.prefix} lacks scope: ${scopes.join(' or ')}`);
+      return res.status(403).json({
+        success: false,
+        message: 'This API key is not allowed to perform this action',
+        requiredScopes: scopes
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = apiKeyService.toPrincipal(apiKey);
+    apiKeyLimiter(req, res, next);
+
+  } catch (error) {
+    console.error('❌ API key auth error:', error.message);
     res.status(401).json({
       success: false,
       message: 'Authentication failed'
@@ -55,11 +155,12 @@ const requireAuth = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const userId = req.headers['x-user-id'];
+    const token = getBearerToken(req);
     
-    if (userId) {
-      const user = await User.findById(userId);
-      if (user) {
+    if (token) {
+      const payload = tokenService.verifyAccessToken(token);
+      const user = await User.findById(payload.sub);
+      if (user && user.isActive) {
         req.user = user;
       }
     }
@@ -67,7 +168,7 @@ const optionalAuth = async (req, res, next) => {
     next();
     
   } catch (error) {
-    console.error('❌ Optional auth error:', error);
+    console.error('❌ Optional auth error:', error.message);
     next(); // Continue even if auth fails
   }
 };
@@ -85,8 +186,42 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Accept the access token as ?access_token= (for EventSource, which can't set headers)
+ * Only mount this on streaming endpoints - query strings end up in proxy logs
+ */
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Permission middleware factory
+ * Requires the authenticated user to hold every listed permission
+ *
+ * Usage: router.get('/reports', requireAuth, requirePermission('reports:read'), handler)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (!req.user || missing.length > 0) {
+    console.log(`🚫 ${req.user?.username || 'Anonymous'} (${req.user?.role}) lacks permission: ${missing.join(', ')}`);
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+      requiredPermissions: missing
+    });
+  }
+  next();
+};
+
 module.exports = {
   requireAuth,
+  requireAuthOrApiKey,
   optionalAuth,
-  requireAdmin
+  requireAdmin,
+  requirePermission,
+  acceptQueryToken
 };
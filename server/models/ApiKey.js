@@ -0,0 +1,84 @@
+/**
+ * ApiKey Model
+ * Admin-issued keys for programmatic access (stored hashed, like refresh tokens)
+ */
+
+const mongoose = require('mongoose');
+const {
+  SCOPE_NAMES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE
+} = require('../config/apiKeys');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // SHA-256 of the raw key - the raw value is only shown once, when the key is created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPE_NAMES }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'Select at least one scope'
+    }
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: DEFAULT_RATE_LIMIT_PER_MINUTE,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [MAX_RATE_LIMIT_PER_MINUTE, `Rate limit cannot exceed ${MAX_RATE_LIMIT_PER_MINUTE} requests per minute`]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.index({ createdAt: -1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
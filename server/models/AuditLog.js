@@ -0,0 +1,96 @@
+/**
+ * AuditLog Model
+ * Append-only record of every change made to a feedback item
+ */
+
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'created',
+  'updated',
+  'status_changed',
+  'priority_changed',
+  'response_added',
+  'message_added',
+  'assigned',
+  'note_added',
+  'sla_breached',
+  'escalated',
+  'triaged',
+  'deleted'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  // Not a strict reference - entries outlive deleted feedback
+  feedbackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Denormalized so the trail stays readable if the account is removed
+  actorName: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  // Extra context, e.g. whether a message was internal
+  meta: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+auditLogSchema.index({ feedbackId: 1, createdAt: 1 });
+
+// Entries are immutable once written
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
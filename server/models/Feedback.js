@@ -1,4 +1,106 @@
 const mongoose = require('mongoose')
+const crypto = require('crypto')
+const { hasPermission } = require('../config/permissions')
+const { STATUS_VALUES, INITIAL_STATUS, getStatus, assertTransition } = require('../config/workflow')
+const { SENTIMENT_LABELS } = require('../config/triage')
+const slaService = require('../services/slaService')
+const businessCalendar = require('../services/businessCalendar')
+
+// Metrics are kept to two decimals
+const roundHours = (hours) => Math.round(hours * 100) / 100
+
+/**
+ * Conversation Message Schema
+ * One entry in the thread between the customer and support staff.
+ * Internal messages are staff-only and never shown to the customer.
+ */
+const messageSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Denormalized so the thread still renders if the account is removed
+    authorName: {
+        type: String,
+        trim: true
+    },
+
+    authorRole: {
+        type: String
+    },
+
+    body: {
+        type: String,
+        required: [true, 'Message body is required'],
+        trim: true,
+        maxlength: [2000, 'Message cannot exceed 2000 characters']
+    },
+
+    internal: {
+        type: Boolean,
+        default: false
+    },
+
+    // 'email' for replies ingested from the customer's mailbox
+    source: {
+        type: String,
+        enum: ['web', 'email'],
+        default: 'web'
+    },
+
+    // Message-ID of the ingested email, used to drop duplicate deliveries
+    emailMessageId: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Internal Note Schema
+ * Private context for colleagues - never sent to the submitting user
+ */
+const noteSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    authorName: {
+        type: String,
+        trim: true
+    },
+
+    body: {
+        type: String,
+        required: [true, 'Note body is required'],
+        trim: true,
+        maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+
+    // Staff members @mentioned in the note
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            return ret;
+        }
+    }
+});
 
 /**
  * Feedback Schema Definition
@@ -26,9 +128,10 @@ const feedbackSchema = new mongoose.Schema({
         maxlength: [100, "Name cannot exceed 100 characters"]
     },
 
+    // Optional for widget submissions - website visitors may stay anonymous
     customerEmail: {
         type: String,
-        required: [true, 'Email is required'],
+        required: [function() { return this.channel !== 'widget'; }, 'Email is required'],
         trim: true,
         lowercase: true,
         match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid emaail address']  // Email validation regex
@@ -69,48 +172,98 @@ const feedbackSchema = new mongoose.Schema({
         default: 'general'
     },
 
-    // Admin response
+    // Admin response (latest public staff reply - the full history lives in `messages`)
     adminResponse: {
         type: String,
         trim: true,
         maxlength: [2000, 'Response cannot exceed 2000 characters']
     },
 
-    // Status tracking
+    // Conversation thread between the customer and staff
+    messages: [messageSchema],
+
+    // Staff-only notes (excluded from queries unless selected with +internalNotes)
+    internalNotes: {
+        type: [noteSchema],
+        select: false
+    },
+
+    // Status tracking (statuses and transitions live in config/workflow.js)
     status: {
         type: String,
         enum: {
-            values: ['pending', 'responded', 'resolved'],
-            message: 'Status must be either pending, responded, or resolved'
+            values: STATUS_VALUES,
+            message: `Status must be one of: ${STATUS_VALUES.join(', ')}`
         },
-        default: 'pending'
+        default: INITIAL_STATUS
     },
 
-    // AI Generated Response Suggestions
+    // AI Generated Response Suggestions (validated against services/aiSchemas.js)
     aiSuggestions: [{
         suggestion: {
             type: String,
             trim: true
         },
+        // Scored from grounding and output quality, not reported by the model (see aiService)
         confidence: {
             type: Number,
             min: 0,
             max: 1
         },
 
+        tone: String,                               // formal | friendly | solution-focused
+        addressedConcerns: [String],
+        suggestedStatus: String,
+        suggestedPriority: String,
+        provider: String,                           // AI provider and model that wrote it
+        model: String,
+
         generatedAt: {
             type: Date,
             default: Date.now
         }
     }],
 
-    // Priority Level (set by admin)
+    // Priority Level (set by admin, or by AI triage on creation)
     priority: {
         type: String,
         enum: ['low', 'medium', 'high', 'urgent'],
         default: 'medium'
     },
 
+    // AI triage of the feedback as submitted (services/triageService.js)
+    triage: {
+        sentimentLabel: {
+            type: String,
+            enum: SENTIMENT_LABELS
+        },
+        sentimentScore: {                           // -1 (very negative) to 1 (very positive)
+            type: Number,
+            min: -1,
+            max: 1
+        },
+        topics: [String],
+        suggestedCategory: String,
+        categoryMismatch: Boolean,                  // Suggested category differs from the customer's choice
+        suggestedPriority: String,
+        priorityApplied: Boolean,                   // Whether triage set the priority itself
+        reason: String,
+        provider: String,
+        model: String,
+        triagedAt: Date
+    },
+
+    // Staff member responsible for this feedback
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    assignedAt: {
+        type: Date
+    },
+
     // Metadata
     isPublic: {
         type: Boolean,
@@ -126,6 +279,76 @@ const feedbackSchema = new mongoose.Schema({
         type: Date
     },
 
+    // First public staff reply (respondedAt tracks the latest one)
+    firstResponseAt: {
+        type: Date
+    },
+
+    // SLA tracking (targets live in config/sla.js)
+    slaPolicy: {
+        type: String
+    },
+
+    firstResponseDueAt: {
+        type: Date
+    },
+
+    resolutionDueAt: {
+        type: Date
+    },
+
+    firstResponseBreachedAt: {
+        type: Date
+    },
+
+    resolutionBreachedAt: {
+        type: Date
+    },
+
+    // Set when the SLA monitor bumps priority after a breach
+    escalatedAt: {
+        type: Date
+    },
+
+    // Matches customer email replies to this feedback (see config/inboundEmail.js)
+    replyToken: {
+        type: String
+    },
+
+    // Where the feedback was submitted from
+    channel: {
+        type: String,
+        enum: ['web', 'api', 'widget'],
+        default: 'web'
+    },
+
+    // Key used for API submissions (userId is empty for those)
+    apiKeyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+
+    // Site the embeddable widget was on, and the page it was opened from (userId is empty for those)
+    widgetSiteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WidgetSite'
+    },
+
+    pageUrl: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Page URL cannot exceed 2000 characters']
+    },
+
+    // Elapsed times in calendar and business hours (config/businessHours.js)
+    // Stored so stats can aggregate them; recomputed whenever the timestamps change
+    timeMetrics: {
+        firstResponseHours: { type: Number },
+        firstResponseBusinessHours: { type: Number },
+        resolutionHours: { type: Number },
+        resolutionBusinessHours: { type: Number }
+    },
+
 
 }, {
     // Schema Options
@@ -134,10 +357,20 @@ const feedbackSchema = new mongoose.Schema({
 
 
     toJSON: {
-  transform: function(doc, ret) {
+  transform: function(doc, ret, options) {
     ret.id = ret._id;     // Rename `_id` to `id`
     delete ret._id;       // Remove original MongoDB ID
     delete ret.__v;       // Remove internal version key
+    delete ret.replyToken;
+
+    // Internal messages, notes and triage are stripped unless explicitly requested (see toJSONFor)
+    if (!options.includeInternal) {
+      if (Array.isArray(ret.messages)) {
+        ret.messages = ret.messages.filter(message => !message.internal);
+      }
+      delete ret.internalNotes;
+      delete ret.triage;
+    }
     return ret;
     }
  }
@@ -154,8 +387,15 @@ const feedbackSchema = new mongoose.Schema({
  */
     feedbackSchema.index({ status: 1 });           // Single field index
     feedbackSchema.index({ category: 1 });
+    feedbackSchema.index({ 'triage.sentimentLabel': 1 });
+    feedbackSchema.index({ 'triage.topics': 1 });
     feedbackSchema.index({ createdAt: -1 });       // Descending order (newest first)
     feedbackSchema.index({ rating: 1 });
+    feedbackSchema.index({ assignedTo: 1, status: 1 });
+    feedbackSchema.index({ status: 1, firstResponseDueAt: 1 });
+    feedbackSchema.index({ status: 1, resolutionDueAt: 1 });
+    feedbackSchema.index({ replyToken: 1 }, { unique: true, sparse: true });
+    feedbackSchema.index({ 'messages.emailMessageId': 1 }, { sparse: true });
     feedbackSchema.index({ 
     customerEmail: 1, 
     createdAt: -1 
@@ -174,6 +414,41 @@ const feedbackSchema = new mongoose.Schema({
     return null;
     });
 
+    // Same as responseTime, but only counting working hours
+    feedbackSchema.virtual('responseTimeBusiness').get(function() {
+    if (this.respondedAt && this.createdAt) {
+        return Math.round(businessCalendar.businessHoursBetween(this.createdAt, this.respondedAt));
+    }
+    return null;
+    });
+
+    /**
+     * Fill timeMetrics from createdAt, first response and resolution times
+     * Older feedback has no firstResponseAt, so respondedAt stands in for it
+     */
+    feedbackSchema.methods.computeTimeMetrics = function() {
+    const start = this.createdAt || new Date();
+    const measure = (end) => ({
+        calendar: roundHours((end - start) / (1000 * 60 * 60)),
+        business: roundHours(businessCalendar.businessHoursBetween(start, end))
+    });
+    const firstResponseAt = this.firstResponseAt || this.respondedAt;
+
+    const metrics = {};
+    if (firstResponseAt) {
+        const { calendar, business } = measure(firstResponseAt);
+        metrics.firstResponseHours = calendar;
+        metrics.firstResponseBusinessHours = business;
+    }
+    if (this.resolvedAt) {
+        const { calendar, business } = measure(this.resolvedAt);
+        metrics.resolutionHours = calendar;
+        metrics.resolutionBusinessHours = business;
+    }
+    this.timeMetrics = metrics;
+    return metrics;
+};
+
 
     // Instance Methods
     // An instance method is a custom function that you can call on one single document (entry) in MongoDB.
@@ -184,6 +459,64 @@ const feedbackSchema = new mongoose.Schema({
     return this.save();
 };
 
+    /**
+     * Append a message to the conversation thread (does not save)
+     * - Public staff replies update adminResponse
+     * - Status follows the onStaffReply / onCustomerReply rules in config/workflow.js
+     */
+    feedbackSchema.methods.addMessage = function(author, body, { internal = false, source = 'web', emailMessageId } = {}) {
+    const isStaff = hasPermission(author, 'feedback:respond');
+    const currentStatus = getStatus(this.status) || {};
+
+    if (!isStaff && currentStatus.acceptsCustomerReplies === false) {
+        const error = new Error('This feedback is closed to new replies');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const message = {
+        author: author._id,
+        authorName: author.name,
+        authorRole: author.role,
+        body,
+        internal: isStaff && Boolean(internal),
+        source,
+        emailMessageId
+    };
+    this.messages.push(message);
+
+    if (!message.internal) {
+        if (isStaff) {
+            this.adminResponse = body;
+            if (!this.respondedAt) this.respondedAt = new Date();
+            if (!this.firstResponseAt) this.firstResponseAt = new Date();
+            if (currentStatus.onStaffReply) this.status = currentStatus.onStaffReply;
+        } else if (currentStatus.onCustomerReply) {
+            this.status = currentStatus.onCustomerReply;
+        }
+    }
+
+    return this.messages[this.messages.length - 1];
+    };
+
+    /**
+     * Return the reply-by-email token, creating it for feedback that predates tokens
+     * Saved with updateOne so workflow/SLA hooks don't run
+     */
+    feedbackSchema.methods.ensureReplyToken = async function() {
+    if (!this.replyToken) {
+        this.replyToken = crypto.randomBytes(8).toString('hex');
+        await this.constructor.updateOne({ _id: this._id }, { $set: { replyToken: this.replyToken } }, { timestamps: false });
+    }
+    return this.replyToken;
+    };
+
+    // Serialize for a specific viewer - staff who work tickets also see internal messages, notes
+    // and triage (read-only viewers and read-scoped API keys don't)
+    feedbackSchema.methods.toJSONFor = function(user) {
+    return this.toJSON({ includeInternal: hasPermission(user, 'feedback:respond') });
+    };
+
     feedbackSchema.methods.addAISuggestion = function(suggestion, confidence) {
     this.aiSuggestions.push({
         suggestion,
@@ -216,17 +549,86 @@ feedbackSchema.statics.getStatistics = function() {
 };
 
 
+/**
+ * Average first-response and resolution times, in calendar and business hours
+ *
+ * @param {Object} match - Mongo filter applied before averaging
+ * @returns {Promise<Object>} { firstResponse, resolution } each with { count, calendarHours, businessHours }
+ */
+feedbackSchema.statics.getResponseTimeStats = async function(match = {}) {
+  const [stats] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        firstResponseCount: { $sum: { $cond: [{ $gt: ['$timeMetrics.firstResponseHours', null] }, 1, 0] } },
+        firstResponseHours: { $avg: '$timeMetrics.firstResponseHours' },
+        firstResponseBusinessHours: { $avg: '$timeMetrics.firstResponseBusinessHours' },
+        resolutionCount: { $sum: { $cond: [{ $gt: ['$timeMetrics.resolutionHours', null] }, 1, 0] } },
+        resolutionHours: { $avg: '$timeMetrics.resolutionHours' },
+        resolutionBusinessHours: { $avg: '$timeMetrics.resolutionBusinessHours' }
+      }
+    }
+  ]);
+
+  const summarize = (count, calendarHours, businessHours) => ({
+    count: count || 0,
+    calendarHours: calendarHours == null ? null : roundHours(calendarHours),
+    businessHours: businessHours == null ? null : roundHours(businessHours)
+  });
+
+  return {
+    firstResponse: summarize(stats?.firstResponseCount, stats?.firstResponseHours, stats?.firstResponseBusinessHours),
+    resolution: summarize(stats?.resolutionCount, stats?.resolutionHours, stats?.resolutionBusinessHours)
+  };
+};
+
+// Remember the stored status so transitions can be checked on save
+feedbackSchema.post('init', function(doc) {
+  doc.$locals.storedStatus = doc.status;
+});
+
 // Pre-save middleware
 feedbackSchema.pre('save', function(next) {
-  // Only run this if status is being modified to 'responded'
-  if (this.isModified('status') && this.status === 'responded' && !this.respondedAt) {
-    this.respondedAt = new Date();
+  if (this.isNew && !this.replyToken) {
+    this.replyToken = crypto.randomBytes(8).toString('hex');
+  }
+
+  if (this.isModified('status')) {
+    // Enforce the workflow for every route that changes status
+    if (!this.isNew && this.$locals.storedStatus) {
+      try {
+        assertTransition(this.$locals.storedStatus, this.status);
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    if (this.status === 'responded' && !this.respondedAt) {
+      this.respondedAt = new Date();
+    }
+    if (this.status === 'resolved') {
+      this.resolvedAt = new Date();
+    } else if (this.resolvedAt && !['resolved', 'closed'].includes(this.status)) {
+      // Reopened (or otherwise moved back into the queue) - no longer counts as resolved
+      this.resolvedAt = undefined;
+    }
+  }
+
+  if (this.isModified('firstResponseAt') || this.isModified('respondedAt') || this.isModified('resolvedAt')) {
+    this.computeTimeMetrics();
+  }
+
+  // (Re)compute SLA due dates - except when the SLA monitor itself escalated priority
+  if (this.isNew || ((this.isModified('priority') || this.isModified('category')) && !this.$locals.slaEscalation)) {
+    slaService.applyPolicy(this);
   }
   next();
 });
 
 // Post-save middleware
 feedbackSchema.post('save', function(doc) {
+  doc.$locals.storedStatus = doc.status;
   console.log(`📝 New feedback saved: ${doc.subject} by ${doc.customerName}`);
 });
 
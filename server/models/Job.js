@@ -0,0 +1,100 @@
+/**
+ * Job Model
+ * One unit of background work (see config/jobs.js), with its retry state and outcome
+ */
+
+const mongoose = require('mongoose');
+const { JOB_TYPE_NAMES, RETENTION_DAYS } = require('../config/jobs');
+
+// queued: waiting for its first attempt or a retry; dead: gave up after maxAttempts (dead letter)
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead'];
+
+// Failed attempts kept on the job
+const MAX_ATTEMPT_LOG = 10;
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPE_NAMES,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Related feedback, so its jobs can be looked up
+  feedbackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Feedback'
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  // When a queued job becomes due
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A running job belongs to its worker until the lease expires
+  lockedUntil: {
+    type: Date
+  },
+  workerId: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    at: Date
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index({ feedbackId: 1, createdAt: -1 });
+// Succeeded jobs clean themselves up; dead ones stay until someone looks at them
+jobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { status: 'succeeded' } }
+);
+
+const Job = mongoose.model('Job', jobSchema);
+
+Job.STATUSES = JOB_STATUSES;
+Job.MAX_ATTEMPT_LOG = MAX_ATTEMPT_LOG;
+
+module.exports = Job;
@@ -0,0 +1,55 @@
+/**
+ * KnowledgeArticle Model
+ * Help articles the AI assistant retrieves from and cites (see config/knowledgeBase.js)
+ */
+
+const mongoose = require('mongoose');
+
+const knowledgeArticleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Article text is required'],
+    trim: true,
+    maxlength: [20000, 'Article text cannot exceed 20000 characters']
+  },
+  // Extra search terms, lowercased
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 40
+  }],
+  // Unpublished articles are kept but never retrieved
+  published: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+knowledgeArticleSchema.index({ published: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('KnowledgeArticle', knowledgeArticleSchema);
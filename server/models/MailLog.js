@@ -0,0 +1,69 @@
+/**
+ * MailLog Model
+ * Record of every outgoing email (sent, failed or skipped because of opt-out)
+ */
+
+const mongoose = require('mongoose');
+
+const MAIL_STATUSES = ['sent', 'failed', 'skipped'];
+
+const mailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Which email this was, e.g. 'feedback_response' or 'password_reset'
+  template: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: MAIL_STATUSES,
+    required: true
+  },
+  transport: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  // Failure message or skip reason
+  error: {
+    type: String
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  feedbackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Feedback'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+mailLogSchema.index({ createdAt: -1 });
+mailLogSchema.index({ to: 1, createdAt: -1 });
+mailLogSchema.index({ feedbackId: 1 });
+
+const MailLog = mongoose.model('MailLog', mailLogSchema);
+
+MailLog.STATUSES = MAIL_STATUSES;
+
+module.exports = MailLog;
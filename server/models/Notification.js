@@ -0,0 +1,70 @@
+/**
+ * Notification Model
+ * In-app notifications shown in the header bell
+ */
+
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'response',        // Staff replied to the customer's feedback
+  'message',         // Customer replied on an assigned item
+  'status_changed',
+  'assigned',
+  'mention',         // @mentioned in an internal note
+  'sla_breached'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  feedbackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Feedback'
+  },
+  // Denormalized so the list renders without extra lookups
+  actorName: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
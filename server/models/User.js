@@ -3,7 +3,16 @@
  * Defines the schema for users (admin and normal users)
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+
+// bcrypt cost factor - raising it makes existing hashes get upgraded on next login
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+
+// Matches $2a$/$2b$/$2y$ bcrypt hashes
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$/;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,11 +33,12 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true,
-    minlength: 6
+    minlength: 6,
+    select: false   // Only loaded when explicitly requested with .select('+password')
   },
   role: {
     type: String,
-    enum: ['admin', 'user'],
+    enum: ROLES,   // admin, agent, viewer, user - see config/permissions.js
     default: 'user'
   },
   name: {
@@ -39,6 +49,41 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Set by an admin to block password login until the user resets it
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // Opt-outs for customer emails about feedback (see services/customerEmailService.js)
+  emailPreferences: {
+    acknowledgement: { type: Boolean, default: true },
+    response: { type: Boolean, default: true },
+    resolution: { type: Boolean, default: true }
+  },
+  // Single-use tokens are stored as SHA-256 hashes and cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -48,6 +93,92 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check a candidate password against the stored one
+ * Accounts created before hashing was introduced still hold plaintext;
+ * those are compared in constant time and rehashed by the login route.
+ *
+ * @param {string} candidatePassword - Password entered by the user
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!candidatePassword || !this.password) return false;
+
+  if (!this.isPasswordHashed()) {
+    const stored = Buffer.from(this.password);
+    const candidate = Buffer.from(candidatePassword);
+    return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+  }
+
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+userSchema.methods.isPasswordHashed = function() {
+  return BCRYPT_HASH_PATTERN.test(this.password || '');
+};
+
+/**
+ * Whether the stored password is plaintext or hashed with an outdated cost
+ */
+userSchema.methods.needsPasswordRehash = function() {
+  return !this.isPasswordHashed() || bcrypt.getRounds(this.password) < SALT_ROUNDS;
+};
+
+/**
+ * Hash a raw single-use token for storage/lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a password reset token (valid for 1 hour)
+ * Only the hash is stored; the raw token is returned to be emailed.
+ *
+ * @returns {string} Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * Generate an email verification token (valid for 24 hours)
+ *
+ * @returns {string} Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * Find the user owning an unexpired single-use token
+ *
+ * @param {string} field - 'passwordReset' or 'emailVerification'
+ * @param {string} token - Raw token from the emailed link
+ */
+userSchema.statics.findByToken = function(field, token) {
+  return this.findOne({
+    [`${field}Token`]: hashToken(token),
+    [`${field}Expires`]: { $gt: new Date() }
+  });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
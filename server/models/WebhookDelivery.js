@@ -0,0 +1,79 @@
+/**
+ * WebhookDelivery Model
+ * One event sent (or being retried) to one webhook, with the outcome of the last attempt
+ */
+
+const mongoose = require('mongoose');
+
+// pending: waiting for its first attempt or a retry; failed: gave up after MAX_ATTEMPTS
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body, stored so retries and redeliveries send exactly the same data
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Outcome of the most recent attempt
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Set on copies created by "redeliver"
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
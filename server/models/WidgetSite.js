@@ -0,0 +1,68 @@
+/**
+ * WidgetSite Model
+ * A website allowed to embed the feedback widget
+ *
+ * The site key is public (it sits in the page's HTML); the allowed origins are what keep
+ * other sites from using it
+ */
+
+const mongoose = require('mongoose');
+const { normalizeOrigin } = require('../config/widget');
+
+const widgetSiteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  siteKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // e.g. "https://www.example.com" - scheme, host and port must match the embedding page
+  allowedOrigins: {
+    type: [String],
+    set: (origins) => [...new Set(origins.map(origin => normalizeOrigin(origin) || origin))],
+    validate: [
+      {
+        validator: (origins) => origins.length > 0,
+        message: 'Add at least one allowed origin'
+      },
+      {
+        validator: (origins) => origins.every(origin => normalizeOrigin(origin) === origin),
+        message: 'Allowed origins must be http(s) origins like https://www.example.com'
+      }
+    ]
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submissionCount: {
+    type: Number,
+    default: 0
+  },
+  lastSubmissionAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+widgetSiteSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('WidgetSite', widgetSiteSchema);
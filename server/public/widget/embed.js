@@ -0,0 +1,79 @@
+/**
+ * Feedback Tracker widget loader
+ *
+ * <script src="https://<api host>/widget/embed.js" data-site-key="site_..." async></script>
+ *
+ * Optional attributes:
+ * - data-label      Button text (default "Feedback")
+ * - data-position   "right" (default) or "left"
+ * - data-color      Button colour (default #2563eb)
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript || document.querySelector('script[data-site-key]');
+  if (!script || window.__feedbackTrackerWidget) return;
+  window.__feedbackTrackerWidget = true;
+
+  var siteKey = script.getAttribute('data-site-key');
+  if (!siteKey) {
+    console.error('Feedback widget: missing data-site-key');
+    return;
+  }
+
+  var widgetOrigin = new URL(script.src).origin;
+  var side = script.getAttribute('data-position') === 'left' ? 'left' : 'right';
+  var color = script.getAttribute('data-color') || '#2563eb';
+
+  var button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = script.getAttribute('data-label') || 'Feedback';
+  button.setAttribute('aria-haspopup', 'dialog');
+  button.setAttribute('aria-expanded', 'false');
+  button.style.cssText = [
+    'position:fixed', 'bottom:20px', side + ':20px', 'z-index:2147483646',
+    'padding:10px 18px', 'border:0', 'border-radius:999px', 'cursor:pointer',
+    'background:' + color, 'color:#fff', 'font:600 14px/1.2 system-ui,sans-serif',
+    'box-shadow:0 4px 14px rgba(0,0,0,.2)'
+  ].join(';');
+
+  var frame = document.createElement('iframe');
+  frame.title = 'Send feedback';
+  frame.src = widgetOrigin + '/widget/frame?siteKey=' + encodeURIComponent(siteKey);
+  frame.style.cssText = [
+    'position:fixed', 'bottom:76px', side + ':20px', 'z-index:2147483647',
+    'width:360px', 'max-width:calc(100vw - 40px)', 'height:520px', 'max-height:calc(100vh - 96px)',
+    'border:0', 'border-radius:12px', 'background:#fff',
+    'box-shadow:0 10px 40px rgba(0,0,0,.25)', 'display:none'
+  ].join(';');
+
+  function setOpen(open) {
+    frame.style.display = open ? 'block' : 'none';
+    button.setAttribute('aria-expanded', String(open));
+  }
+
+  // The frame can't see the host page, so tell it where it was opened (checked against the site's allowed origins)
+  frame.addEventListener('load', function () {
+    frame.contentWindow.postMessage({ type: 'feedback-widget:init', pageUrl: window.location.href }, widgetOrigin);
+  });
+
+  button.addEventListener('click', function () {
+    setOpen(frame.style.display === 'none');
+  });
+
+  window.addEventListener('message', function (event) {
+    if (event.origin !== widgetOrigin || event.source !== frame.contentWindow || !event.data) return;
+    if (event.data.type === 'feedback-widget:close') setOpen(false);
+  });
+
+  function mount() {
+    document.body.appendChild(frame);
+    document.body.appendChild(button);
+  }
+
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener('DOMContentLoaded', mount);
+  }
+})();
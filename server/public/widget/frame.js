@@ -0,0 +1,78 @@
+/**
+ * Feedback Tracker widget form (runs inside the iframe served by /widget/frame)
+ */
+(function () {
+  'use strict';
+
+  var siteKey = new URLSearchParams(window.location.search).get('siteKey');
+  var host = { origin: null, pageUrl: null };
+
+  var form = document.getElementById('feedback-form');
+  var status = document.getElementById('status');
+  var submit = document.getElementById('submit');
+
+  // The loader tells us which page we're on once the frame has loaded
+  window.addEventListener('message', function (event) {
+    if (event.source !== window.parent || !event.data || event.data.type !== 'feedback-widget:init') return;
+    host.origin = event.origin;
+    host.pageUrl = event.data.pageUrl;
+  });
+
+  function postToHost(message) {
+    if (host.origin) window.parent.postMessage(message, host.origin);
+  }
+
+  function showStatus(text) {
+    status.textContent = text;
+  }
+
+  document.getElementById('close').addEventListener('click', function () {
+    postToHost({ type: 'feedback-widget:close' });
+  });
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+
+    var rating = form.querySelector('input[name="rating"]:checked');
+    var message = form.message.value.trim();
+
+    if (!rating) return showStatus('Please choose a rating.');
+    if (message.length < 10) return showStatus('Please write at least 10 characters.');
+    if (form.customerEmail.value && !form.customerEmail.checkValidity()) return showStatus('Please enter a valid email address.');
+    if (!host.pageUrl) return showStatus('The widget is still loading - please try again.');
+
+    submit.disabled = true;
+    showStatus('Sending…');
+
+    fetch('/widget/feedback', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        siteKey: siteKey,
+        pageUrl: host.pageUrl,
+        rating: Number(rating.value),
+        category: form.category.value,
+        message: message,
+        customerName: form.customerName.value,
+        customerEmail: form.customerEmail.value,
+        website: form.website.value
+      })
+    })
+      .then(function (response) {
+        return response.json().then(function (body) {
+          if (!response.ok || !body.success) throw new Error(body.message || 'Something went wrong');
+        });
+      })
+      .then(function () {
+        form.hidden = true;
+        document.getElementById('thanks').hidden = false;
+        postToHost({ type: 'feedback-widget:submitted' });
+      })
+      .catch(function (error) {
+        showStatus(error.message === 'Failed to fetch' ? 'Could not reach the server - please try again.' : error.message);
+      })
+      .then(function () {
+        submit.disabled = false;
+      });
+  });
+})();
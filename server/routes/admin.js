@@ -6,9 +6,38 @@
 const express = require('express');
 const router = express.Router();
 
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const MailLog = require('../models/MailLog');
+const Webhook = require('../models/Webhook');
+const ApiKey = require('../models/ApiKey');
+const WidgetSite = require('../models/WidgetSite');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Job = require('../models/Job');
+const KnowledgeArticle = require('../models/KnowledgeArticle');
+const auditService = require('../services/auditService');
+const eventService = require('../services/eventService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const chatNotificationService = require('../services/chatNotificationService');
+const apiKeyService = require('../services/apiKeyService');
+const widgetService = require('../services/widgetService');
+const jobQueue = require('../services/jobQueue');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const slaService = require('../services/slaService');
+const businessCalendar = require('../services/businessCalendar');
+const { ROLES, STAFF_ROLES, getPermissions } = require('../config/permissions');
+const { API_KEY_SCOPES, SCOPE_NAMES, DEFAULT_RATE_LIMIT_PER_MINUTE } = require('../config/apiKeys');
+const { WEBHOOK_EVENTS, isValidEvent: isValidWebhookEvent } = require('../config/webhooks');
+const { JOB_TYPES } = require('../config/jobs');
+const { SENTIMENT_LABELS } = require('../config/triage');
+const { OPEN_STATUSES, ACTIVE_STATUSES, STATUS_VALUES, isValidStatus, canTransition, getAllowedTransitions } = require('../config/workflow');
+
 // Import models and middleware with error handling
-let Feedback;
-let requireAuth, requireAdmin;
+let Feedback, User;
+let requireAuth, requireAuthOrApiKey, requirePermission;
 
 try {
   Feedback = require('../models/Feedback');
@@ -17,10 +46,18 @@ try {
   console.error('❌ Failed to import Feedback model:', error.message);
 }
 
+try {
+  User = require('../models/User');
+  console.log('✅ User model imported in admin routes');
+} catch (error) {
+  console.error('❌ Failed to import User model:', error.message);
+}
+
 try {
   const authMiddleware = require('../middleware/auth');
   requireAuth = authMiddleware.requireAuth;
-  requireAdmin = authMiddleware.requireAdmin;
+  requireAuthOrApiKey = authMiddleware.requireAuthOrApiKey;
+  requirePermission = authMiddleware.requirePermission;
   console.log('✅ Auth middleware imported in admin routes');
 } catch (error) {
   console.error('❌ Failed to import auth middleware:', error.message);
@@ -29,8 +66,9 @@ try {
     console.log('⚠️ Using mock requireAuth middleware');
     next();
   };
-  requireAdmin = (req, res, next) => {
-    console.log('⚠️ Using mock requireAdmin middleware');
+  requireAuthOrApiKey = () => requireAuth;
+  requirePermission = () => (req, res, next) => {
+    console.log('⚠️ Using mock requirePermission middleware');
     next();
   };
 }
@@ -42,7 +80,7 @@ console.log('📋 Registering admin routes...');
  * GET /api/admin/feedback
  * Get all feedback for admin with filtering capabilities
  */
-router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
+router.get('/feedback', requireAuthOrApiKey('read'), requirePermission('feedback:read_all'), async (req, res) => {
   try {
     console.log('📥 GET /api/admin/feedback - Fetching all feedback for admin');
 
@@ -64,7 +102,11 @@ router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
       page = 1,
       limit = 50,
       sort = '-createdAt',
-      search
+      search,
+      assignedTo,
+      sentiment,
+      topic,
+      categoryMismatch
     } = req.query;
 
     // Build filter object
@@ -74,6 +116,33 @@ router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
     if (category) filter.category = category;
     if (priority) filter.priority = priority;
     if (rating) filter.rating = { $gte: parseInt(rating) };
+
+    // AI triage results
+    if (sentiment) {
+      if (typeof sentiment !== 'string' || !SENTIMENT_LABELS.includes(sentiment)) {
+        return res.status(400).json({
+          success: false,
+          message: `sentiment must be one of: ${SENTIMENT_LABELS.join(', ')}`
+        });
+      }
+      filter['triage.sentimentLabel'] = sentiment;
+    }
+    if (topic) filter['triage.topics'] = String(topic).trim().toLowerCase();
+    if (categoryMismatch === 'true') filter['triage.categoryMismatch'] = true;
+
+    // "My queue" / unassigned / specific staff member
+    if (assignedTo === 'me') filter.assignedTo = req.user._id;
+    else if (assignedTo === 'unassigned') filter.assignedTo = null;
+    else if (assignedTo) {
+      // Also rejects non-string values such as assignedTo[$ne]=...
+      if (typeof assignedTo !== 'string' || !mongoose.Types.ObjectId.isValid(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'assignedTo must be "me", "unassigned" or a staff member ID'
+        });
+      }
+      filter.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+    }
     
     // Add text search if provided
     if (search) {
@@ -96,7 +165,8 @@ router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
         .sort(sort)
         .skip(skip)
         .limit(limitNumber)
-        .populate('userId', 'name email'), // Populate user info if needed
+        .populate('userId', 'name email') // Populate user info if needed
+        .populate('assignedTo', 'name username role'),
       
       Feedback.countDocuments(filter)
     ]);
@@ -110,7 +180,7 @@ router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: feedback,
+      data: feedback.map(item => item.toJSONFor(req.user)),
       pagination: {
         currentPage: pageNumber,
         totalPages,
@@ -124,7 +194,11 @@ router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
         category,
         priority,
         rating,
-        search
+        search,
+        assignedTo,
+        sentiment,
+        topic,
+        categoryMismatch
       }
     });
 
@@ -142,10 +216,10 @@ router.get('/feedback', requireAuth, requireAdmin, async (req, res) => {
  * PUT /api/admin/feedback/:id/response
  * Admin respond to specific feedback
  */
-router.put('/feedback/:id/response', requireAuth, requireAdmin, async (req, res) => {
+router.put('/feedback/:id/response', requireAuthOrApiKey('admin'), requirePermission('feedback:respond'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { adminResponse, status = 'responded' } = req.body;
+    const { adminResponse, status } = req.body;
 
     console.log(`📥 PUT /api/admin/feedback/${id}/response - Admin responding to feedback`);
 
@@ -172,23 +246,45 @@ router.put('/feedback/:id/response', requireAuth, requireAdmin, async (req, res)
       });
     }
 
-    // Update feedback with admin response
-    feedback.adminResponse = adminResponse.trim();
-    feedback.status = status;
+    const before = auditService.snapshot(feedback, ['status', 'adminResponse']);
+
+    // Append the response to the conversation thread (also updates adminResponse)
+    feedback.addMessage(req.user, adminResponse.trim());
+    if (status) feedback.status = status;    // Otherwise the workflow's onStaffReply rule applies
     feedback.respondedAt = new Date();
 
     await feedback.save();
 
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'response_added',
+      changes: auditService.diff(before, auditService.snapshot(feedback, ['status', 'adminResponse']))
+    });
+    eventService.publishFeedback('feedback.responded', feedback);
+    await notificationService.feedbackResponded(feedback, req.user, adminResponse.trim(), { previousStatus: before.status });
+    webhookService.feedbackEvent('feedback.responded', feedback, { actor: req.user });
+    webhookService.statusChanged(feedback, before.status, req.user);
+
     console.log(`✅ Admin responded to feedback: ${feedback.subject}`);
 
     res.status(200).json({
       success: true,
       message: 'Response sent successfully',
-      data: feedback
+      data: feedback.toJSONFor(req.user)
     });
 
   } catch (error) {
     console.error('❌ Error sending admin response:', error);
+
+    // Rejected workflow transition (see config/workflow.js)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to send response',
@@ -197,21 +293,104 @@ router.put('/feedback/:id/response', requireAuth, requireAdmin, async (req, res)
   }
 });
 
+/**
+ * POST /api/admin/feedback/:id/messages
+ * Add a staff reply (or internal-only message) to the feedback conversation
+ *
+ * Request Body: { "body": "...", "internal": false }
+ */
+router.post('/feedback/:id/messages', requireAuthOrApiKey('admin'), requirePermission('feedback:respond'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, internal = false } = req.body;
+
+    console.log(`📥 POST /api/admin/feedback/${id}/messages - Adding staff reply`);
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message body is required'
+      });
+    }
+
+    const feedback = await Feedback.findById(id).populate('assignedTo', 'name username role');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    const before = auditService.snapshot(feedback, ['status', 'adminResponse']);
+
+    const message = feedback.addMessage(req.user, body.trim(), { internal });
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'message_added',
+      changes: auditService.diff(before, auditService.snapshot(feedback, ['status', 'adminResponse'])),
+      meta: { messageId: message._id, internal: message.internal }
+    });
+    eventService.publishFeedback(message.internal ? 'feedback.updated' : 'feedback.responded', feedback, { staffOnly: message.internal });
+    if (!message.internal) {
+      await notificationService.feedbackResponded(feedback, req.user, message.body);
+      webhookService.feedbackEvent('feedback.responded', feedback, { actor: req.user });
+      webhookService.statusChanged(feedback, before.status, req.user);
+    }
+
+    console.log(`✅ Added ${internal ? 'internal ' : ''}staff reply to feedback: ${feedback.subject}`);
+
+    res.status(201).json({
+      success: true,
+      message: internal ? 'Internal message added' : 'Reply sent successfully',
+      data: feedback.toJSONFor(req.user)
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding staff reply:', error);
+
+    // Rejected workflow transition (see config/workflow.js)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add reply',
+      error: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/admin/feedback/:id/status
  * Update feedback status
  */
-router.put('/feedback/:id/status', requireAuth, requireAdmin, async (req, res) => {
+router.put('/feedback/:id/status', requireAuthOrApiKey('admin'), requirePermission('feedback:status'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
     console.log(`📥 PUT /api/admin/feedback/${id}/status - Updating feedback status`);
 
-    if (!['pending', 'responded', 'resolved'].includes(status)) {
+    if (!isValidStatus(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be pending, responded, or resolved'
+        message: `Invalid status. Must be one of: ${STATUS_VALUES.join(', ')}`
       });
     }
 
@@ -222,14 +401,7 @@ router.put('/feedback/:id/status', requireAuth, requireAdmin, async (req, res) =
       });
     }
 
-    const feedback = await Feedback.findByIdAndUpdate(
-      id,
-      { 
-        status,
-        ...(status === 'resolved' ? { resolvedAt: new Date() } : {})
-      },
-      { new: true, runValidators: true }
-    );
+    const feedback = await Feedback.findById(id);
 
     if (!feedback) {
       return res.status(404).json({
@@ -238,16 +410,49 @@ router.put('/feedback/:id/status', requireAuth, requireAdmin, async (req, res) =
       });
     }
 
+    const previousStatus = feedback.status;
+    if (!canTransition(previousStatus, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from "${previousStatus}" to "${status}"`,
+        allowedTransitions: getAllowedTransitions(previousStatus)
+      });
+    }
+
+    feedback.status = status;
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'status_changed',
+      changes: [{ field: 'status', before: previousStatus, after: status }]
+    });
+    eventService.publishFeedback('feedback.updated', feedback);
+    if (previousStatus !== status) {
+      await notificationService.statusChanged(feedback, req.user);
+      webhookService.statusChanged(feedback, previousStatus, req.user);
+    }
+
     console.log(`✅ Updated feedback status to ${status}: ${feedback.subject}`);
 
     res.status(200).json({
       success: true,
       message: 'Status updated successfully',
-      data: feedback
+      data: feedback.toJSONFor(req.user)
     });
 
   } catch (error) {
     console.error('❌ Error updating feedback status:', error);
+
+    // Rejected workflow transition (see config/workflow.js)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update status',
@@ -256,11 +461,299 @@ router.put('/feedback/:id/status', requireAuth, requireAdmin, async (req, res) =
   }
 });
 
+/**
+ * PUT /api/admin/feedback/:id/assign
+ * Assign feedback to a staff member (or unassign with null)
+ *
+ * Request Body: { "assigneeId": "<userId>" | "me" | null }
+ */
+router.put('/feedback/:id/assign', requireAuthOrApiKey('admin'), requirePermission('feedback:assign'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    let { assigneeId = null } = req.body;
+
+    console.log(`📥 PUT /api/admin/feedback/${id}/assign - Assigning to ${assigneeId}`);
+
+    if (assigneeId === 'me') assigneeId = req.user._id;
+
+    let assignee = null;
+    if (assigneeId) {
+      assignee = await User.findById(assigneeId).select('name username role isActive');
+
+      if (!assignee || !assignee.isActive || !STAFF_ROLES.includes(assignee.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active staff member'
+        });
+      }
+    }
+
+    const feedback = await Feedback.findById(id);
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    const previousAssignee = feedback.assignedTo ? String(feedback.assignedTo) : null;
+    feedback.assignedTo = assignee ? assignee._id : null;
+    feedback.assignedAt = assignee ? new Date() : null;
+    await feedback.save();
+    await feedback.populate('assignedTo', 'name username role');
+
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'assigned',
+      changes: [{ field: 'assignedTo', before: previousAssignee, after: assignee ? String(assignee._id) : null }],
+      meta: { assigneeName: assignee ? assignee.name : null }
+    });
+    eventService.publishFeedback('feedback.updated', feedback);
+    if (assignee && previousAssignee !== String(assignee._id)) {
+      await notificationService.assigned(feedback, req.user, assignee);
+    }
+    if (previousAssignee !== (assignee ? String(assignee._id) : null)) {
+      webhookService.feedbackEvent('feedback.assigned', feedback, { actor: req.user, previousAssignee });
+    }
+
+    console.log(`✅ Feedback ${id} ${assignee ? `assigned to ${assignee.username}` : 'unassigned'}`);
+
+    res.status(200).json({
+      success: true,
+      message: assignee ? `Assigned to ${assignee.name}` : 'Feedback unassigned',
+      data: feedback.toJSONFor(req.user)
+    });
+
+  } catch (error) {
+    console.error('❌ Error assigning feedback:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign feedback',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Resolve @username mentions in a note to active staff members
+ *
+ * @param {string} body - Note text
+ * @returns {Promise<Array>} Mentioned staff users
+ */
+const resolveMentions = async (body) => {
+  const usernames = [...new Set(
+    [...body.matchAll(/@([a-zA-Z0-9_.-]+)/g)].map(match => match[1])
+  )];
+  if (usernames.length === 0) return [];
+
+  return User.find({
+    username: { $in: usernames },
+    role: { $in: STAFF_ROLES },
+    isActive: true
+  }).select('name username');
+};
+
+/**
+ * GET /api/admin/feedback/:id/notes
+ * Internal staff notes on a feedback item (staff who work tickets only - not available to API keys)
+ */
+router.get('/feedback/:id/notes', requireAuth, requirePermission('feedback:respond'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`📥 GET /api/admin/feedback/${id}/notes - Fetching internal notes`);
+
+    const feedback = await Feedback.findById(id)
+      .select('+internalNotes')
+      .populate('internalNotes.mentions', 'name username');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: feedback.toJSONFor(req.user).internalNotes || []
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching internal notes:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notes',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/feedback/:id/notes
+ * Add an internal note - mention colleagues with @username
+ * (staff who work tickets only - not available to API keys, like reading notes)
+ *
+ * Request Body: { "body": "@jane can you check the billing logs?" }
+ */
+router.post('/feedback/:id/notes', requireAuth, requirePermission('feedback:respond'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body } = req.body;
+
+    console.log(`📥 POST /api/admin/feedback/${id}/notes - Adding internal note`);
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note body is required'
+      });
+    }
+
+    const feedback = await Feedback.findById(id).select('+internalNotes');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    const mentioned = await resolveMentions(body);
+
+    feedback.internalNotes.push({
+      author: req.user._id,
+      authorName: req.user.name,
+      body: body.trim(),
+      mentions: mentioned.map(user => user._id)
+    });
+    await feedback.save();
+    await feedback.populate('internalNotes.mentions', 'name username');
+
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'note_added',
+      meta: { mentions: mentioned.map(user => user.username) }
+    });
+    await notificationService.mentioned(feedback, req.user, mentioned, body.trim());
+
+    console.log(`✅ Added internal note to feedback ${id} (${mentioned.length} mention(s))`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: feedback.toJSONFor(req.user).internalNotes
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding internal note:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/feedback/:id/history
+ * Audit trail for a feedback item (oldest first)
+ */
+router.get('/feedback/:id/history', requireAuthOrApiKey('read'), requirePermission('feedback:read_all'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`📥 GET /api/admin/feedback/${id}/history - Fetching audit trail`);
+
+    const history = await auditService.getHistory(id);
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching feedback history:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/staff
+ * Active staff members that feedback can be assigned to
+ */
+router.get('/staff', requireAuthOrApiKey('read'), requirePermission('feedback:read_all'), async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $in: STAFF_ROLES }, isActive: true })
+      .sort({ name: 1 })
+      .select('name username role');
+
+    res.status(200).json({
+      success: true,
+      data: staff.map(member => ({
+        id: member._id,
+        name: member.name,
+        username: member.username,
+        role: member.role
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching staff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch staff',
+      error: error.message
+    });
+  }
+});
+
+// Fields shown in the dashboard's SLA lists
+const SLA_LIST_FIELDS = 'subject customerName priority status category createdAt assignedTo slaPolicy ' +
+  'firstResponseAt firstResponseDueAt resolutionDueAt firstResponseBreachedAt resolutionBreachedAt escalatedAt';
+
 /**
  * GET /api/admin/dashboard
  * Get admin dashboard data
  */
-router.get('/dashboard', requireAuth, requireAdmin, async (req, res) => {
+router.get('/dashboard', requireAuthOrApiKey('read'), requirePermission('dashboard:read'), async (req, res) => {
   try {
     console.log('📥 GET /api/admin/dashboard - Fetching dashboard data');
 
@@ -279,19 +772,32 @@ router.get('/dashboard', requireAuth, requireAdmin, async (req, res) => {
           recentFeedback: [],
           urgentFeedback: [],
           categoryStats: [],
-          ratingTrends: []
+          ratingTrends: [],
+          workload: [],
+          byStatus: {},
+          sla: { firstResponseBreached: 0, resolutionBreached: 0, atRisk: [], breached: [] },
+          responseTimes: null
         },
         message: 'Feedback model not available - showing mock data'
       });
     }
 
+    const now = new Date();
+
     // Get comprehensive statistics
     const [
       totalStats,
       recentFeedback,
       urgentFeedback,
       categoryStats,
-      ratingTrends
+      ratingTrends,
+      workload,
+      statusCounts,
+      firstResponseBreached,
+      resolutionBreached,
+      slaAtRisk,
+      slaBreached,
+      responseTimes
     ] = await Promise.all([
       // Total statistics
       Feedback.aggregate([
@@ -323,7 +829,7 @@ router.get('/dashboard', requireAuth, requireAdmin, async (req, res) => {
           { priority: 'high' },
           { rating: { $lte: 2 } }
         ],
-        status: { $in: ['pending', 'in-progress'] }
+        status: { $in: OPEN_STATUSES }
       })
       .sort({ createdAt: -1 })
       .limit(5),
@@ -358,22 +864,136 @@ router.get('/dashboard', requireAuth, requireAdmin, async (req, res) => {
           }
         },
         { $sort: { '_id.date': 1 } }
-      ])
-    ]);
+      ]),
 
-    const dashboardData = {
-      stats: totalStats[0] || {
-        total: 0,
-        pending: 0,
-        responded: 0,
-        resolved: 0,
-        avgRating: 0,
-        highPriority: 0
-      },
+      // Workload per assignee (open = not done; pending = waiting on staff)
+      Feedback.aggregate([
+        { $match: { status: { $in: ACTIVE_STATUSES } } },
+        {
+          $group: {
+            _id: '$assignedTo',
+            openCount: { $sum: 1 },
+            pendingCount: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+            urgentCount: { $sum: { $cond: [{ $in: ['$priority', ['high', 'urgent']] }, 1, 0] } },
+            oldestPendingAt: {
+              $min: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, '$createdAt', null] }
+            }
+          }
+        },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'assignee'
+          }
+        },
+        { $unwind: { path: '$assignee', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            assigneeId: '$_id',
+            name: { $ifNull: ['$assignee.name', 'Unassigned'] },
+            username: '$assignee.username',
+            openCount: 1,
+            pendingCount: 1,
+            urgentCount: 1,
+            oldestPendingAt: 1,
+            oldestPendingAgeHours: {
+              $cond: [
+                { $ifNull: ['$oldestPendingAt', false] },
+                { $round: [{ $divide: [{ $subtract: ['$$NOW', '$oldestPendingAt'] }, 1000 * 60 * 60] }, 1] },
+                null
+              ]
+            }
+          }
+        },
+        { $sort: { openCount: -1 } }
+      ]),
+
+      // Count per workflow status
+      Feedback.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+
+      // SLA: open items that missed their first-response target
+      Feedback.countDocuments({
+        status: { $in: ACTIVE_STATUSES },
+        firstResponseBreachedAt: { $ne: null }
+      }),
+
+      // SLA: open items that missed their resolution target
+      Feedback.countDocuments({
+        status: { $in: ACTIVE_STATUSES },
+        resolutionBreachedAt: { $ne: null }
+      }),
+
+      // SLA: items close to either deadline
+      Feedback.find({
+        status: { $in: ACTIVE_STATUSES },
+        $or: [
+          { firstResponseAt: null, respondedAt: null, firstResponseBreachedAt: null, ...slaService.atRiskFilter('firstResponseDueAt', now) },
+          { resolutionBreachedAt: null, ...slaService.atRiskFilter('resolutionDueAt', now) }
+        ]
+      })
+      .sort({ firstResponseDueAt: 1 })
+      .limit(10)
+      .select(SLA_LIST_FIELDS)
+      .populate('assignedTo', 'name username'),
+
+      // SLA: most recent breaches still open
+      Feedback.find({
+        status: { $in: ACTIVE_STATUSES },
+        $or: [
+          { firstResponseBreachedAt: { $ne: null } },
+          { resolutionBreachedAt: { $ne: null } }
+        ]
+      })
+      .sort({ resolutionDueAt: 1 })
+      .limit(10)
+      .select(SLA_LIST_FIELDS)
+      .populate('assignedTo', 'name username'),
+
+      // Average first-response/resolution times in calendar and business hours
+      Feedback.getResponseTimeStats()
+    ]);
+
+    // Business-hour age can't be computed inside the aggregation
+    workload.forEach(row => {
+      row.oldestPendingAgeBusinessHours = row.oldestPendingAt
+        ? Math.round(businessCalendar.businessHoursBetween(row.oldestPendingAt, now) * 10) / 10
+        : null;
+    });
+
+    // Every configured status, including ones with no feedback yet
+    const byStatus = STATUS_VALUES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    statusCounts.forEach(({ _id, count }) => { byStatus[_id] = count; });
+
+    const dashboardData = {
+      stats: totalStats[0] || {
+        total: 0,
+        pending: 0,
+        responded: 0,
+        resolved: 0,
+        avgRating: 0,
+        highPriority: 0
+      },
       recentFeedback,
       urgentFeedback,
       categoryStats,
-      ratingTrends
+      ratingTrends,
+      workload,
+      byStatus,
+      sla: {
+        firstResponseBreached,
+        resolutionBreached,
+        atRisk: slaAtRisk,
+        breached: slaBreached
+      },
+      responseTimes: {
+        ...responseTimes,
+        businessHours: businessCalendar.getSummary()
+      }
     };
 
     console.log('✅ Dashboard data compiled successfully');
@@ -397,7 +1017,7 @@ router.get('/dashboard', requireAuth, requireAdmin, async (req, res) => {
  * PUT /api/admin/feedback/:id/priority
  * Update feedback priority
  */
-router.put('/feedback/:id/priority', requireAuth, requireAdmin, async (req, res) => {
+router.put('/feedback/:id/priority', requireAuthOrApiKey('admin'), requirePermission('feedback:priority'), async (req, res) => {
   try {
     const { id } = req.params;
     const { priority } = req.body;
@@ -416,11 +1036,7 @@ router.put('/feedback/:id/priority', requireAuth, requireAdmin, async (req, res)
       });
     }
 
-    const feedback = await Feedback.findByIdAndUpdate(
-      id,
-      { priority },
-      { new: true, runValidators: true }
-    );
+    const feedback = await Feedback.findById(id);
 
     if (!feedback) {
       return res.status(404).json({
@@ -429,12 +1045,25 @@ router.put('/feedback/:id/priority', requireAuth, requireAdmin, async (req, res)
       });
     }
 
+    const previousPriority = feedback.priority;
+    feedback.priority = priority;
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'priority_changed',
+      changes: [{ field: 'priority', before: previousPriority, after: priority }]
+    });
+    eventService.publishFeedback('feedback.updated', feedback);
+    chatNotificationService.priorityChanged(feedback, previousPriority);
+
     console.log(`✅ Updated priority for feedback ${id} to ${priority}`);
 
     res.status(200).json({
       success: true,
       message: 'Priority updated successfully',
-      data: feedback
+      data: feedback.toJSONFor(req.user)
     });
 
   } catch (error) {
@@ -451,7 +1080,7 @@ router.put('/feedback/:id/priority', requireAuth, requireAdmin, async (req, res)
  * GET /api/admin/reports/summary
  * Generate summary report
  */
-router.get('/reports/summary', async (req, res) => {
+router.get('/reports/summary', requireAuthOrApiKey('read'), requirePermission('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -514,6 +1143,1483 @@ router.get('/reports/summary', async (req, res) => {
   }
 });
 
+/**
+ * User Management
+ * All endpoints below require the users:manage permission
+ */
+
+// Fields returned for users in the admin API (never password or tokens)
+const USER_ADMIN_FIELDS = 'username email name role isActive emailVerified passwordResetRequired lastLoginAt createdAt updatedAt';
+
+const formatAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  permissions: getPermissions(user.role),
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  passwordResetRequired: user.passwordResetRequired,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+/**
+ * Load the target user for /users/:id routes, refusing self-service changes
+ * that could lock an admin out (demoting, deactivating or deleting yourself)
+ */
+const loadTargetUser = async (req, res, { allowSelf = true } = {}) => {
+  const user = await User.findById(req.params.id).select(USER_ADMIN_FIELDS);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!allowSelf && user._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Whether removing admin rights from this user would leave no active admin
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+  const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+  return activeAdmins <= 1;
+};
+
+/**
+ * Shared error handler for user management routes
+ */
+const handleUserError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID format'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Username or email already exists'
+    });
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/admin/users
+ * Paginated user list with search and filters
+ *
+ * Query: page, limit, search, role, status (active|inactive), sort
+ */
+router.get('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    console.log('📥 GET /api/admin/users - Fetching users');
+
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      status,
+      sort = '-createdAt'
+    } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+
+    if (search) {
+      // Escape regex special characters from the search box (?search=a&search=b arrives as an array)
+      const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { username: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const [users, totalCount] = await Promise.all([
+      User.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNumber)
+        .select(USER_ADMIN_FIELDS),
+      User.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    console.log(`✅ Found ${users.length} users (${totalCount} total)`);
+
+    res.status(200).json({
+      success: true,
+      data: users.map(formatAdminUser),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      },
+      filters: { search, role, status },
+      roles: ROLES
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to fetch users');
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Get a single user
+ */
+router.get('/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    res.status(200).json({
+      success: true,
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to fetch user');
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Create a user with any role
+ *
+ * Request Body:
+ * {
+ *   "username": "jane",
+ *   "email": "jane@example.com",
+ *   "name": "Jane Agent",
+ *   "role": "agent",
+ *   "password": "optional - a reset link is emailed when omitted"
+ * }
+ */
+router.post('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, email, name, role = 'user', password } = req.body;
+
+    console.log(`📥 POST /api/admin/users - Creating ${role}: ${username}`);
+
+    if (!username || !email || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, email and name are required'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (password && password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = new User({
+      username,
+      email,
+      name,
+      role,
+      // Without a password the account gets a random one and must be reset by the owner
+      password: password || crypto.randomBytes(24).toString('hex'),
+      passwordResetRequired: !password
+    });
+
+    let resetToken;
+    if (!password) {
+      resetToken = user.createPasswordResetToken();
+    }
+
+    await user.save();
+
+    if (resetToken) {
+      try {
+        await mailService.sendPasswordReset(user, resetToken);
+      } catch (mailError) {
+        console.error('❌ Failed to send welcome reset email:', mailError.message);
+      }
+    }
+
+    console.log(`✅ Created user ${user.username} (${user.role})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to create user');
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Update profile fields (name, email)
+ */
+router.put('/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const { name, email } = req.body;
+    if (name !== undefined) user.name = name;
+    if (email !== undefined && email !== user.email) {
+      user.email = email;
+      user.emailVerified = false;
+    }
+
+    await user.save();
+
+    console.log(`✅ Updated user ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to update user');
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's role
+ */
+router.put('/users/:id/role', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote the last active admin'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    console.log(`✅ Changed role of ${user.username}: ${previousRole} → ${role}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to update role');
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Activate or deactivate an account
+ *
+ * Request Body: { "isActive": false }
+ */
+router.put('/users/:id/status', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    if (!isActive && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active admin'
+      });
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    // Deactivated users are signed out everywhere
+    if (!isActive) {
+      await tokenService.revokeAllForUser(user._id);
+    }
+
+    console.log(`✅ ${isActive ? 'Activated' : 'Deactivated'} user ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to update user status');
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/force-password-reset
+ * Sign the user out, block password login and email them a reset link
+ */
+router.post('/users/:id/force-password-reset', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const token = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await tokenService.revokeAllForUser(user._id);
+
+    try {
+      await mailService.sendPasswordReset(user, token);
+    } catch (mailError) {
+      console.error('❌ Failed to send forced reset email:', mailError.message);
+    }
+
+    console.log(`✅ Forced password reset for ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Password reset required. A reset link was sent to ${user.email}`,
+      data: formatAdminUser(user)
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to force password reset');
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Delete a user account (their feedback is kept)
+ */
+router.delete('/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    await tokenService.revokeAllForUser(user._id);
+    await User.findByIdAndDelete(user._id);
+
+    console.log(`✅ Deleted user ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    handleUserError(res, error, 'Failed to delete user');
+  }
+});
+
+/**
+ * Mail Log
+ * Requires the mail:read permission
+ */
+
+/**
+ * GET /api/admin/mail-log
+ * Outgoing email log, newest first
+ *
+ * Query Parameters: page, limit, status (sent/failed/skipped), template, search (recipient), feedbackId
+ */
+router.get('/mail-log', requireAuth, requirePermission('mail:read'), async (req, res) => {
+  try {
+    console.log('📥 GET /api/admin/mail-log - Fetching mail log');
+
+    const { page = 1, limit = 20, status, template, search, feedbackId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (feedbackId) filter.feedbackId = feedbackId;
+    if (search) {
+      const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.to = { $regex: pattern, $options: 'i' };
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [entries, totalCount, templates] = await Promise.all([
+      MailLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      MailLog.countDocuments(filter),
+      MailLog.distinct('template')
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      },
+      filters: { status, template, search, feedbackId },
+      statuses: MailLog.STATUSES,
+      templates
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching mail log:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch mail log',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Outgoing Webhooks
+ * All endpoints below require the webhooks:manage permission
+ */
+
+/**
+ * Load the webhook for /webhooks/:id routes (sends a 404 when missing)
+ */
+const loadWebhook = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+/**
+ * Reject event lists that aren't arrays of WEBHOOK_EVENTS (sends a 400); returns whether they were valid
+ */
+const checkWebhookEvents = (res, events) => {
+  const unknownEvents = Array.isArray(events)
+    ? events.filter(event => !isValidWebhookEvent(event))
+    : [String(events)];
+
+  if (unknownEvents.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown event(s): ${unknownEvents.join(', ')}`,
+      validEvents: WEBHOOK_EVENTS
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Shared error handler for webhook routes
+ */
+const handleWebhookError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook ID format'
+    });
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/admin/webhooks
+ * List webhook subscriptions and the events they can subscribe to
+ */
+router.get('/webhooks', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: webhooks,
+      events: WEBHOOK_EVENTS
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Create a webhook subscription
+ *
+ * Request Body:
+ * {
+ *   "url": "https://example.com/hooks/feedback",
+ *   "events": ["feedback.created", "feedback.status_changed"],
+ *   "description": "optional",
+ *   "secret": "optional - generated when omitted"
+ * }
+ *
+ * The full secret is only returned in this response
+ */
+router.post('/webhooks', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { url, events = [], description, secret } = req.body;
+
+    if (!checkWebhookEvents(res, events)) return;
+
+    const webhook = await Webhook.create({
+      url,
+      events,
+      description,
+      secret: secret || webhookService.generateSecret(),
+      createdBy: req.user._id
+    });
+
+    console.log(`✅ Created webhook ${webhook.url} (${webhook.events.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to create webhook');
+  }
+});
+
+/**
+ * PUT /api/admin/webhooks/:id
+ * Update a webhook subscription
+ *
+ * Request Body (all optional): { url, events, description, active, rotateSecret }
+ * When rotateSecret is true the new secret is returned in this response
+ */
+router.put('/webhooks/:id', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { url, events, description, active, rotateSecret } = req.body;
+
+    if (events !== undefined) {
+      if (!checkWebhookEvents(res, events)) return;
+      webhook.events = events;
+    }
+    if (url !== undefined) webhook.url = url;
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = Boolean(active);
+    if (rotateSecret) webhook.secret = webhookService.generateSecret();
+
+    await webhook.save();
+
+    console.log(`✅ Updated webhook ${webhook.url}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: rotateSecret ? { ...webhook.toJSON(), secret: webhook.secret } : webhook
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to update webhook');
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Delete a webhook subscription and its delivery log
+ */
+router.delete('/webhooks/:id', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    console.log(`✅ Deleted webhook ${webhook.url}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to delete webhook');
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/test
+ * Send a webhook.test event now and return the delivery result
+ */
+router.post('/webhooks/:id/test', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await webhookService.sendTest(webhook, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? `Test event delivered (HTTP ${delivery.responseStatus})`
+        : `Test event failed: ${delivery.error}`,
+      data: delivery
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to send test event');
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id/deliveries
+ * Delivery log for one webhook, newest first
+ *
+ * Query Parameters: page, limit, status (pending/succeeded/failed), event
+ */
+router.get('/webhooks/:id/deliveries', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const filter = { webhookId: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [deliveries, totalCount] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    res.status(200).json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      },
+      filters: { status, event },
+      statuses: WebhookDelivery.STATUSES
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to fetch webhook deliveries');
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a logged delivery again (as a new delivery with the same payload)
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: req.params.id });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await webhookService.redeliver(original);
+
+    console.log(`🔁 Redelivered webhook ${original.event} (${original._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? `Redelivered (HTTP ${delivery.responseStatus})`
+        : `Redelivery failed: ${delivery.error} - it will be retried`,
+      data: delivery
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+/**
+ * GET /api/admin/chat-notifications
+ * Chat (Slack/Teams) alert settings: mode, channels and enabled rules
+ * Configured through environment variables - see config/chatNotifications.js
+ */
+router.get('/chat-notifications', requireAuth, requirePermission('webhooks:manage'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: chatNotificationService.getSummary()
+  });
+});
+
+/**
+ * POST /api/admin/chat-notifications/test
+ * Post a sample alert to every configured chat channel
+ */
+router.post('/chat-notifications/test', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const results = await chatNotificationService.sendTest(req.user);
+
+    if (results.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No chat channels configured'
+      });
+    }
+
+    const failed = results.filter(result => !result.ok);
+
+    res.status(200).json({
+      success: true,
+      message: failed.length === 0
+        ? `Test alert posted to ${results.map(result => result.format).join(' and ')}`
+        : `Test alert failed for ${failed.map(result => `${result.format} (${result.error})`).join(', ')}`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending test chat alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test chat alert',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * API Keys
+ * All endpoints below require the api_keys:manage permission
+ */
+
+/**
+ * Shared error handler for API key routes
+ */
+const handleApiKeyError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid API key ID format'
+    });
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys (never the raw keys) and the available scopes
+ */
+router.get('/api-keys', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name username');
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys,
+      scopes: Object.entries(API_KEY_SCOPES).map(([name, { description }]) => ({ name, description })),
+      defaultRateLimitPerMinute: DEFAULT_RATE_LIMIT_PER_MINUTE
+    });
+
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Issue an API key
+ *
+ * Request Body:
+ * {
+ *   "name": "Mobile app",
+ *   "scopes": ["submit"],
+ *   "rateLimitPerMinute": 120,        // optional
+ *   "expiresAt": "2027-01-01"         // optional
+ * }
+ *
+ * The raw key is only returned in this response
+ */
+router.post('/api-keys', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.some(scope => !SCOPE_NAMES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be a list of: ${SCOPE_NAMES.join(', ')}`
+      });
+    }
+
+    const { apiKey, rawKey } = await apiKeyService.create({ name, scopes, rateLimitPerMinute, expiresAt }, req.user);
+
+    console.log(`✅ Issued API key ${apiKey.prefix} "${apiKey.name}" (${apiKey.scopes.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created - copy it now, it will not be shown again',
+      data: { ...apiKey.toJSON(), key: rawKey }
+    });
+
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * PUT /api/admin/api-keys/:id
+ * Rename a key or change its rate limit
+ *
+ * Request Body (all optional): { name, rateLimitPerMinute }
+ */
+router.put('/api-keys/:id', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const { name, rateLimitPerMinute } = req.body;
+    if (name !== undefined) apiKey.name = name;
+    if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to update API key');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys/:id/revoke
+ * Revoke a key immediately (it stays listed as revoked)
+ */
+router.post('/api-keys/:id/revoke', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await apiKeyService.revoke(apiKey, req.user);
+
+    console.log(`✅ Revoked API key ${apiKey.prefix} "${apiKey.name}"`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey
+    });
+
+  } catch (error) {
+    handleApiKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+/**
+ * Widget Sites
+ * Websites allowed to embed the feedback widget (site keys are public, so no reveal-once step)
+ * All endpoints below require the api_keys:manage permission
+ */
+
+/**
+ * Shared error handler for widget site routes
+ */
+const handleWidgetSiteError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid widget site ID format'
+    });
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/admin/widget-sites
+ * List registered sites
+ */
+router.get('/widget-sites', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const sites = await WidgetSite.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name username');
+
+    res.status(200).json({
+      success: true,
+      data: sites
+    });
+
+  } catch (error) {
+    handleWidgetSiteError(res, error, 'Failed to fetch widget sites');
+  }
+});
+
+/**
+ * POST /api/admin/widget-sites
+ * Register a site and issue its site key
+ *
+ * Request Body:
+ * {
+ *   "name": "Marketing site",
+ *   "allowedOrigins": ["https://www.example.com", "https://example.com"]
+ * }
+ */
+router.post('/widget-sites', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, allowedOrigins } = req.body;
+
+    if (!Array.isArray(allowedOrigins)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowedOrigins must be a list of origins'
+      });
+    }
+
+    const site = await widgetService.createSite({ name, allowedOrigins }, req.user);
+
+    console.log(`✅ Registered widget site "${site.name}" (${site.allowedOrigins.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Widget site created successfully',
+      data: site
+    });
+
+  } catch (error) {
+    handleWidgetSiteError(res, error, 'Failed to create widget site');
+  }
+});
+
+/**
+ * PUT /api/admin/widget-sites/:id
+ * Rename a site, change its allowed origins or turn it on/off
+ *
+ * Request Body (all optional): { name, allowedOrigins, active }
+ */
+router.put('/widget-sites/:id', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const site = await WidgetSite.findById(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Widget site not found'
+      });
+    }
+
+    const { name, allowedOrigins, active } = req.body;
+
+    if (allowedOrigins !== undefined && !Array.isArray(allowedOrigins)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowedOrigins must be a list of origins'
+      });
+    }
+
+    if (name !== undefined) site.name = name;
+    if (allowedOrigins !== undefined) site.allowedOrigins = allowedOrigins;
+    if (active !== undefined) site.active = Boolean(active);
+    await site.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Widget site updated successfully',
+      data: site
+    });
+
+  } catch (error) {
+    handleWidgetSiteError(res, error, 'Failed to update widget site');
+  }
+});
+
+/**
+ * DELETE /api/admin/widget-sites/:id
+ * Remove a site - its embed snippet stops working (feedback already submitted is kept)
+ */
+router.delete('/widget-sites/:id', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const site = await WidgetSite.findByIdAndDelete(req.params.id);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Widget site not found'
+      });
+    }
+
+    console.log(`✅ Deleted widget site "${site.name}"`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Widget site deleted successfully'
+    });
+
+  } catch (error) {
+    handleWidgetSiteError(res, error, 'Failed to delete widget site');
+  }
+});
+
+/**
+ * Background Jobs
+ * All endpoints below require the jobs:manage permission
+ */
+
+/**
+ * Shared error handler for job routes
+ */
+const handleJobError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid job or feedback ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs (newest first) with counts per type and status
+ *
+ * Query Parameters: page, limit, status (queued/running/succeeded/dead), type, feedbackId
+ */
+router.get('/jobs', requireAuth, requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type, feedbackId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (feedbackId) filter.feedbackId = feedbackId;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [jobs, totalCount, stats] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      Job.countDocuments(filter),
+      jobQueue.getStats()
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      stats,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      },
+      filters: { status, type, feedbackId },
+      statuses: Job.STATUSES,
+      types: Object.entries(JOB_TYPES).map(([value, { label }]) => ({ value, label }))
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Failed to fetch jobs');
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:id
+ * Status of one job, including its failed attempts
+ */
+router.get('/jobs/:id', requireAuth, requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Failed to fetch job');
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Queue a dead-lettered job again with a fresh set of attempts
+ */
+router.post('/jobs/:id/retry', requireAuth, requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or not dead-lettered'
+      });
+    }
+
+    console.log(`🔁 Requeued ${job.type} job ${job._id} (by ${req.user.username})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job queued for retry',
+      data: job
+    });
+
+  } catch (error) {
+    handleJobError(res, error, 'Failed to retry job');
+  }
+});
+
+/**
+ * Knowledge Base
+ * Articles the AI assistant retrieves from and cites (together with past resolutions)
+ * All endpoints below require the kb:manage permission
+ */
+
+/**
+ * Shared error handler for knowledge base routes
+ */
+const handleKbError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid article ID format'
+    });
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message: error.name === 'ValidationError' ? Object.values(error.errors)[0].message : message,
+    error: error.message
+  });
+};
+
+/**
+ * Reject tags that aren't a list of strings
+ */
+const checkKbTags = (res, tags) => {
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    res.status(400).json({
+      success: false,
+      message: 'tags must be a list of words'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * GET /api/admin/kb-articles
+ * List articles, most recently updated first
+ */
+router.get('/kb-articles', requireAuth, requirePermission('kb:manage'), async (req, res) => {
+  try {
+    const articles = await KnowledgeArticle.find()
+      .sort({ updatedAt: -1 })
+      .populate('updatedBy', 'name username');
+
+    res.status(200).json({
+      success: true,
+      data: articles
+    });
+
+  } catch (error) {
+    handleKbError(res, error, 'Failed to fetch knowledge base articles');
+  }
+});
+
+/**
+ * POST /api/admin/kb-articles
+ * Write an article
+ *
+ * Request Body:
+ * {
+ *   "title": "How refunds work",
+ *   "body": "Refunds go back to the original payment method...",
+ *   "tags": ["refund", "payment"],   (optional)
+ *   "published": true                 (optional, default true)
+ * }
+ */
+router.post('/kb-articles', requireAuth, requirePermission('kb:manage'), async (req, res) => {
+  try {
+    const { title, body, tags = [], published } = req.body;
+    if (!checkKbTags(res, tags)) return;
+
+    const article = await KnowledgeArticle.create({
+      title,
+      body,
+      tags,
+      published: published === undefined ? true : Boolean(published),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    knowledgeBaseService.invalidate();
+
+    console.log(`📚 Created knowledge base article "${article.title}" (by ${req.user.username})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Article created successfully',
+      data: article
+    });
+
+  } catch (error) {
+    handleKbError(res, error, 'Failed to create knowledge base article');
+  }
+});
+
+/**
+ * PUT /api/admin/kb-articles/:id
+ * Edit, publish or unpublish an article
+ *
+ * Request Body (all optional): { title, body, tags, published }
+ */
+router.put('/kb-articles/:id', requireAuth, requirePermission('kb:manage'), async (req, res) => {
+  try {
+    const article = await KnowledgeArticle.findById(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    const { title, body, tags, published } = req.body;
+    if (!checkKbTags(res, tags)) return;
+
+    if (title !== undefined) article.title = title;
+    if (body !== undefined) article.body = body;
+    if (tags !== undefined) article.tags = tags;
+    if (published !== undefined) article.published = Boolean(published);
+    article.updatedBy = req.user._id;
+    await article.save();
+    knowledgeBaseService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      message: 'Article updated successfully',
+      data: article
+    });
+
+  } catch (error) {
+    handleKbError(res, error, 'Failed to update knowledge base article');
+  }
+});
+
+/**
+ * DELETE /api/admin/kb-articles/:id
+ * Delete an article - the assistant stops citing it right away
+ */
+router.delete('/kb-articles/:id', requireAuth, requirePermission('kb:manage'), async (req, res) => {
+  try {
+    const article = await KnowledgeArticle.findByIdAndDelete(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+    knowledgeBaseService.invalidate();
+
+    console.log(`✅ Deleted knowledge base article "${article.title}"`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Article deleted successfully'
+    });
+
+  } catch (error) {
+    handleKbError(res, error, 'Failed to delete knowledge base article');
+  }
+});
+
+/**
+ * GET /api/admin/kb-search
+ * Preview what the assistant would retrieve for a question, with scores
+ *
+ * Query Parameters: q (required)
+ */
+router.get('/kb-search', requireAuth, requirePermission('kb:manage'), async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text (q) is required'
+      });
+    }
+
+    const matches = await knowledgeBaseService.search(query, { includeResolved: true });
+
+    res.status(200).json({
+      success: true,
+      data: matches.map(({ source, sourceId, title, excerpt, score }) => ({ source, sourceId, title, excerpt, score })),
+      embeddings: knowledgeBaseService.usesEmbeddings()
+    });
+
+  } catch (error) {
+    handleKbError(res, error, 'Failed to search the knowledge base');
+  }
+});
+
 // Test route to verify admin routes are working
 router.get('/test', (req, res) => {
   console.log('📥 GET /api/admin/test - Test route called');
@@ -523,11 +2629,51 @@ router.get('/test', (req, res) => {
     timestamp: new Date().toISOString(),
     routes: [
       'GET /api/admin/feedback',
-      'PUT /api/admin/feedback/:id/response', 
+      'PUT /api/admin/feedback/:id/response',
+      'POST /api/admin/feedback/:id/messages', 
       'PUT /api/admin/feedback/:id/status',
       'GET /api/admin/dashboard',
       'PUT /api/admin/feedback/:id/priority',
-      'GET /api/admin/reports/summary'
+      'PUT /api/admin/feedback/:id/assign',
+      'GET /api/admin/feedback/:id/notes',
+      'POST /api/admin/feedback/:id/notes',
+      'GET /api/admin/feedback/:id/history',
+      'GET /api/admin/staff',
+      'GET /api/admin/reports/summary',
+      'GET /api/admin/users',
+      'GET /api/admin/users/:id',
+      'POST /api/admin/users',
+      'PUT /api/admin/users/:id',
+      'PUT /api/admin/users/:id/role',
+      'PUT /api/admin/users/:id/status',
+      'POST /api/admin/users/:id/force-password-reset',
+      'DELETE /api/admin/users/:id',
+      'GET /api/admin/mail-log',
+      'GET /api/admin/webhooks',
+      'POST /api/admin/webhooks',
+      'PUT /api/admin/webhooks/:id',
+      'DELETE /api/admin/webhooks/:id',
+      'POST /api/admin/webhooks/:id/test',
+      'GET /api/admin/webhooks/:id/deliveries',
+      'POST /api/admin/webhooks/:id/deliveries/:deliveryId/redeliver',
+      'GET /api/admin/chat-notifications',
+      'POST /api/admin/chat-notifications/test',
+      'GET /api/admin/api-keys',
+      'POST /api/admin/api-keys',
+      'PUT /api/admin/api-keys/:id',
+      'POST /api/admin/api-keys/:id/revoke',
+      'GET /api/admin/widget-sites',
+      'POST /api/admin/widget-sites',
+      'PUT /api/admin/widget-sites/:id',
+      'DELETE /api/admin/widget-sites/:id',
+      'GET /api/admin/jobs',
+      'GET /api/admin/jobs/:id',
+      'POST /api/admin/jobs/:id/retry',
+      'GET /api/admin/kb-articles',
+      'POST /api/admin/kb-articles',
+      'PUT /api/admin/kb-articles/:id',
+      'DELETE /api/admin/kb-articles/:id',
+      'GET /api/admin/kb-search'
     ]
   });
 });
@@ -1,12 +1,18 @@
 /**
  * AI Routes
- * Handles AI-powered features using Gemini API
+ * Handles AI-powered features using the configured AI provider (config/ai.js)
  */
 
 const express = require('express');
 const router = express.Router();
-const geminiService = require('../services/geminiService');
+const aiService = require('../services/aiService');
 const Feedback = require('../models/Feedback');
+const triageService = require('../services/triageService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const eventService = require('../services/eventService');
+const { SENTIMENT_LABELS } = require('../config/triage');
+const { requireAuth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
 
 /**
  * POST /api/ai/ask-question
@@ -17,8 +23,12 @@ const Feedback = require('../models/Feedback');
  *   "question": "How do I return a product?",
  *   "context": "I bought a shirt last week" (optional)
  * }
+ *
+ * The answer cites matching knowledge base articles (data.citations). Past resolutions
+ * (KB_INCLUDE_RESOLVED) are other customers' tickets: they only inform answers for signed-in
+ * staff and are never returned
  */
-router.post('/ask-question', async (req, res) => {
+router.post('/ask-question', optionalAuth, async (req, res) => {
   try {
     console.log('📥 POST /api/ai/ask-question - Generating AI answer');
 
@@ -41,8 +51,13 @@ router.post('/ask-question', async (req, res) => {
 
     console.log(`🤖 Processing question: ${question.substring(0, 50)}...`);
 
+    // Ground the answer in our knowledge base (no matches → plain answer)
+    const sources = await knowledgeBaseService.retrieve(`${question} ${context || ''}`, {
+      includeResolved: hasPermission(req.user, 'feedback:respond')
+    });
+
     // Generate AI answer
-    const answer = await geminiService.generateAnswer(question, context);
+    const { answer, provider, model, citations } = await aiService.generateAnswer(question, context, sources);
 
     console.log('✅ Generated AI answer successfully');
 
@@ -51,8 +66,11 @@ router.post('/ask-question', async (req, res) => {
       data: {
         question,
         answer,
+        // Only what the customer may see - no feedback ids or scores
+        citations: citations.map(({ number, source, title, excerpt }) => ({ number, source, title, excerpt })),
         timestamp: new Date().toISOString(),
-        model: 'gemini-1.5-flash'
+        provider,
+        model
       }
     });
 
@@ -70,7 +88,7 @@ router.post('/ask-question', async (req, res) => {
  * POST /api/ai/generate-responses/:feedbackId
  * Generate response suggestions for specific feedback
  */
-router.post('/generate-responses/:feedbackId', async (req, res) => {
+router.post('/generate-responses/:feedbackId', requireAuth, requirePermission('feedback:respond'), async (req, res) => {
   try {
     const { feedbackId } = req.params;
     console.log(`📥 POST /api/ai/generate-responses/${feedbackId}`);
@@ -88,7 +106,7 @@ router.post('/generate-responses/:feedbackId', async (req, res) => {
     console.log(`🤖 Generating responses for: ${feedback.subject}`);
 
     // Generate AI suggestions
-    const suggestions = await geminiService.generateResponseSuggestions(feedback);
+    const suggestions = await aiService.generateResponseSuggestions(feedback);
 
     // Update feedback with new suggestions
     feedback.aiSuggestions = suggestions;
@@ -118,9 +136,10 @@ router.post('/generate-responses/:feedbackId', async (req, res) => {
 
 /**
  * POST /api/ai/analyze-sentiment/:feedbackId
- * Analyze sentiment of feedback message
+ * Analyze sentiment of feedback message and store it with the feedback's triage (staff who
+ * work tickets only - triage is internal, see Feedback.toJSONFor)
  */
-router.post('/analyze-sentiment/:feedbackId', async (req, res) => {
+router.post('/analyze-sentiment/:feedbackId', requireAuth, requirePermission('feedback:respond'), async (req, res) => {
   try {
     const { feedbackId } = req.params;
     console.log(`📥 POST /api/ai/analyze-sentiment/${feedbackId}`);
@@ -138,7 +157,18 @@ router.post('/analyze-sentiment/:feedbackId', async (req, res) => {
     console.log(`📊 Analyzing sentiment for: ${feedback.subject}`);
 
     // Analyze sentiment
-    const analysis = await geminiService.analyzeSentiment(feedback.message);
+    const analysis = await aiService.analyzeSentiment(feedback.message);
+
+    // Keep the triage sentiment (used by the admin filters) in step with the latest analysis
+    if (!analysis.unavailable && SENTIMENT_LABELS.includes(analysis.sentiment)) {
+      const score = Number(analysis.score);
+      feedback.set('triage.sentimentLabel', analysis.sentiment);
+      if (Number.isFinite(score)) {
+        feedback.set('triage.sentimentScore', Math.max(-1, Math.min(1, score)));
+      }
+      await feedback.save();
+      eventService.publishFeedback('feedback.updated', feedback, { staffOnly: true });
+    }
 
     console.log(`✅ Sentiment analysis complete: ${analysis.sentiment}`);
 
@@ -162,6 +192,53 @@ router.post('/analyze-sentiment/:feedbackId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ai/triage/:feedbackId
+ * Re-run triage on feedback (updates sentiment, topics and suggestions, never the priority)
+ */
+router.post('/triage/:feedbackId', requireAuth, requirePermission('feedback:respond'), async (req, res) => {
+  try {
+    const { feedbackId } = req.params;
+    console.log(`📥 POST /api/ai/triage/${feedbackId}`);
+
+    const feedback = await triageService.triage(feedbackId, { applyPriority: false });
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    console.log(`✅ Triage complete: ${feedback.subject}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Feedback triaged successfully',
+      data: {
+        feedbackId,
+        triage: feedback.triage
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error triaging feedback:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to triage feedback',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/ai/health
  * Check AI service health
@@ -170,15 +247,18 @@ router.get('/health', async (req, res) => {
   try {
     console.log('📥 GET /api/ai/health - Checking AI service');
 
-    const isHealthy = await geminiService.healthCheck();
+    const isHealthy = await aiService.healthCheck();
+    const { provider, service, model, fallback } = aiService.getInfo();
 
     if (isHealthy) {
       console.log('✅ AI service is healthy');
       res.status(200).json({
         success: true,
         message: 'AI service is operational',
-        service: 'Google Gemini API',
-        model: 'gemini-1.5-flash',
+        provider,
+        service,
+        model,
+        fallback,
         timestamp: new Date().toISOString()
       });
     } else {
@@ -186,7 +266,10 @@ router.get('/health', async (req, res) => {
       res.status(503).json({
         success: false,
         message: 'AI service is not available',
-        service: 'Google Gemini API'
+        provider,
+        service,
+        model,
+        fallback
       });
     }
 
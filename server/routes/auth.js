@@ -1,11 +1,42 @@
 /**
  * Authentication Routes
- * Handles user login, registration, and demo user setup
+ * Handles user login, registration, token refresh/logout and demo user setup
  */
 
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const { requireAuth } = require('../middleware/auth');
+const { getPermissions } = require('../config/permissions');
+
+/**
+ * Public user fields returned to the client (never the password)
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  permissions: getPermissions(user.role),
+  emailVerified: user.emailVerified,
+  emailPreferences: user.emailPreferences
+});
+
+/**
+ * Send a verification email without failing the calling request
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await mailService.sendEmailVerification(user, token);
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to ${user.email}:`, error.message);
+  }
+};
 
 /**
  * POST /api/auth/login
@@ -25,13 +56,20 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password must be strings'
+      });
+    }
+
     // Find user by username or email
     const user = await User.findOne({
       $or: [
         { username: username },
         { email: username }
       ]
-    });
+    }).select('+password');
 
     if (!user) {
       return res.status(401).json({
@@ -40,14 +78,22 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Simple password check (in production, use bcrypt)
-    if (user.password !== password) {
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Migrate legacy plaintext (or weaker) passwords now that we know the real value
+    if (user.needsPasswordRehash()) {
+      user.password = password;
+      user.markModified('password'); // Plaintext value may be unchanged
+      await user.save();
+      console.log(`🔐 Password rehashed for: ${user.username}`);
+    }
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -56,19 +102,27 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (user.passwordResetRequired) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password reset required. Please use the link sent to your email or request a new one.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const tokens = await tokenService.issueTokens(user, req.ip);
+
     console.log(`✅ Login successful for: ${user.username} (${user.role})`);
 
-    // Return user data (excluding password)
+    // Return user data (excluding password) with the token pair
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      data: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      data: formatUser(user),
+      tokens
     });
 
   } catch (error) {
@@ -125,26 +179,26 @@ router.post('/register', async (req, res) => {
     const newUser = new User({
       username,
       email,
-      password, // In production, hash this with bcrypt
+      password, // Hashed by the User pre-save hook
       name,
       role: 'user'
     });
 
     await newUser.save();
 
+    await sendVerificationEmail(newUser);
+
+    // New users are signed in straight away
+    const tokens = await tokenService.issueTokens(newUser, req.ip);
+
     console.log(`✅ Registration successful for: ${username}`);
 
-    // Return user data (excluding password)
+    // Return user data (excluding password) with the token pair
     res.status(201).json({
       success: true,
       message: 'Registration successful',
-      data: {
-        id: newUser._id,
-        username: newUser.username,
-        email: newUser.email,
-        name: newUser.name,
-        role: newUser.role
-      }
+      data: formatUser(newUser),
+      tokens
     });
 
   } catch (error) {
@@ -187,7 +241,8 @@ router.get('/demo-setup', async (req, res) => {
       email: 'admin@feedbacktracker.com',
       password: 'admin123',
       name: 'System Administrator',
-      role: 'admin'
+      role: 'admin',
+      emailVerified: true
     });
 
     // Create demo regular user
@@ -196,7 +251,8 @@ router.get('/demo-setup', async (req, res) => {
       email: 'demo@example.com',
       password: 'user123',
       name: 'Demo User',
-      role: 'user'
+      role: 'user',
+      emailVerified: true
     });
 
     await Promise.all([
@@ -233,16 +289,348 @@ router.get('/demo-setup', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ *
+ * Request Body:
+ * {
+ *   "refreshToken": "..."
+ * }
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken !== undefined && typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token must be a string'
+      });
+    }
+
+    const { user, tokens } = await tokenService.rotateRefreshToken(refreshToken, req.ip);
+
+    if (!user.isActive) {
+      await tokenService.revokeAllForUser(user._id);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    console.log(`🔄 Tokens refreshed for: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      data: formatUser(user),
+      tokens
+    });
+
+  } catch (error) {
+    console.error('❌ Token refresh error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Token refresh failed'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the given refresh token
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken !== undefined && typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token must be a string'
+      });
+    }
+
+    await tokenService.revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link
+ *
+ * Always responds with the same message so the endpoint can't be used
+ * to find out which emails are registered.
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    console.log(`📥 Password reset requested for: ${email}`);
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await mailService.sendPasswordReset(user, token);
+      } catch (mailError) {
+        console.error('❌ Failed to send password reset email:', mailError.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token
+ *
+ * Request Body:
+ * {
+ *   "token": "...",
+ *   "password": "newPassword"
+ * }
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password must be strings'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findByToken('passwordReset', token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Sign out every existing session
+    await tokenService.revokeAllForUser(user._id);
+
+    console.log(`✅ Password reset for: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm ownership of the account email
+ *
+ * Request Body:
+ * {
+ *   "token": "..."
+ * }
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findByToken('emailVerification', token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`✅ Email verified for: ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a fresh verification link to the signed-in user
+ */
+router.post('/verify-email/resend', requireAuth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('❌ Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/preferences
+ * The signed-in user's email preferences
+ */
+router.get('/preferences', requireAuth, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.emailPreferences
+  });
+});
+
+/**
+ * PUT /api/auth/preferences
+ * Opt in/out of customer emails about feedback
+ *
+ * Request Body: { "acknowledgement": true, "response": false, "resolution": true } (any subset)
+ */
+router.put('/preferences', requireAuth, async (req, res) => {
+  try {
+    const allowed = ['acknowledgement', 'response', 'resolution'];
+    const invalid = Object.keys(req.body).filter(key => !allowed.includes(key) || typeof req.body[key] !== 'boolean');
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid preferences: ${invalid.join(', ')}. Allowed (boolean): ${allowed.join(', ')}`
+      });
+    }
+
+    Object.keys(req.body).forEach(key => {
+      req.user.emailPreferences[key] = req.body[key];
+    });
+    await req.user.save({ validateBeforeSave: false });
+
+    console.log(`✅ Updated email preferences for ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email preferences updated',
+      data: req.user.emailPreferences
+    });
+
+  } catch (error) {
+    console.error('❌ Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update email preferences',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/auth/validate-token
- * Validate user session (simple version)
+ * Validate the access token and return the current user
  */
-router.get('/validate-token', (req, res) => {
-  // In a real app, you'd validate JWT token here
-  // For demo purposes, we'll just return success
+router.get('/validate-token', requireAuth, (req, res) => {
   res.status(200).json({
     success: true,
-    message: 'Token is valid'
+    message: 'Token is valid',
+    data: formatUser(req.user)
   });
 });
 
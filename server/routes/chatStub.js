@@ -0,0 +1,44 @@
+/**
+ * Chat Stub Routes
+ * Local stand-in for Slack / Teams incoming webhooks (CHAT_NOTIFICATIONS_MODE=test)
+ * Only mounted in test mode
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Most recent messages, newest first (kept in memory only)
+const MAX_MESSAGES = 50;
+const messages = [];
+
+/**
+ * POST /api/chat-stub/:format
+ * Accept a chat message the way an incoming webhook would
+ */
+router.post('/:format', (req, res) => {
+  const { format } = req.params;
+  const summary = req.body.text || req.body.summary || '(no text)';
+
+  messages.unshift({ format, receivedAt: new Date().toISOString(), body: req.body });
+  messages.splice(MAX_MESSAGES);
+
+  console.log(`🧪 Chat stub received ${format} message: ${summary}`);
+
+  // Slack and Teams both answer a plain "1"/"ok"
+  res.status(200).send('ok');
+});
+
+/**
+ * GET /api/chat-stub
+ * Messages received by the stub, newest first
+ */
+router.get('/', requireAuth, requirePermission('webhooks:manage'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: messages
+  });
+});
+
+module.exports = router;
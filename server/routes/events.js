@@ -0,0 +1,23 @@
+/**
+ * Event Routes
+ * Server-Sent Events stream of live feedback updates
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth, acceptQueryToken } = require('../middleware/auth');
+const eventService = require('../services/eventService');
+
+/**
+ * GET /api/events?access_token=...
+ * Open an event stream (feedback.created / updated / responded / deleted)
+ * EventSource can't send headers, so the access token may be passed as a query parameter
+ */
+router.get('/', acceptQueryToken, requireAuth, (req, res) => {
+  eventService.subscribe(req, res, {
+    expiresAt: req.tokenPayload?.exp ? req.tokenPayload.exp * 1000 : null
+  });
+});
+
+module.exports = router;
@@ -6,8 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const Feedback = require('../models/Feedback');
-const geminiService = require('../services/geminiService');
-const { requireAuth, optionalAuth, requireAdmin } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const eventService = require('../services/eventService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const chatNotificationService = require('../services/chatNotificationService');
+const triageService = require('../services/triageService');
+const jobQueue = require('../services/jobQueue');
+const { requireAuthOrApiKey } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { getWorkflow } = require('../config/workflow');
 
 /**
  * What is REST API?
@@ -25,7 +33,7 @@ const { requireAuth, optionalAuth, requireAdmin } = require('../middleware/auth'
  * - Admins: all feedback
  * - Unauthenticated: no feedback (for privacy)
  */
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuthOrApiKey('read'), async (req, res) => {
   try {
     console.log('📥 GET /api/feedback - Fetching feedback list');
     console.log('🔐 Authenticated user:', req.user.username, '(', req.user.role, ')');
@@ -44,12 +52,12 @@ router.get('/', requireAuth, async (req, res) => {
     // Build filter object with privacy controls
     const filter = {};
     
-    // 🔧 FIX: Privacy filtering - Users see only their own feedback, admins see all
-    if (req.user.role !== 'admin') {
+    // 🔧 FIX: Privacy filtering - Users see only their own feedback, staff see all
+    if (!hasPermission(req.user, 'feedback:read_all')) {
       filter.userId = req.user._id;  // Use _id consistently
       console.log('🔒 Privacy filter applied for user:', req.user._id);
     } else {
-      console.log('👑 Admin access - showing all feedback');
+      console.log('👑 Staff access - showing all feedback');
     }
     
     if (status) filter.status = status;
@@ -92,7 +100,7 @@ router.get('/', requireAuth, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: feedback,
+      data: feedback.map(item => item.toJSONFor(req.user)),
       pagination: {
         currentPage: pageNumber,
         totalPages,
@@ -119,11 +127,22 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/feedback/workflow
+ * Status workflow definition (statuses, labels and allowed transitions)
+ */
+router.get('/workflow', requireAuthOrApiKey('submit', 'read'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getWorkflow()
+  });
+});
+
 /**
  * GET /api/feedback/:id
  * Get single feedback by ID with privacy check
  */
-router.get('/:id', requireAuth, async (req, res) => {
+router.get('/:id', requireAuthOrApiKey('read'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`📥 GET /api/feedback/${id} - Fetching single feedback`);
@@ -138,8 +157,8 @@ router.get('/:id', requireAuth, async (req, res) => {
       });
     }
 
-    // 🔧 FIX: Privacy check - Users can only view their own feedback, admins can view all
-    if (req.user.role !== 'admin' && feedback.userId && !feedback.userId.equals(req.user._id)) {
+    // 🔧 FIX: Privacy check - Users can only view their own feedback, staff can view all
+    if (!hasPermission(req.user, 'feedback:read_all') && !feedback.userId?.equals(req.user._id)) {
       console.log('🚫 Access denied: User', req.user.username, 'tried to access feedback owned by', feedback.userId);
       return res.status(403).json({
         success: false,
@@ -151,7 +170,7 @@ router.get('/:id', requireAuth, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: feedback
+      data: feedback.toJSONFor(req.user)
     });
 
   } catch (error) {
@@ -175,7 +194,7 @@ router.get('/:id', requireAuth, async (req, res) => {
 
 /**
  * POST /api/feedback
- * Create new feedback (requires authentication)
+ * Create new feedback (requires authentication or an API key with the submit scope)
  * 
  * Request Body:
  * {
@@ -187,7 +206,7 @@ router.get('/:id', requireAuth, async (req, res) => {
  *   "category": "service"
  * }
  */
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuthOrApiKey('submit'), async (req, res) => {
   try {
     console.log('📥 POST /api/feedback - Creating new feedback');
     console.log('🔐 Creating for user:', req.user.username, '(', req.user._id, ')');
@@ -212,9 +231,11 @@ router.post('/', requireAuth, async (req, res) => {
       });
     }
 
-    // Create new feedback with user association
+    // Create new feedback with user association (API submissions belong to no account)
     const feedback = new Feedback({
-      userId: req.user._id,  // 🔧 FIX: Associate with logged-in user using _id
+      userId: req.apiKey ? undefined : req.user._id,  // 🔧 FIX: Associate with logged-in user using _id
+      channel: req.apiKey ? 'api' : 'web',
+      apiKeyId: req.apiKey?._id,
       customerName,
       customerEmail,
       subject,
@@ -226,8 +247,15 @@ router.post('/', requireAuth, async (req, res) => {
     // Save to database
     const savedFeedback = await feedback.save();
 
-    // Generate AI suggestions asynchronously (don't wait for it)
-    generateAISuggestions(savedFeedback._id);
+    await auditService.record({ feedback: savedFeedback, actor: req.user, action: 'created' });
+    eventService.publishFeedback('feedback.created', savedFeedback);
+    notificationService.feedbackCreated(savedFeedback);
+    webhookService.feedbackEvent('feedback.created', savedFeedback, { actor: req.user });
+    chatNotificationService.feedbackCreated(savedFeedback);
+
+    // Triage and AI suggestions run as background jobs (retried if the AI provider fails)
+    await triageService.triageNew(savedFeedback._id);
+    await jobQueue.enqueue('ai.suggestions', { feedbackId: savedFeedback._id }, { feedbackId: savedFeedback._id });
 
     console.log(`✅ Created feedback: ${savedFeedback.subject} by ${savedFeedback.customerName} for user: ${req.user.username}`);
 
@@ -249,9 +277,9 @@ router.post('/', requireAuth, async (req, res) => {
 
 /**
  * PUT /api/feedback/:id
- * Update feedback (admin only for status/response updates)
+ * Update feedback (staff for status/response/priority, owners for content)
  */
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuthOrApiKey('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`📥 PUT /api/feedback/${id} - Updating feedback`);
@@ -266,8 +294,12 @@ router.put('/:id', requireAuth, async (req, res) => {
       });
     }
 
-    // 🔧 FIX: Privacy check - Users can only update their own feedback, admins can update any
-    if (req.user.role !== 'admin' && feedback.userId && !feedback.userId.equals(req.user._id)) {
+    // Staff update workflow fields; owners update their own content
+    const isStaff = ['feedback:respond', 'feedback:status', 'feedback:priority']
+      .some(permission => hasPermission(req.user, permission));
+
+    // 🔧 FIX: Privacy check - Users can only update their own feedback, staff can update any
+    if (!isStaff && !feedback.userId?.equals(req.user._id)) {
       console.log('🚫 Access denied: User', req.user.username, 'tried to update feedback owned by', feedback.userId);
       return res.status(403).json({
         success: false,
@@ -275,10 +307,12 @@ router.put('/:id', requireAuth, async (req, res) => {
       });
     }
 
-    // Define which fields can be updated by different roles
+    // Define which fields can be updated based on permissions
     let allowedUpdates = [];
-    if (req.user.role === 'admin') {
-      allowedUpdates = ['status', 'adminResponse', 'priority'];
+    if (isStaff) {
+      if (hasPermission(req.user, 'feedback:status')) allowedUpdates.push('status');
+      if (hasPermission(req.user, 'feedback:respond')) allowedUpdates.push('adminResponse');
+      if (hasPermission(req.user, 'feedback:priority')) allowedUpdates.push('priority');
     } else {
       // Regular users can only update their own feedback content
       allowedUpdates = ['subject', 'message', 'rating', 'category'];
@@ -291,32 +325,66 @@ router.put('/:id', requireAuth, async (req, res) => {
       }
     });
 
-    // If admin is adding a response, automatically set status to 'responded'
-    if (req.user.role === 'admin' && req.body.adminResponse && req.body.adminResponse.trim()) {
-      updates.status = 'responded';
-      updates.respondedAt = new Date();
+    const auditFields = [...new Set([...allowedUpdates, 'status'])];
+    const before = auditService.snapshot(feedback, auditFields);
+
+    // A staff response is appended to the conversation thread, which moves the status per the
+    // workflow's onStaffReply rule (an explicit status in the same request still wins)
+    const { adminResponse } = updates;
+    delete updates.adminResponse;
+    if (adminResponse && adminResponse.trim()) {
+      feedback.addMessage(req.user, adminResponse.trim());
     }
 
-    // Update the feedback
-    const updatedFeedback = await Feedback.findByIdAndUpdate(
-      id,
-      updates,
-      { 
-        new: true,              // Return updated document
-        runValidators: true     // Run schema validators
+    // Update the feedback (save() runs schema validators)
+    feedback.set(updates);
+    const updatedFeedback = await feedback.save();
+
+    const changes = auditService.diff(before, auditService.snapshot(updatedFeedback, auditFields));
+    if (changes.length > 0) {
+      await auditService.record({
+        feedback: updatedFeedback,
+        actor: req.user,
+        action: adminResponse && adminResponse.trim() ? 'response_added' : 'updated',
+        changes
+      });
+      eventService.publishFeedback(adminResponse && adminResponse.trim() ? 'feedback.responded' : 'feedback.updated', updatedFeedback);
+
+      if (adminResponse && adminResponse.trim()) {
+        await notificationService.feedbackResponded(updatedFeedback, req.user, adminResponse.trim(), { previousStatus: before.status });
+      } else if (changes.some(change => change.field === 'status')) {
+        await notificationService.statusChanged(updatedFeedback, req.user);
       }
-    );
+
+      if (adminResponse && adminResponse.trim()) {
+        webhookService.feedbackEvent('feedback.responded', updatedFeedback, { actor: req.user });
+      }
+      webhookService.statusChanged(updatedFeedback, before.status, req.user);
+      if (changes.some(change => change.field === 'priority')) {
+        chatNotificationService.priorityChanged(updatedFeedback, before.priority);
+      }
+    }
 
     console.log(`✅ Updated feedback: ${updatedFeedback.subject} by user: ${req.user.username}`);
 
     res.status(200).json({
       success: true,
       message: 'Feedback updated successfully',
-      data: updatedFeedback
+      data: updatedFeedback.toJSONFor(req.user)
     });
 
   } catch (error) {
     console.error('❌ Error updating feedback:', error);
+
+    // Rejected workflow transition / conversation closed (see config/workflow.js)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
     res.status(400).json({
       success: false,
       message: 'Failed to update feedback',
@@ -325,11 +393,121 @@ router.put('/:id', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/feedback/:id/messages
+ * Add a reply to the feedback conversation (submitting user or staff)
+ *
+ * Request Body:
+ * {
+ *   "body": "Thanks, that fixed it!",
+ *   "internal": false   // Staff only - hide the message from the customer
+ * }
+ */
+router.post('/:id/messages', requireAuthOrApiKey('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, internal } = req.body;
+    console.log(`📥 POST /api/feedback/${id}/messages - Adding reply`);
+    console.log('🔐 Reply from user:', req.user.username, '(', req.user.role, ')');
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message body is required'
+      });
+    }
+
+    const feedback = await Feedback.findById(id);
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feedback not found'
+      });
+    }
+
+    // Only the submitting user or staff who can respond may join the conversation
+    const isOwner = feedback.userId && feedback.userId.equals(req.user._id);
+    if (!isOwner && !hasPermission(req.user, 'feedback:respond')) {
+      console.log('🚫 Access denied: User', req.user.username, 'tried to reply to feedback owned by', feedback.userId);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only reply to your own feedback'
+      });
+    }
+
+    const previousStatus = feedback.status;
+    const message = feedback.addMessage(req.user, body.trim(), { internal });
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'message_added',
+      changes: previousStatus !== feedback.status
+        ? [{ field: 'status', before: previousStatus, after: feedback.status }]
+        : [],
+      meta: { messageId: message._id, internal: message.internal }
+    });
+    eventService.publishFeedback(
+      hasPermission(req.user, 'feedback:respond') && !message.internal ? 'feedback.responded' : 'feedback.updated',
+      feedback,
+      { staffOnly: message.internal }
+    );
+
+    if (!message.internal) {
+      if (hasPermission(req.user, 'feedback:respond')) {
+        await notificationService.feedbackResponded(feedback, req.user, message.body);
+      } else {
+        await notificationService.customerReplied(feedback, req.user, message.body);
+      }
+
+      if (hasPermission(req.user, 'feedback:respond')) {
+        webhookService.feedbackEvent('feedback.responded', feedback, { actor: req.user });
+      }
+      webhookService.statusChanged(feedback, previousStatus, req.user);
+    }
+
+    console.log(`✅ Added ${message.internal ? 'internal ' : ''}reply to feedback: ${feedback.subject}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added successfully',
+      data: feedback.toJSONFor(req.user)
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding reply:', error);
+
+    // Rejected workflow transition / conversation closed (see config/workflow.js)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID format'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add reply',
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/feedback/:id
- * Delete feedback (admin only or owner)
+ * Delete feedback (feedback:delete permission or owner)
  */
-router.delete('/:id', requireAuth, async (req, res) => {  // 🔧 FIX: Added requireAuth
+router.delete('/:id', requireAuthOrApiKey('admin'), async (req, res) => {  // 🔧 FIX: Added requireAuth
   try {
     const { id } = req.params;
     console.log(`📥 DELETE /api/feedback/${id} - Deleting feedback`);
@@ -345,7 +523,7 @@ router.delete('/:id', requireAuth, async (req, res) => {  // 🔧 FIX: Added req
     }
 
     // 🔧 FIX: Privacy check - Users can only delete their own feedback, admins can delete any
-    if (req.user.role !== 'admin' && feedback.userId && !feedback.userId.equals(req.user._id)) {
+    if (!hasPermission(req.user, 'feedback:delete') && !feedback.userId?.equals(req.user._id)) {
       console.log('🚫 Access denied: User', req.user.username, 'tried to delete feedback owned by', feedback.userId);
       return res.status(403).json({
         success: false,
@@ -355,6 +533,15 @@ router.delete('/:id', requireAuth, async (req, res) => {  // 🔧 FIX: Added req
 
     await Feedback.findByIdAndDelete(id);
 
+    await auditService.record({
+      feedback,
+      actor: req.user,
+      action: 'deleted',
+      meta: { subject: feedback.subject, customerEmail: feedback.customerEmail }
+    });
+    eventService.publishFeedback('feedback.deleted', feedback);
+    webhookService.feedbackEvent('feedback.deleted', feedback, { actor: req.user });
+
     console.log(`✅ Deleted feedback: ${feedback.subject} by user: ${req.user.username}`);
 
     res.status(200).json({
@@ -376,18 +563,18 @@ router.delete('/:id', requireAuth, async (req, res) => {  // 🔧 FIX: Added req
  * GET /api/feedback/stats/overview
  * Get feedback statistics with privacy filtering
  */
-router.get('/stats/overview', requireAuth, async (req, res) => {
+router.get('/stats/overview', requireAuthOrApiKey('read'), async (req, res) => {
   try {
     console.log('📥 GET /api/feedback/stats/overview - Fetching statistics');
     console.log('🔐 Stats requested by user:', req.user.username, '(', req.user.role, ')');
 
     // Build match filter for privacy
     const matchFilter = {};
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'feedback:read_all')) {
       matchFilter.userId = req.user._id;  // 🔧 FIX: Use _id consistently
       console.log('🔒 Privacy filter applied for stats - user:', req.user._id);
     } else {
-      console.log('👑 Admin stats - showing all feedback statistics');
+      console.log('👑 Staff stats - showing all feedback statistics');
     }
 
     // Aggregate statistics with privacy filter
@@ -436,6 +623,21 @@ router.get('/stats/overview', requireAuth, async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    // Get per-status counts with privacy filter
+    const statusStats = await Feedback.aggregate([
+      { $match: matchFilter },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Average first-response/resolution times in calendar and business hours
+    const responseTimes = await Feedback.getResponseTimeStats(matchFilter);
+
     const result = {
       overview: stats[0] || {
         totalFeedback: 0,
@@ -445,7 +647,9 @@ router.get('/stats/overview', requireAuth, async (req, res) => {
         totalResolved: 0
       },
       categoryBreakdown: categoryStats,
-      ratingDistribution: ratingStats
+      ratingDistribution: ratingStats,
+      statusBreakdown: statusStats,
+      responseTimes
     };
 
     console.log(`✅ Generated feedback statistics for user: ${req.user.username} - ${result.overview.totalFeedback} total feedback`);
@@ -465,29 +669,4 @@ router.get('/stats/overview', requireAuth, async (req, res) => {
   }
 });
 
-/**
- * Helper function to generate AI suggestions asynchronously
- * This runs in the background after feedback is created
- */
-async function generateAISuggestions(feedbackId) {
-  try {
-    console.log(`🤖 Generating AI suggestions for feedback: ${feedbackId}`);
-
-    const feedback = await Feedback.findById(feedbackId);
-    if (!feedback) return;
-
-    const suggestions = await geminiService.generateResponseSuggestions(feedback);
-
-    // Update feedback with AI suggestions
-    feedback.aiSuggestions = suggestions;
-    await feedback.save();
-
-    console.log(`✅ Generated ${suggestions.length} AI suggestions for feedback: ${feedback.subject}`);
-
-  } catch (error) {
-    console.error('❌ Error generating AI suggestions:', error);
-    // Don't throw error - this is background processing
-  }
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Inbound Email Routes
+ * Webhook for mail providers that forward received messages as raw MIME
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const inboundEmailService = require('../services/inboundEmailService');
+const { WEBHOOK_SECRET } = require('../config/inboundEmail');
+
+/**
+ * Middleware - the caller must send INBOUND_EMAIL_SECRET in the X-Inbound-Secret header
+ */
+const requireInboundSecret = (req, res, next) => {
+  if (!WEBHOOK_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'Inbound email is not configured'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Inbound-Secret') || '');
+  const expected = Buffer.from(WEBHOOK_SECRET);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid inbound email secret'
+    });
+  }
+
+  next();
+};
+
+/**
+ * POST /api/inbound/email
+ * Ingest one customer reply
+ *
+ * Body: the raw RFC 822 message (Content-Type message/rfc822, text/plain or
+ * application/octet-stream), or JSON { raw: "<message>" }
+ *
+ * Always answers 200 once the message was handled (appended, ignored or rejected)
+ * so providers don't retry messages that can never be matched
+ */
+router.post(
+  '/email',
+  requireInboundSecret,
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const raw = Buffer.isBuffer(req.body) ? req.body : req.body?.raw;
+
+      if (!raw || raw.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Raw email message is required'
+        });
+      }
+
+      const result = await inboundEmailService.ingest(raw);
+
+      if (result.status !== 'appended') {
+        console.log(`⚠️ Inbound email ${result.status}: ${result.reason}`);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('❌ Error ingesting inbound email:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to ingest inbound email',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
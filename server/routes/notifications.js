@@ -0,0 +1,136 @@
+/**
+ * Notification Routes
+ * The signed-in user's in-app notifications
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAuth } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+/**
+ * GET /api/notifications
+ * List notifications, newest first
+ *
+ * Query Parameters:
+ * - unread: "true" for unread only
+ * - limit: page size (default 20, max 100)
+ * - before: ISO date - return notifications created before it (paging)
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { unread, limit, before } = req.query;
+
+    const [notifications, unreadCount] = await Promise.all([
+      notificationService.list(req.user, { unreadOnly: unread === 'true', limit, before }),
+      notificationService.unreadCount(req.user)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications (for the header bell)
+ */
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    const unreadCount = await notificationService.unreadCount(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('❌ Error counting notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count notifications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark every notification as read
+ */
+router.put('/read-all', requireAuth, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user);
+
+    console.log(`✅ Marked ${updated} notification(s) read for ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated, unreadCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('❌ Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark one notification as read
+ */
+router.put('/:id/read', requireAuth, async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.user, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const unreadCount = await notificationService.unreadCount(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('❌ Error marking notification read:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Widget Routes
+ * Public endpoints behind the embeddable feedback widget (see config/widget.js)
+ *
+ * Mounted at /widget ahead of the app-wide CORS policy: the loader script is fetched by
+ * third-party pages, and submissions are checked against each site's own allowed origins
+ */
+
+const path = require('path');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const widgetService = require('../services/widgetService');
+const { HONEYPOT_FIELD, RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX } = require('../config/widget');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'public', 'widget');
+
+// Whether a request's Origin header (if any) is this server, i.e. the widget frame
+const isFromWidgetFrame = (req) => {
+  const origin = req.get('Origin');
+  if (!origin || origin === 'null') return true;
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch {
+    return false;
+  }
+};
+
+// Per visitor and site, so one busy site can't use up another's allowance
+const submissionLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_MAX,
+  keyGenerator: (req) => `${req.ip}:${req.body?.siteKey}`,
+  message: {
+    success: false,
+    message: 'Too many submissions, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * GET /widget/embed.js
+ * Loader script included by the embedding site
+ */
+router.get('/embed.js', (req, res) => {
+  res.set({
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'Cache-Control': 'public, max-age=3600'
+  });
+  res.sendFile(path.join(ASSETS_DIR, 'embed.js'));
+});
+
+/**
+ * GET /widget/frame?siteKey=site_...
+ * The form shown inside the iframe - only frameable by the site's allowed origins
+ */
+router.get('/frame', async (req, res) => {
+  try {
+    const site = await widgetService.findActiveSite(req.query.siteKey);
+
+    if (!site) {
+      return res.status(404).type('text').send('Unknown or disabled site key');
+    }
+
+    res.removeHeader('X-Frame-Options');
+    res.set('Content-Security-Policy', [
+      "default-src 'none'",
+      "script-src 'self'",
+      "style-src 'self'",
+      "connect-src 'self'",
+      "form-action 'none'",
+      `frame-ancestors ${site.allowedOrigins.join(' ')}`
+    ].join('; '));
+    res.sendFile(path.join(ASSETS_DIR, 'frame.html'));
+  } catch (error) {
+    console.error('❌ Error serving widget frame:', error);
+    res.status(500).type('text').send('Widget unavailable');
+  }
+});
+
+// frame.js / frame.css (only ever loaded by the frame itself)
+router.use(express.static(ASSETS_DIR, { index: false, maxAge: '1h' }));
+
+/**
+ * POST /widget/feedback
+ * Anonymous (or email-identified) feedback from the widget
+ */
+router.post('/feedback', express.json({ limit: '20kb' }), submissionLimiter, async (req, res) => {
+  try {
+    const { siteKey, pageUrl, customerName, customerEmail, message, rating, category } = req.body;
+
+    // Only the widget frame (served from this host) posts here
+    if (!isFromWidgetFrame(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Submissions must come from the feedback widget'
+      });
+    }
+
+    const site = await widgetService.findActiveSite(siteKey);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown or disabled site key'
+      });
+    }
+
+    if (!widgetService.isAllowedPage(site, pageUrl)) {
+      console.log(`🚫 Widget submission for "${site.name}" from disallowed page: ${pageUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: 'This website is not allowed to use this feedback widget'
+      });
+    }
+
+    // Bots fill in every field - pretend it worked so they don't adapt
+    if (req.body[HONEYPOT_FIELD]) {
+      console.log(`🍯 Dropped widget submission for "${site.name}" (honeypot filled) - IP: ${req.ip}`);
+      return res.status(201).json({
+        success: true,
+        message: 'Thanks for your feedback!'
+      });
+    }
+
+    if (typeof message !== 'string' || !message.trim() || !rating) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+        required: ['message', 'rating']
+      });
+    }
+
+    const feedback = await widgetService.submit(site, {
+      customerName,
+      customerEmail,
+      message,
+      rating,
+      category,
+      pageUrl
+    });
+
+    console.log(`✅ Widget feedback for "${site.name}": ${feedback.subject} (${pageUrl})`);
+
+    // Nothing from the record is echoed back - the endpoint is public
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your feedback!'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+        error: error.message
+      });
+    }
+
+    console.error('❌ Error creating widget feedback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit feedback',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Password Migration Script
+ * One-off job that hashes every password still stored in plaintext
+ *
+ * Usage: npm run migrate:passwords
+ *
+ * Accounts that are not migrated here are still rehashed on their
+ * next successful login (see POST /api/auth/login).
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const migratePasswords = async () => {
+  await connectDB();
+
+  const users = await User.find({}).select('+password');
+  const plaintextUsers = users.filter(user => !user.isPasswordHashed());
+
+  console.log(`🔍 Found ${plaintextUsers.length} of ${users.length} users with plaintext passwords`);
+
+  let migrated = 0;
+  for (const user of plaintextUsers) {
+    try {
+      // Re-saving the plaintext value lets the pre-save hook hash it
+      user.markModified('password');
+      await user.save({ validateBeforeSave: false });
+      migrated++;
+      console.log(`✅ Hashed password for: ${user.username}`);
+    } catch (error) {
+      console.error(`❌ Failed to migrate ${user.username}:`, error.message);
+    }
+  }
+
+  console.log(`🎉 Migration complete: ${migrated}/${plaintextUsers.length} passwords hashed`);
+  await mongoose.connection.close();
+};
+
+migratePasswords().catch(async (error) => {
+  console.error('❌ Password migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
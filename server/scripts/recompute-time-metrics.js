@@ -0,0 +1,56 @@
+/**
+ * Time Metrics Script
+ * Recomputes calendar/business-hour response and resolution times for all feedback
+ *
+ * Usage: npm run metrics:recompute
+ *
+ * Run after changing the business calendar (config/businessHours.js or the
+ * BUSINESS_* environment variables), or once to fill in older feedback.
+ * Also clears a stale resolvedAt on feedback that was reopened after being resolved.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Feedback = require('../models/Feedback');
+
+const recomputeTimeMetrics = async () => {
+  await connectDB();
+
+  const feedbackList = await Feedback.find({
+    $or: [
+      { firstResponseAt: { $ne: null } },
+      { respondedAt: { $ne: null } },
+      { resolvedAt: { $ne: null } }
+    ]
+  }).select('status createdAt firstResponseAt respondedAt resolvedAt timeMetrics');
+
+  console.log(`🔍 Found ${feedbackList.length} feedback items with response or resolution times`);
+
+  let updated = 0;
+  for (const feedback of feedbackList) {
+    try {
+      const update = {};
+      if (feedback.resolvedAt && !['resolved', 'closed'].includes(feedback.status)) {
+        feedback.resolvedAt = undefined;
+        update.$unset = { resolvedAt: 1 };
+      }
+
+      update.$set = { timeMetrics: feedback.computeTimeMetrics() };
+      // Write only these fields - a full save would re-run workflow and SLA hooks
+      await Feedback.updateOne({ _id: feedback._id }, update, { timestamps: false });
+      updated++;
+    } catch (error) {
+      console.error(`❌ Failed to update ${feedback._id}:`, error.message);
+    }
+  }
+
+  console.log(`🎉 Recompute complete: ${updated}/${feedbackList.length} items updated`);
+  await mongoose.connection.close();
+};
+
+recomputeTimeMetrics().catch(async (error) => {
+  console.error('❌ Time metrics recompute failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
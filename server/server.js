@@ -7,8 +7,14 @@ require('dotenv').config();
 
 // Import our custom modules with error handling
 const connectDB = require('./config/db');
+const slaMonitor = require('./jobs/slaMonitor');
+const maildirPoller = require('./jobs/maildirPoller');
+const webhookDispatcher = require('./jobs/webhookDispatcher');
+const jobWorker = require('./jobs/jobWorker');
+const { WORKER_ENABLED: JOB_WORKER_ENABLED } = require('./config/jobs');
+const eventService = require('./services/eventService');
 
-let feedbackRoutes, aiRoutes, adminRoutes, authRoutes;
+let feedbackRoutes, aiRoutes, adminRoutes, authRoutes, eventRoutes, notificationRoutes, inboundRoutes, chatStubRoutes, widgetRoutes;
 
 try {
   feedbackRoutes = require('./routes/feedback');
@@ -40,6 +46,44 @@ try {
   console.error('❌ Failed to load auth routes:', error.message);
 }
 
+try {
+  eventRoutes = require('./routes/events');
+  console.log('✅ Event routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load event routes:', error.message);
+}
+
+try {
+  notificationRoutes = require('./routes/notifications');
+  console.log('✅ Notification routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load notification routes:', error.message);
+}
+
+try {
+  inboundRoutes = require('./routes/inbound');
+  console.log('✅ Inbound email routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load inbound email routes:', error.message);
+}
+
+try {
+  widgetRoutes = require('./routes/widget');
+  console.log('✅ Widget routes loaded');
+} catch (error) {
+  console.error('❌ Failed to load widget routes:', error.message);
+}
+
+// Local Slack/Teams stand-in, only when chat notifications run in test mode
+if (process.env.CHAT_NOTIFICATIONS_MODE === 'test') {
+  try {
+    chatStubRoutes = require('./routes/chatStub');
+    console.log('✅ Chat stub routes loaded');
+  } catch (error) {
+    console.error('❌ Failed to load chat stub routes:', error.message);
+  }
+}
+
 // Initialize the app
 const app = express();
 
@@ -94,6 +138,14 @@ const corsOptions = {
   optionsSuccessStatus: 200
 };
 
+// Embeddable widget - public, with per-site origin checks instead of the CORS allow-list
+if (widgetRoutes) {
+  app.use('/widget', widgetRoutes);
+  console.log('✅ Widget routes mounted at /widget');
+} else {
+  console.log('⚠️ Widget routes not available');
+}
+
 app.use(cors(corsOptions));
 
 // Rate Limiting
@@ -106,6 +158,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Applies to every request - API key requests are additionally limited per key once the
+  // key is verified (see requireAuthOrApiKey)
 });
 
 app.use('/api/', limiter);
@@ -127,7 +181,12 @@ app.use((req, res, next) => {
   console.log(`📡 ${timestamp} - ${req.method} ${req.path} - IP: ${req.ip}`);
   
   if ((req.method === 'POST' || req.method === 'PUT') && req.body) {
-    console.log(`📝 Request Body:`, JSON.stringify(req.body, null, 2));
+    // Never write credentials to the logs
+    const safeBody = { ...req.body };
+    ['password', 'refreshToken', 'token'].forEach((field) => {
+      if (safeBody[field]) safeBody[field] = '[REDACTED]';
+    });
+    console.log(`📝 Request Body:`, JSON.stringify(safeBody, null, 2));
   }
   
   next();
@@ -175,6 +234,32 @@ if (authRoutes) {
   console.log('⚠️ Auth routes not available');
 }
 
+if (eventRoutes) {
+  app.use('/api/events', eventRoutes);
+  console.log('✅ Event routes mounted at /api/events');
+} else {
+  console.log('⚠️ Event routes not available');
+}
+
+if (notificationRoutes) {
+  app.use('/api/notifications', notificationRoutes);
+  console.log('✅ Notification routes mounted at /api/notifications');
+} else {
+  console.log('⚠️ Notification routes not available');
+}
+
+if (inboundRoutes) {
+  app.use('/api/inbound', inboundRoutes);
+  console.log('✅ Inbound email routes mounted at /api/inbound');
+} else {
+  console.log('⚠️ Inbound email routes not available');
+}
+
+if (chatStubRoutes) {
+  app.use('/api/chat-stub', chatStubRoutes);
+  console.log('✅ Chat stub routes mounted at /api/chat-stub');
+}
+
 // Health Check Route
 app.get('/api/health', (req, res) => {
   res.status(200).json({
@@ -187,7 +272,12 @@ app.get('/api/health', (req, res) => {
       feedback: !!feedbackRoutes,
       ai: !!aiRoutes,
       admin: !!adminRoutes,
-      auth: !!authRoutes
+      auth: !!authRoutes,
+      events: !!eventRoutes,
+      notifications: !!notificationRoutes,
+      inbound: !!inboundRoutes,
+      chatStub: !!chatStubRoutes,
+      widget: !!widgetRoutes
     }
   });
 });
@@ -203,7 +293,11 @@ app.get('/', (req, res) => {
       feedback: '/api/feedback',
       ai: '/api/ai',
       admin: '/api/admin',
-      auth: '/api/auth'
+      auth: '/api/auth',
+      events: '/api/events',
+      notifications: '/api/notifications',
+      inbound: '/api/inbound',
+      widget: '/widget/embed.js'
     }
   });
 });
@@ -301,6 +395,23 @@ app.use((err, req, res, next) => {
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Background SLA breach detection (disable with SLA_MONITOR_ENABLED=false)
+    if (process.env.SLA_MONITOR_ENABLED !== 'false') {
+      slaMonitor.start();
+    }
+
+    // Reply-by-email from a local Maildir (no-op unless INBOUND_MAILDIR is set)
+    maildirPoller.start();
+
+    // Retries for failed webhook deliveries
+    webhookDispatcher.start();
+
+    // Background jobs: AI suggestions and triage, customer emails, chat alerts
+    // (disable with JOB_WORKER_ENABLED=false to leave them to another process)
+    if (JOB_WORKER_ENABLED) {
+      jobWorker.start();
+    }
     
     const server = app.listen(PORT, () => {
       console.log(`
@@ -322,6 +433,11 @@ ${!adminRoutes ? '⚠️ WARNING: Admin routes failed to load!' : ''}
     // Graceful shutdown handling
     process.on('SIGTERM', () => {
       console.log('🔄 SIGTERM received, shutting down gracefully...');
+      slaMonitor.stop();
+      maildirPoller.stop();
+      webhookDispatcher.stop();
+      jobWorker.stop();
+      eventService.closeAll();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
@@ -330,6 +446,11 @@ ${!adminRoutes ? '⚠️ WARNING: Admin routes failed to load!' : ''}
 
     process.on('SIGINT', () => {
       console.log('🔄 SIGINT received, shutting down gracefully...');
+      slaMonitor.stop();
+      maildirPoller.stop();
+      webhookDispatcher.stop();
+      jobWorker.stop();
+      eventService.closeAll();
       server.close(() => {
         console.log('✅ Process terminated');
         process.exit(0);
@@ -0,0 +1,57 @@
+/**
+ * Gemini Provider
+ * Google Gemini API via @google/generative-ai
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { parseJSONText, jsonInstruction } = require('./json');
+
+class GeminiProvider {
+  /**
+   * @param {Object} options - { apiKey, model, embeddingModel, timeoutMs }
+   */
+  constructor({ apiKey, model, embeddingModel, timeoutMs }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini AI provider');
+    }
+
+    this.name = 'gemini';
+    this.label = 'Google Gemini API';
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    this.client = genAI.getGenerativeModel({ model }, { timeout: timeoutMs });
+    this.embeddingClient = genAI.getGenerativeModel({ model: embeddingModel }, { timeout: timeoutMs });
+  }
+
+  async generateText(prompt, { temperature, maxTokens } = {}) {
+    const result = await this.client.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { maxOutputTokens: maxTokens })
+      }
+    });
+    return result.response.text();
+  }
+
+  async generateJSON(prompt, { schema, ...options } = {}) {
+    const text = await this.generateText(prompt + jsonInstruction(schema), { temperature: 0.2, ...options });
+    return parseJSONText(text);
+  }
+
+  async embed(texts) {
+    const { embeddings } = await this.embeddingClient.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return embeddings.map(embedding => embedding.values);
+  }
+
+  async healthCheck() {
+    const text = await this.generateText('Hello, are you working?', { maxTokens: 16 });
+    return text.length > 0;
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,43 @@
+/**
+ * AI Providers
+ * Every provider implements the same interface, so features never depend on a vendor:
+ *
+ * - name, label, model                            e.g. "gemini", "Google Gemini API", "gemini-1.5-flash"
+ * - generateText(prompt, options) → string
+ * - generateJSON(prompt, options) → parsed JSON   options.schema describes the expected shape
+ * - healthCheck() → boolean
+ * - embed(texts) → array of vectors                optional - only providers with an embedding model
+ *
+ * options also carry { task, input }: the task name and the structured data the prompt was
+ * built from. Model-backed providers ignore them; the offline provider works from them alone.
+ */
+
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OfflineProvider = require('./offlineProvider');
+const { TIMEOUT_MS, GEMINI, OPENAI } = require('../../config/ai');
+
+const factories = {
+  gemini: () => new GeminiProvider({ ...GEMINI, timeoutMs: TIMEOUT_MS }),
+  openai: () => new OpenAICompatibleProvider({ ...OPENAI, timeoutMs: TIMEOUT_MS }),
+  offline: () => new OfflineProvider()
+};
+
+/**
+ * Build a provider by name
+ *
+ * @param {string} name - gemini | openai | offline
+ * @returns {Object} Provider instance
+ * @throws {Error} If the name is unknown or the provider is missing its configuration
+ */
+const createProvider = (name) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,40 @@
+/**
+ * JSON helpers for text-generating providers
+ */
+
+// Models often wrap JSON in a ```json fence or add a sentence around it
+const FENCE_PATTERN = /```(?:json)?\s*([\s\S]*?)```/i;
+
+/**
+ * Parse the JSON value out of a model's reply
+ *
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If no JSON object or array can be found
+ */
+const parseJSONText = (text) => {
+  const fenced = text.match(FENCE_PATTERN);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost {...} or [...]
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+};
+
+/**
+ * Instruction appended to prompts that expect JSON
+ */
+const jsonInstruction = (schema) => schema
+  ? `\n\nRespond with only a JSON value matching this JSON Schema, no other text:\n${JSON.stringify(schema)}`
+  : '\n\nRespond with only valid JSON, no other text.';
+
+module.exports = {
+  parseJSONText,
+  jsonInstruction
+};
@@ -0,0 +1,294 @@
+/**
+ * Offline Provider
+ * Deterministic keyword rules and templates - no network, no model, same input → same output
+ *
+ * Used when no model is configured, as the fallback when one fails, and in tests.
+ * Prompts are ignored: each request names its task and passes structured input
+ * (see the task handlers below).
+ */
+
+const POSITIVE_WORDS = [
+  'great', 'excellent', 'love', 'loved', 'amazing', 'good', 'happy', 'helpful', 'thanks', 'thank',
+  'awesome', 'fantastic', 'perfect', 'easy', 'fast', 'quick', 'friendly', 'recommend', 'satisfied',
+  'pleased', 'wonderful', 'best', 'smooth', 'appreciate', 'impressed'
+];
+
+const NEGATIVE_WORDS = [
+  'bad', 'terrible', 'awful', 'hate', 'poor', 'slow', 'broken', 'bug', 'crash', 'crashes', 'error',
+  'issue', 'problem', 'disappointed', 'disappointing', 'frustrated', 'frustrating', 'angry', 'worst',
+  'useless', 'difficult', 'confusing', 'late', 'missing', 'wrong', 'fail', 'failed', 'fails',
+  'unable', 'cannot', 'unacceptable', 'rude', 'overcharged', 'refund', 'annoying'
+];
+
+const NEGATIONS = ['not', 'no', 'never', "don't", "doesn't", "didn't", "isn't", "wasn't", "can't", 'hardly'];
+
+const URGENT_PHRASES = [
+  'urgent', 'asap', 'immediately', 'emergency', 'critical', 'outage', 'is down', 'charged twice',
+  'double charged', 'security', 'data loss', 'lost my data', 'hacked', 'deadline', 'right now'
+];
+
+const EMOTIONS = {
+  frustration: ['frustrated', 'frustrating', 'annoying', 'annoyed', 'ridiculous', 'again'],
+  anger: ['angry', 'furious', 'unacceptable', 'worst', 'hate', 'rude'],
+  disappointment: ['disappointed', 'disappointing', 'expected', 'letdown'],
+  confusion: ['confusing', 'confused', 'unclear', 'understand'],
+  satisfaction: ['satisfied', 'happy', 'pleased', 'love', 'great', 'excellent'],
+  gratitude: ['thanks', 'thank', 'appreciate', 'grateful']
+};
+
+const CATEGORY_NEXT_STEPS = {
+  billing: "Our billing team will review your account and correct any charge that shouldn't be there.",
+  technical: 'Our technical team is looking into this. If you can share the steps that led to the problem and any error message you saw, it will help us fix it faster.',
+  product: "We've shared your comments with the product team, who use this kind of feedback to decide what to improve next.",
+  service: "We've shared this with the team involved so we can make sure your next experience is a better one.",
+  suggestion: "We've passed your idea on to our product team, who review every suggestion when planning improvements.",
+  general: 'A member of our team will follow up with you if we need any more details.'
+};
+
+// Topic → cue words; the category is the one whose topics collect the most cue hits
+const TRIAGE_TOPICS = {
+  billing: { category: 'billing', cues: ['bill', 'billing', 'invoice', 'charge', 'charged', 'payment', 'refund', 'price', 'subscription'] },
+  shipping: { category: 'service', cues: ['shipping', 'delivery', 'delivered', 'package', 'tracking', 'courier', 'arrived'] },
+  'customer support': { category: 'service', cues: ['support', 'agent', 'staff', 'rude', 'waited', 'helpdesk', 'representative'] },
+  login: { category: 'technical', cues: ['login', 'password', 'sign', 'locked', 'account', '2fa'] },
+  performance: { category: 'technical', cues: ['slow', 'lag', 'loading', 'timeout', 'performance', 'freezes'] },
+  bugs: { category: 'technical', cues: ['bug', 'crash', 'crashes', 'error', 'broken', 'fails', 'failed'] },
+  'mobile app': { category: 'product', cues: ['app', 'android', 'iphone', 'ios', 'mobile'] },
+  usability: { category: 'product', cues: ['confusing', 'design', 'interface', 'navigation', 'layout', 'easy'] },
+  'feature request': { category: 'suggestion', cues: ['feature', 'suggest', 'suggestion', 'wish', 'idea', 'add', 'option'] },
+  quality: { category: 'product', cues: ['quality', 'material', 'durable', 'damaged', 'defective'] }
+};
+
+const ANSWER_TOPICS = [
+  {
+    keywords: ['return', 'returns', 'exchange', 'send back'],
+    answer: 'To return or exchange an item, open your order history, choose the order and select "Return item". Most items can be returned within the return window shown on the order as long as they are unused and in their original packaging. Once we receive the item we will process your refund or exchange and email you a confirmation.'
+  },
+  {
+    keywords: ['refund', 'refunds', 'money back', 'reimburse'],
+    answer: "Refunds are issued to the original payment method once a return is received or a cancellation is confirmed. It can take a few business days for your bank to show the credit. If you haven't seen it after that, reply with your order details and we'll check on it."
+  },
+  {
+    keywords: ['shipping', 'delivery', 'deliver', 'track', 'tracking', 'package', 'arrive'],
+    answer: 'You can follow your delivery from the tracking link in your order confirmation email or in your order history. Delivery times depend on the shipping option chosen at checkout. If the tracking has not updated for several days, contact us with your order number and we will investigate with the carrier.'
+  },
+  {
+    keywords: ['password', 'login', 'log in', 'sign in', 'locked', 'account'],
+    answer: 'If you can\'t sign in, use the "Forgot password" link on the login page to get a reset email - check your spam folder if it doesn\'t arrive within a few minutes. If your account is locked or you no longer have access to the email address on file, contact support and we\'ll help you verify your identity.'
+  },
+  {
+    keywords: ['bill', 'billing', 'invoice', 'charge', 'charged', 'payment', 'pay', 'subscription'],
+    answer: 'You can see your invoices and payment history in the billing section of your account. If a charge looks wrong, let us know the date and amount and our billing team will review it. Subscription changes take effect from your next billing date.'
+  },
+  {
+    keywords: ['cancel', 'cancellation', 'unsubscribe', 'close my account'],
+    answer: 'You can cancel from your account settings at any time. Cancelling stops future renewals, and you keep access until the end of the current period. If you need your account and data removed entirely, contact support and we will take care of it.'
+  },
+  {
+    keywords: ['bug', 'error', 'crash', 'broken', 'not working', "doesn't work"],
+    answer: 'Sorry you\'re running into a problem. Try refreshing the page or restarting the app, and make sure you\'re on the latest version. If it keeps happening, submit feedback with the steps that lead to the error and any message you see - that gives our technical team what they need to fix it.'
+  },
+  {
+    keywords: ['contact', 'support', 'speak', 'human', 'phone', 'email'],
+    answer: 'You can reach our support team by submitting feedback from your dashboard - every message is read by a person and you will get a reply by email. For urgent issues, mention that in your message so we can prioritise it.'
+  }
+];
+
+const DEFAULT_ANSWER = "Thanks for your question. I don't have a specific answer for that right now, but our support team can help - submit it as feedback from your dashboard and someone will get back to you.";
+
+const tokenize = (text = '') => text.toLowerCase().match(/[a-z']+/g) || [];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const firstName = (name = '') => name.trim().split(/\s+/)[0] || 'there';
+
+/**
+ * Keyword sentiment with simple negation ("not good" counts as negative)
+ */
+const analyzeSentiment = ({ message = '' }) => {
+  const words = tokenize(message);
+  const lower = message.toLowerCase();
+  let positive = 0;
+  let negative = 0;
+
+  words.forEach((word, index) => {
+    const negated = NEGATIONS.includes(words[index - 1]);
+    if (POSITIVE_WORDS.includes(word)) negated ? negative++ : positive++;
+    else if (NEGATIVE_WORDS.includes(word)) negated ? positive++ : negative++;
+  });
+
+  const hits = positive + negative;
+  const score = hits === 0 ? 0 : (positive - negative) / hits;
+  const sentiment = score > 0.2 ? 'positive' : score < -0.2 ? 'negative' : 'neutral';
+  const urgent = URGENT_PHRASES.some(phrase => lower.includes(phrase));
+
+  const emotions = Object.entries(EMOTIONS)
+    .filter(([, cues]) => cues.some(cue => words.includes(cue)))
+    .map(([emotion]) => emotion);
+
+  const keyPoints = message
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0)
+    .slice(0, 2)
+    .map(sentence => sentence.length > 120 ? `${sentence.slice(0, 119)}…` : sentence);
+
+  return {
+    sentiment,
+    score: round(score),
+    confidence: hits === 0 ? 0.5 : round(0.5 + 0.45 * Math.abs(score) * (hits / (hits + 1))),
+    emotions: emotions.length > 0 ? emotions : ['neutral'],
+    urgency: urgent ? 'high' : sentiment === 'negative' ? 'medium' : 'low',
+    keyPoints
+  };
+};
+
+/**
+ * Three reply templates (formal, friendly, solution-focused) with the concerns they address
+ * (the first sentences of the message) and a suggested status and priority
+ */
+const responseSuggestions = ({ customerName, subject = '', message = '', rating = 3, category = 'general' }) => {
+  const name = firstName(customerName);
+  const topic = subject ? `"${subject}"` : 'your recent experience';
+  const nextSteps = CATEGORY_NEXT_STEPS[category] || CATEGORY_NEXT_STEPS.general;
+  const { keyPoints, urgency } = analyzeSentiment({ message });
+
+  const withFields = (texts, suggestedStatus, suggestedPriority) => ({
+    suggestions: ['formal', 'friendly', 'solution-focused'].map((tone, index) => ({
+      tone,
+      text: texts[index],
+      addressedConcerns: keyPoints,
+      suggestedStatus,
+      suggestedPriority
+    }))
+  });
+
+  if (rating >= 4) {
+    return withFields([
+      `Dear ${name},\n\nThank you for taking the time to share your feedback regarding ${topic}. We are delighted to hear that your experience met your expectations, and we will make sure the team responsible sees your comments. Feedback like yours helps us understand what we are doing well.\n\nKind regards,\nCustomer Support`,
+      `Hi ${name}!\n\nThanks so much for the kind words about ${topic} - it genuinely made our day. We're really glad things went well for you, and we'll pass your message along to the team. If there's ever anything else we can do, just let us know!`,
+      `Hi ${name}, thank you for the positive feedback on ${topic}. We've shared it with the team. If you have ideas for how we could make things even better, reply to this message - we read every one.`
+    ], 'resolved', 'low');
+  }
+
+  const apology = rating <= 2
+    ? `We are sorry that your experience with ${topic} fell short of what you should expect from us.`
+    : `Thank you for your honest feedback about ${topic} - it's clear some things could have gone better.`;
+
+  return withFields([
+    `Dear ${name},\n\nThank you for contacting us. ${apology} We take this feedback seriously and have reviewed the details you provided. ${nextSteps} We appreciate your patience while we resolve this.\n\nKind regards,\nCustomer Support`,
+    `Hi ${name},\n\nThanks for letting us know about this. ${apology} We completely understand how frustrating that can be. ${nextSteps} If anything changes in the meantime, just reply here and we'll pick it up right away.`,
+    `Hi ${name},\n\n${apology} ${nextSteps} We'll update you here as soon as we have news.`
+  ], rating <= 2 ? 'in-progress' : 'responded', urgency === 'high' ? 'urgent' : rating <= 2 ? 'high' : 'medium');
+};
+
+/**
+ * Sentiment, topics (by cue words), the category those topics point to and a priority:
+ * urgent wording → urgent, a 1-2 star rating or negative tone → high, neutral → medium, positive → low
+ */
+const triage = ({ subject = '', message = '', rating = 3, category }) => {
+  const words = tokenize(`${subject} ${message}`);
+  const { sentiment, score, urgency } = analyzeSentiment({ message: `${subject}. ${message}` });
+
+  const matches = Object.entries(TRIAGE_TOPICS)
+    .map(([topic, { category: topicCategory, cues }]) => ({
+      topic,
+      category: topicCategory,
+      hits: cues.filter(cue => words.includes(cue)).length
+    }))
+    .filter(match => match.hits > 0)
+    .sort((a, b) => b.hits - a.hits);
+
+  const categoryHits = {};
+  matches.forEach(match => {
+    categoryHits[match.category] = (categoryHits[match.category] || 0) + match.hits;
+  });
+  const [bestCategory] = Object.entries(categoryHits).sort((a, b) => b[1] - a[1])[0] || [];
+
+  const priority = urgency === 'high' ? 'urgent'
+    : rating <= 2 || sentiment === 'negative' ? 'high'
+    : sentiment === 'neutral' ? 'medium'
+    : 'low';
+
+  const reasons = [
+    urgency === 'high' && 'urgent wording',
+    rating <= 2 && `${rating}-star rating`,
+    `${sentiment} tone`,
+    matches.length > 0 && `mentions ${matches.slice(0, 2).map(match => match.topic).join(' and ')}`
+  ].filter(Boolean);
+
+  return {
+    sentiment: { label: sentiment, score },
+    topics: matches.slice(0, 5).map(match => match.topic),
+    category: bestCategory || category || 'general',
+    priority,
+    reason: reasons.join(', ')
+  };
+};
+
+// Sentences quoted from a knowledge base article
+const SOURCE_SENTENCES = 3;
+
+/**
+ * Answer for a question: the opening of the best-matching knowledge base article when there
+ * is one (cited as [1]), otherwise the best-matching canned answer (most keyword hits wins,
+ * ties go to the first topic)
+ * Sources are articles only - past resolutions are never passed in (see aiService.generateAnswer)
+ */
+const answerQuestion = ({ question = '', context = '', sources = [] }) => {
+  if (sources.length > 0) {
+    const sentences = sources[0].text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [];
+    return `${sentences.slice(0, SOURCE_SENTENCES).join('').trim()} [1]`;
+  }
+
+  const text = `${question} ${context}`.toLowerCase();
+  let best = null;
+  let bestHits = 0;
+
+  ANSWER_TOPICS.forEach((topic) => {
+    const hits = topic.keywords.filter(keyword => text.includes(keyword)).length;
+    if (hits > bestHits) {
+      best = topic;
+      bestHits = hits;
+    }
+  });
+
+  return best ? best.answer : DEFAULT_ANSWER;
+};
+
+const TEXT_TASKS = {
+  answer: answerQuestion
+};
+
+const JSON_TASKS = {
+  sentiment: analyzeSentiment,
+  response_suggestions: responseSuggestions,
+  triage
+};
+
+class OfflineProvider {
+  constructor() {
+    this.name = 'offline';
+    this.label = 'Offline rules and templates';
+    this.model = 'rules-v1';
+  }
+
+  async generateText(prompt, { task, input = {} } = {}) {
+    const handler = TEXT_TASKS[task];
+    return handler ? handler(input) : DEFAULT_ANSWER;
+  }
+
+  async generateJSON(prompt, { task, input = {} } = {}) {
+    const handler = JSON_TASKS[task];
+    if (!handler) {
+      throw new Error(`The offline AI provider has no rules for "${task || 'unnamed'}" requests`);
+    }
+    return handler(input);
+  }
+
+  async healthCheck() {
+    return true;
+  }
+}
+
+module.exports = OfflineProvider;
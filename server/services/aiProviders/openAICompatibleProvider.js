@@ -0,0 +1,87 @@
+/**
+ * OpenAI-Compatible Provider
+ * POST {baseUrl}/chat/completions - works with OpenAI and local servers that mimic it
+ * (Ollama, llama.cpp server, LM Studio, vLLM, ...)
+ */
+
+const { parseJSONText, jsonInstruction } = require('./json');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - { baseUrl, apiKey, model, embeddingModel, timeoutMs }
+   */
+  constructor({ baseUrl, apiKey, model, embeddingModel, timeoutMs }) {
+    this.name = 'openai';
+    this.label = `OpenAI-compatible API (${baseUrl})`;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text()).slice(0, 300);
+      throw new Error(`${this.baseUrl}${path} returned HTTP ${response.status}: ${detail}`);
+    }
+    return response.json();
+  }
+
+  async complete(prompt, { temperature, maxTokens, json = false } = {}) {
+    const data = await this.request('/chat/completions', {
+      method: 'POST',
+      body: {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(json && { response_format: { type: 'json_object' } })
+      }
+    });
+
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Chat completion response has no message content');
+    }
+    return content;
+  }
+
+  generateText(prompt, options = {}) {
+    return this.complete(prompt, options);
+  }
+
+  async generateJSON(prompt, { schema, ...options } = {}) {
+    // json_object mode only returns objects - schemas with another root type use plain text
+    const json = !schema || schema.type === 'object';
+    const text = await this.complete(prompt + jsonInstruction(schema), { temperature: 0.2, ...options, json });
+    return parseJSONText(text);
+  }
+
+  async embed(texts) {
+    const data = await this.request('/embeddings', {
+      method: 'POST',
+      body: { model: this.embeddingModel, input: texts }
+    });
+    // Results carry their input index - don't rely on the order
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  // Listing models costs no tokens and proves both the URL and the key
+  async healthCheck() {
+    const data = await this.request('/models');
+    return Array.isArray(data.data);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,272 @@
+/**
+ * AI Output Schemas
+ * JSON Schemas sent to the model for structured output, and the validators that check
+ * (and where possible repair) what comes back
+ *
+ * Validators return { value, errors, repaired }:
+ * - value:    the usable data, or null if nothing could be salvaged
+ * - errors:   problems found - sent back to the model when retrying
+ * - repaired: true if the value had to be fixed up
+ */
+
+const Feedback = require('../models/Feedback');
+const { PRIORITY_ORDER } = require('../config/sla');
+const { SENTIMENT_LABELS, MAX_TOPICS } = require('../config/triage');
+
+const FEEDBACK_CATEGORIES = Feedback.schema.path('category').enumValues;
+
+const SUGGESTION_TONES = ['formal', 'friendly', 'solution-focused'];
+
+// Statuses a reply can sensibly move feedback to
+const SUGGESTED_STATUSES = ['in-progress', 'waiting-on-customer', 'responded', 'resolved'];
+
+const MIN_SUGGESTION_LENGTH = 50;
+const MAX_SUGGESTION_LENGTH = 2000;
+const MAX_CONCERNS = 5;
+
+const RESPONSE_SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: SUGGESTION_TONES.length,
+      items: {
+        type: 'object',
+        required: ['tone', 'text', 'addressedConcerns', 'suggestedStatus', 'suggestedPriority'],
+        properties: {
+          tone: { type: 'string', enum: SUGGESTION_TONES },
+          text: { type: 'string', minLength: MIN_SUGGESTION_LENGTH, maxLength: MAX_SUGGESTION_LENGTH },
+          addressedConcerns: { type: 'array', maxItems: MAX_CONCERNS, items: { type: 'string' } },
+          suggestedStatus: { type: 'string', enum: SUGGESTED_STATUSES },
+          suggestedPriority: { type: 'string', enum: PRIORITY_ORDER }
+        }
+      }
+    }
+  }
+};
+
+// Score assumed when the model gives a sentiment label without one
+const LABEL_SCORES = { positive: 0.6, neutral: 0, negative: -0.6 };
+
+const MAX_REASON_LENGTH = 300;
+
+const TRIAGE_SCHEMA = {
+  type: 'object',
+  required: ['sentiment', 'topics', 'category', 'priority'],
+  properties: {
+    sentiment: {
+      type: 'object',
+      required: ['label', 'score'],
+      properties: {
+        label: { type: 'string', enum: SENTIMENT_LABELS },
+        score: { type: 'number', minimum: -1, maximum: 1 }
+      }
+    },
+    topics: { type: 'array', maxItems: MAX_TOPICS, items: { type: 'string' } },
+    category: { type: 'string', enum: FEEDBACK_CATEGORIES },
+    priority: { type: 'string', enum: PRIORITY_ORDER },
+    reason: { type: 'string', maxLength: MAX_REASON_LENGTH }
+  }
+};
+
+// "Solution focused" / "SOLUTION_FOCUSED" → "solution-focused"
+const normalizeKeyword = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s_]+/g, '-') : value;
+
+/**
+ * Check response suggestions against RESPONSE_SUGGESTIONS_SCHEMA
+ *
+ * Repairs: a bare array instead of { suggestions }, "response"/"suggestion" instead of "text",
+ * tone/status/priority spelling, a single concern given as a string, and extra suggestions.
+ * Suggestions without usable text are dropped; unknown status/priority become null.
+ *
+ * @param {*} data - Parsed model output
+ * @returns {Object} { value, errors, repaired }
+ */
+const validateResponseSuggestions = (data) => {
+  const errors = [];
+  let repaired = false;
+
+  let items = data?.suggestions;
+  if (Array.isArray(data)) {
+    items = data;
+    repaired = true;
+  }
+  if (!Array.isArray(items)) {
+    return { value: null, errors: ['The reply must be an object with a "suggestions" array'], repaired };
+  }
+
+  if (items.length > SUGGESTION_TONES.length) {
+    items = items.slice(0, SUGGESTION_TONES.length);
+    repaired = true;
+  }
+
+  const value = [];
+
+  items.forEach((item, index) => {
+    const label = `suggestions[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    let text = item.text;
+    if (typeof text !== 'string' && typeof (item.response || item.suggestion) === 'string') {
+      text = item.response || item.suggestion;
+      repaired = true;
+    }
+    text = typeof text === 'string' ? text.trim() : '';
+    if (text.length < MIN_SUGGESTION_LENGTH) {
+      errors.push(`${label}.text must be a reply of at least ${MIN_SUGGESTION_LENGTH} characters`);
+      return;
+    }
+    if (text.length > MAX_SUGGESTION_LENGTH) {
+      text = text.slice(0, MAX_SUGGESTION_LENGTH);
+      repaired = true;
+    }
+
+    let tone = normalizeKeyword(item.tone);
+    if (!SUGGESTION_TONES.includes(tone)) {
+      errors.push(`${label}.tone must be one of: ${SUGGESTION_TONES.join(', ')}`);
+      tone = SUGGESTION_TONES[index];
+      repaired = true;
+    } else if (tone !== item.tone) {
+      repaired = true;
+    }
+
+    let concerns = item.addressedConcerns;
+    if (typeof concerns === 'string') {
+      concerns = [concerns];
+      repaired = true;
+    }
+    if (!Array.isArray(concerns)) {
+      errors.push(`${label}.addressedConcerns must be an array of strings`);
+      concerns = [];
+      repaired = true;
+    }
+    const addressedConcerns = concerns
+      .filter(concern => typeof concern === 'string' && concern.trim())
+      .map(concern => concern.trim())
+      .slice(0, MAX_CONCERNS);
+
+    const keyword = (field, allowed) => {
+      const normalized = normalizeKeyword(item[field]);
+      if (allowed.includes(normalized)) {
+        if (normalized !== item[field]) repaired = true;
+        return normalized;
+      }
+      errors.push(`${label}.${field} must be one of: ${allowed.join(', ')}`);
+      repaired = true;
+      return null;
+    };
+
+    value.push({
+      tone,
+      text,
+      addressedConcerns,
+      suggestedStatus: keyword('suggestedStatus', SUGGESTED_STATUSES),
+      suggestedPriority: keyword('suggestedPriority', PRIORITY_ORDER)
+    });
+  });
+
+  if (value.length === 0) {
+    errors.push('No usable suggestions');
+  }
+
+  return { value: value.length > 0 ? value : null, errors, repaired };
+};
+
+/**
+ * Check a triage result against TRIAGE_SCHEMA
+ *
+ * Repairs: a bare sentiment label, a missing or out-of-range score, keyword spelling,
+ * topics given as a string, duplicate or extra topics, and an over-long reason.
+ * Sentiment and priority are required; an unknown category becomes null.
+ *
+ * @param {*} data - Parsed model output
+ * @returns {Object} { value, errors, repaired }
+ */
+const validateTriage = (data) => {
+  const errors = [];
+  let repaired = false;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['The reply must be a JSON object'], repaired };
+  }
+
+  let sentiment = data.sentiment;
+  if (typeof sentiment === 'string') {
+    sentiment = { label: sentiment };
+    repaired = true;
+  }
+  const label = normalizeKeyword(sentiment?.label);
+  if (!SENTIMENT_LABELS.includes(label)) {
+    errors.push(`sentiment.label must be one of: ${SENTIMENT_LABELS.join(', ')}`);
+  } else if (label !== sentiment.label) {
+    repaired = true;
+  }
+
+  let score = Number(sentiment?.score);
+  if (!Number.isFinite(score)) {
+    score = LABEL_SCORES[label] ?? 0;
+    repaired = true;
+  } else if (score < -1 || score > 1) {
+    score = Math.max(-1, Math.min(1, score));
+    repaired = true;
+  }
+
+  let topics = data.topics;
+  if (typeof topics === 'string') {
+    topics = topics.split(',');
+    repaired = true;
+  }
+  if (!Array.isArray(topics)) {
+    errors.push('topics must be an array of strings');
+    topics = [];
+  }
+  const normalizedTopics = [...new Set(topics
+    .filter(topic => typeof topic === 'string' && topic.trim())
+    .map(topic => topic.trim().toLowerCase()))];
+  if (normalizedTopics.length > MAX_TOPICS || normalizedTopics.length !== topics.length) repaired = true;
+
+  let category = normalizeKeyword(data.category);
+  if (!FEEDBACK_CATEGORIES.includes(category)) {
+    errors.push(`category must be one of: ${FEEDBACK_CATEGORIES.join(', ')}`);
+    category = null;
+  }
+
+  const priority = normalizeKeyword(data.priority);
+  if (!PRIORITY_ORDER.includes(priority)) {
+    errors.push(`priority must be one of: ${PRIORITY_ORDER.join(', ')}`);
+  }
+
+  if (!SENTIMENT_LABELS.includes(label) || !PRIORITY_ORDER.includes(priority)) {
+    return { value: null, errors, repaired };
+  }
+
+  const reason = typeof data.reason === 'string' ? data.reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+
+  return {
+    value: {
+      sentimentLabel: label,
+      sentimentScore: Math.round(score * 100) / 100,
+      topics: normalizedTopics.slice(0, MAX_TOPICS),
+      category,
+      priority,
+      reason
+    },
+    errors,
+    repaired: repaired || priority !== data.priority || (category !== null && category !== data.category)
+  };
+};
+
+module.exports = {
+  SUGGESTION_TONES,
+  SUGGESTED_STATUSES,
+  RESPONSE_SUGGESTIONS_SCHEMA,
+  TRIAGE_SCHEMA,
+  validateResponseSuggestions,
+  validateTriage
+};
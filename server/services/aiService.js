@@ -0,0 +1,412 @@
+/**
+ * AI Service
+ * Response suggestions, answers, sentiment and triage on top of the configured AI provider
+ * (config/ai.js, services/aiProviders)
+ */
+
+const { createProvider } = require('./aiProviders');
+const {
+  RESPONSE_SUGGESTIONS_SCHEMA,
+  TRIAGE_SCHEMA,
+  validateResponseSuggestions,
+  validateTriage
+} = require('./aiSchemas');
+const { PROVIDER, FALLBACK, JSON_RETRIES } = require('../config/ai');
+
+// Replies in this word range count as well-sized (the prompt asks for 100-200 words)
+const MIN_REPLY_WORDS = 40;
+const MAX_REPLY_WORDS = 250;
+
+const significantWords = (text = '') =>
+  new Set((text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(word => word.length >= 4));
+
+/**
+ * Confidence for a suggestion, from things we can actually check:
+ * - grounding (60%): share of its addressed concerns that use words from the feedback itself
+ * - length (40%):    whether the reply is a sensible length
+ * scaled down when the output needed repair or retries, or came from offline templates
+ *
+ * @returns {number} 0-1, two decimals
+ */
+const scoreSuggestion = (suggestion, feedback, { attempts, repaired, provider }) => {
+  const feedbackWords = significantWords(`${feedback.subject} ${feedback.message}`);
+  const concerns = suggestion.addressedConcerns;
+  const grounded = concerns.filter(concern => [...significantWords(concern)].some(word => feedbackWords.has(word)));
+  const grounding = concerns.length > 0 ? grounded.length / concerns.length : 0.3;
+
+  const words = suggestion.text.split(/\s+/).length;
+  const length = words >= MIN_REPLY_WORDS && words <= MAX_REPLY_WORDS ? 1 : 0.6;
+
+  const quality = Math.max(0.7, (repaired ? 0.9 : 1) - 0.1 * (attempts - 1));
+  const source = provider.name === 'offline' ? 0.7 : 1;
+
+  return Math.round((0.6 * grounding + 0.4 * length) * quality * source * 100) / 100;
+};
+
+/**
+ * AI Service Class
+ *
+ * Why create a service class?
+ * - Encapsulates all AI-related functionality
+ * - Makes code reusable and maintainable
+ * - Easy to test and mock
+ * - Single point of configuration
+ */
+class AIService {
+  constructor() {
+    try {
+      this.provider = createProvider(PROVIDER);
+    } catch (error) {
+      console.error(`⚠️ AI provider "${PROVIDER}" unavailable (${error.message}) - using offline rules`);
+      this.provider = createProvider('offline');
+    }
+
+    // A second provider to answer when the main one errors (never the same one twice)
+    this.fallback = FALLBACK !== 'none' && FALLBACK !== this.provider.name
+      ? createProvider(FALLBACK)
+      : null;
+
+    console.log(`🤖 AI Service initialized (${this.provider.name}: ${this.provider.model}` +
+      `${this.fallback ? `, falls back to ${this.fallback.name}` : ''})`);
+  }
+
+  /**
+   * Active provider and fallback, for health checks and API responses
+   */
+  getInfo() {
+    return {
+      provider: this.provider.name,
+      service: this.provider.label,
+      model: this.provider.model,
+      fallback: this.fallback?.name || null
+    };
+  }
+
+  /**
+   * Whether the active provider can embed text (see services/aiProviders/index.js)
+   */
+  canEmbed() {
+    return typeof this.provider.embed === 'function';
+  }
+
+  /**
+   * Embed texts with the active provider
+   * No fallback: vectors from different models can't be compared
+   *
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text
+   */
+  async embed(texts) {
+    if (!this.canEmbed()) {
+      throw new Error(`The ${this.provider.name} AI provider does not support embeddings`);
+    }
+    return this.provider.embed(texts);
+  }
+
+  /**
+   * Call a provider method, retrying once on the fallback provider if it fails
+   *
+   * @param {string} method - generateText | generateJSON
+   * @param {string} prompt - Prompt for model-backed providers
+   * @param {Object} options - { task, input, ...provider options }
+   * @returns {Promise<Object>} { result, provider }
+   */
+  async run(method, prompt, options) {
+    try {
+      return { result: await this.provider[method](prompt, options), provider: this.provider };
+    } catch (error) {
+      if (!this.fallback) throw error;
+      console.error(`❌ ${this.provider.name} AI request (${options.task}) failed, using ${this.fallback.name}:`, error.message);
+      return { result: await this.fallback[method](prompt, options), provider: this.fallback };
+    }
+  }
+
+  /**
+   * Request JSON matching a schema, validating (and repairing) each reply
+   * Unusable replies are retried with the validation errors appended to the prompt, up to
+   * JSON_RETRIES times; then the fallback provider gets one try
+   *
+   * @param {string} prompt - Prompt for model-backed providers
+   * @param {Object} options - { task, input, schema, validate } (validate: see services/aiSchemas.js)
+   * @returns {Promise<Object>} { value, provider, attempts, repaired }
+   */
+  async requestJSON(prompt, { task, input, schema, validate }) {
+    const attempt = async (provider, attemptPrompt) => {
+      let data;
+      try {
+        data = await provider.generateJSON(attemptPrompt, { task, input, schema });
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        return { value: null, errors: [`The reply was not valid JSON (${error.message})`] };
+      }
+      return validate(data);
+    };
+
+    let currentPrompt = prompt;
+    let errors = [];
+
+    try {
+      for (let attempts = 1; attempts <= JSON_RETRIES + 1; attempts++) {
+        const result = await attempt(this.provider, currentPrompt);
+        if (result.value) {
+          if (result.errors.length > 0) {
+            console.log(`🔧 Repaired ${task} output from ${this.provider.name}: ${result.errors.join('; ')}`);
+          }
+          return {
+            value: result.value,
+            provider: this.provider,
+            attempts,
+            repaired: result.repaired || result.errors.length > 0
+          };
+        }
+
+        errors = result.errors;
+        console.log(`⚠️ Unusable ${task} output from ${this.provider.name} (attempt ${attempts}): ${errors.join('; ')}`);
+        currentPrompt = `${prompt}\n\nYour previous reply could not be used: ${errors.join('; ')}.\nReply again with corrected JSON only.`;
+      }
+    } catch (error) {
+      if (!this.fallback) throw error;
+      console.error(`❌ ${this.provider.name} AI request (${task}) failed, using ${this.fallback.name}:`, error.message);
+      errors = [error.message];
+    }
+
+    if (this.fallback) {
+      const result = await attempt(this.fallback, prompt);
+      if (result.value) {
+        return { value: result.value, provider: this.fallback, attempts: 1, repaired: result.repaired };
+      }
+      errors = result.errors;
+    }
+
+    throw new Error(`No valid ${task} output from the AI provider: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Generate Response Suggestions for Feedback
+   *
+   * @param {Object} feedback - The feedback object
+   * @returns {Array} Suggestions as stored in Feedback.aiSuggestions
+   */
+  async generateResponseSuggestions(feedback) {
+    try {
+      const { customerName, subject, message, rating, category } = feedback;
+
+      // Create a detailed prompt for better responses
+      const prompt = `
+You are a professional customer service representative. Generate 3 helpful response suggestions for the following customer feedback:
+
+Customer: ${customerName}
+Subject: ${subject}
+Message: ${message}
+Rating: ${rating}/5 stars
+Category: ${category}
+
+Requirements for responses:
+1. Be professional and empathetic
+2. Address the specific concerns mentioned
+3. Provide actionable solutions when possible
+4. Keep responses between 100-200 words each
+5. Maintain a positive, helpful tone
+
+Generate 3 different response approaches, one per tone:
+- formal: formal and detailed response
+- friendly: friendly and conversational response
+- solution-focused: solution-focused brief response
+
+For each response also give:
+- addressedConcerns: the customer's specific concerns that the response addresses, in a few words each
+- suggestedStatus: the status the feedback should move to once this response is sent
+- suggestedPriority: the priority this feedback deserves
+`;
+
+      const { value, provider, attempts, repaired } = await this.requestJSON(prompt, {
+        task: 'response_suggestions',
+        input: { customerName, subject, message, rating, category },
+        schema: RESPONSE_SUGGESTIONS_SCHEMA,
+        validate: validateResponseSuggestions
+      });
+
+      const generatedAt = new Date();
+      const suggestions = value.map(({ text, ...fields }) => ({
+        suggestion: text,
+        ...fields,
+        confidence: scoreSuggestion({ text, ...fields }, feedback, { attempts, repaired, provider }),
+        provider: provider.name,
+        model: provider.model,
+        generatedAt
+      }));
+
+      console.log(`🎯 Generated ${suggestions.length} suggestions for feedback: ${subject} (${provider.name}, attempt ${attempts}${repaired ? ', repaired' : ''})`);
+      return suggestions;
+
+    } catch (error) {
+      console.error('❌ Error generating response suggestions:', error);
+      throw new Error('Failed to generate AI response suggestions');
+    }
+  }
+
+  /**
+   * Generate Answer for Customer Question
+   * Knowledge base articles (services/knowledgeBaseService.js) are numbered in the prompt and
+   * the model is asked to cite them as [n]. Past resolutions are other customers' tickets, so
+   * they are background only: never numbered, cited or returned to the caller.
+   *
+   * @param {string} question - Customer's question
+   * @param {string} context - Additional context (optional)
+   * @param {Array} sources - Knowledge base matches, best first (optional)
+   * @returns {Object} { answer, provider, model, citations } (citations are articles only)
+   */
+  async generateAnswer(question, context = '', sources = []) {
+    try {
+      const articles = sources.filter(source => source.source === 'article');
+      const resolutions = sources.filter(source => source.source === 'resolution');
+
+      const knowledge = articles
+        .map((source, i) => `[${i + 1}] ${source.title}\n${source.text}`)
+        .join('\n\n');
+      const background = resolutions
+        .map(source => `- ${source.text}`)
+        .join('\n');
+
+      const prompt = `
+You are a helpful customer service AI assistant. Answer the following customer question professionally and helpfully:
+
+Question: ${question}
+
+${context ? `Additional Context: ${context}` : ''}
+
+${knowledge ? `Knowledge base (our help articles):\n\n${knowledge}\n` : ''}
+${background ? `How our team answered similar past requests (background only):\n${background}\n` : ''}
+Requirements:
+1. Provide a clear, helpful answer
+2. Be professional but friendly
+3. If you don't know something, say so honestly
+4. Keep the response concise (under 300 words)
+5. Include actionable steps when applicable
+${knowledge ? `6. Base your answer on the knowledge base where it is relevant, and cite the articles you use as [1], [2], ...
+7. Ignore knowledge base articles that don't answer the question, and never invent policies they don't state
+` : ''}${background ? `8. Past requests may guide your answer, but never cite or quote them, and never repeat names, order numbers, addresses or other details from them
+` : ''}
+Answer:
+`;
+
+      const { result, provider } = await this.run('generateText', prompt, {
+        task: 'answer',
+        input: { question, context, sources: articles }
+      });
+      const answer = result.trim();
+
+      // Cite the articles the answer refers to - or every article given, if it refers to none
+      const referenced = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+      const citations = articles
+        .map((source, i) => ({ number: i + 1, ...source }))
+        .filter(source => referenced.size === 0 || referenced.has(source.number));
+
+      console.log(`💬 Generated answer for question: ${question.substring(0, 50)}... (${provider.name}, ${articles.length} article(s), ${resolutions.length} past resolution(s))`);
+      return { answer, provider: provider.name, model: provider.model, citations };
+
+    } catch (error) {
+      console.error('❌ Error generating answer:', error);
+      throw new Error('Failed to generate AI answer');
+    }
+  }
+
+  /**
+   * Analyze Feedback Sentiment
+   *
+   * @param {string} message - Feedback message
+   * @returns {Object} Sentiment analysis result
+   */
+  async analyzeSentiment(message) {
+    try {
+      const prompt = `
+Analyze the sentiment of this customer feedback message and provide a JSON response:
+
+Message: "${message}"
+
+Return a JSON object with:
+{
+  "sentiment": "positive" | "negative" | "neutral",
+  "score": -1.0 (very negative) to 1.0 (very positive),
+  "confidence": 0.0-1.0,
+  "emotions": ["emotion1", "emotion2"],
+  "urgency": "low" | "medium" | "high",
+  "keyPoints": ["point1", "point2"]
+}
+`;
+
+      const { result: analysis, provider } = await this.run('generateJSON', prompt, {
+        task: 'sentiment',
+        input: { message }
+      });
+
+      console.log(`📊 Analyzed sentiment: ${analysis.sentiment} (${analysis.confidence}, ${provider.name})`);
+      return analysis;
+
+    } catch (error) {
+      console.error('❌ Error analyzing sentiment:', error);
+      // Return default analysis if AI fails (flagged so it isn't stored as a real result)
+      return {
+        unavailable: true,
+        sentiment: 'neutral',
+        confidence: 0.5,
+        emotions: ['unknown'],
+        urgency: 'medium',
+        keyPoints: ['Requires manual review']
+      };
+    }
+  }
+
+  /**
+   * Triage Feedback: sentiment, topics, best-fitting category and priority
+   *
+   * @param {Object} feedback - The feedback object
+   * @returns {Object} { sentimentLabel, sentimentScore, topics, category, priority, reason, provider, model }
+   */
+  async triageFeedback(feedback) {
+    const { subject, message, rating, category } = feedback;
+
+    const prompt = `
+You are triaging customer feedback for a support team. Analyze this feedback:
+
+Subject: ${subject}
+Message: ${message}
+Rating: ${rating}/5 stars
+Category chosen by the customer: ${category}
+
+Return:
+- sentiment: label (positive, neutral or negative) and score from -1 (very negative) to 1 (very positive)
+- topics: up to 5 short topics the feedback is about, in one or two lowercase words each (e.g. "billing", "mobile app")
+- category: the category that fits the feedback best - it may differ from the customer's choice
+- priority: low, medium, high or urgent - urgent only for outages, security, data loss or money taken in error
+- reason: one sentence explaining the priority
+`;
+
+    const { value, provider, attempts, repaired } = await this.requestJSON(prompt, {
+      task: 'triage',
+      input: { subject, message, rating, category },
+      schema: TRIAGE_SCHEMA,
+      validate: validateTriage
+    });
+
+    console.log(`🏷️ Triaged feedback: ${subject} → ${value.priority}, ${value.sentimentLabel} (${provider.name}, attempt ${attempts}${repaired ? ', repaired' : ''})`);
+    return { ...value, provider: provider.name, model: provider.model };
+  }
+
+  /**
+   * Health Check for the active provider (the fallback isn't counted)
+   *
+   * @returns {boolean} Service health status
+   */
+  async healthCheck() {
+    try {
+      return await this.provider.healthCheck();
+    } catch (error) {
+      console.error(`❌ AI provider (${this.provider.name}) health check failed:`, error.message);
+      return false;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new AIService();
@@ -0,0 +1,93 @@
+/**
+ * API Key Service
+ * Issues, verifies and revokes API keys
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const tokenService = require('./tokenService');
+const { KEY_PREFIX, getScopePermissions } = require('../config/apiKeys');
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * API Key Service Class
+ */
+class ApiKeyService {
+  /**
+   * Create a key; the raw key is returned once and never stored
+   *
+   * @param {Object} params - { name, scopes, rateLimitPerMinute, expiresAt }
+   * @param {Object} creator - Admin user issuing the key
+   * @returns {Promise<Object>} { apiKey, rawKey }
+   */
+  async create({ name, scopes, rateLimitPerMinute, expiresAt }, creator) {
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      scopes,
+      rateLimitPerMinute,
+      expiresAt: expiresAt || undefined,
+      keyHash: tokenService.hashToken(rawKey),
+      prefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+      createdBy: creator._id
+    });
+
+    return { apiKey, rawKey };
+  }
+
+  /**
+   * Look up an active key by its raw value and record its use
+   *
+   * @param {string} rawKey - Key from the request
+   * @param {string} ip - Caller IP
+   * @returns {Promise<Object|null>} ApiKey document, or null if unknown, revoked or expired
+   */
+  async authenticate(rawKey, ip) {
+    if (!rawKey.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: tokenService.hashToken(rawKey) });
+    if (!apiKey || !apiKey.isActive) return null;
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } }, { timestamps: false })
+        .catch(error => console.error('❌ Failed to record API key use:', error.message));
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * The req.user stand-in for requests made with a key
+   * Permissions come from the key's scopes (see hasPermission in config/permissions.js)
+   *
+   * @param {Object} apiKey - ApiKey document
+   * @returns {Object} Principal with _id, username, name, role and permissions
+   */
+  toPrincipal(apiKey) {
+    return {
+      _id: apiKey._id,
+      username: `api-key:${apiKey.prefix}`,
+      name: `API key "${apiKey.name}"`,
+      role: 'api_key',
+      permissions: getScopePermissions(apiKey.scopes),
+      isApiKey: true
+    };
+  }
+
+  /**
+   * Revoke a key (it stays listed as revoked)
+   */
+  async revoke(apiKey, actor) {
+    if (apiKey.revokedAt) return apiKey;
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = actor._id;
+    return apiKey.save();
+  }
+}
+
+// Export a singleton instance
+module.exports = new ApiKeyService();
@@ -0,0 +1,87 @@
+/**
+ * Audit Service
+ * Records who changed what on a feedback item, and when
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Normalize values so ObjectIds and Dates compare and store cleanly
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value && typeof value === 'object' && value._id) return String(value._id);
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Audit Service Class
+ */
+class AuditService {
+  /**
+   * Capture the current values of some fields on a document
+   *
+   * @param {Object} doc - Feedback document
+   * @param {Array} fields - Field names
+   * @returns {Object} field → value
+   */
+  snapshot(doc, fields) {
+    return fields.reduce((values, field) => {
+      values[field] = normalize(doc.get ? doc.get(field) : doc[field]);
+      return values;
+    }, {});
+  }
+
+  /**
+   * List the fields whose value differs between two snapshots
+   *
+   * @param {Object} before - Snapshot before the change
+   * @param {Object} after - Snapshot after the change
+   * @returns {Array} [{ field, before, after }]
+   */
+  diff(before, after) {
+    return Object.keys(after)
+      .filter(field => before[field] !== after[field])
+      .map(field => ({ field, before: before[field], after: after[field] }));
+  }
+
+  /**
+   * Append an entry to the audit log
+   * Failures are logged but never break the request that made the change
+   *
+   * @param {Object} entry
+   * @param {Object} entry.feedback - Feedback document (or { _id })
+   * @param {Object} entry.actor - User who made the change
+   * @param {string} entry.action - One of AuditLog.ACTIONS
+   * @param {Array} entry.changes - [{ field, before, after }]
+   * @param {Object} entry.meta - Optional extra context
+   */
+  async record({ feedback, actor, action, changes = [], meta }) {
+    try {
+      await AuditLog.create({
+        feedbackId: feedback._id,
+        actor: actor?._id,
+        actorName: actor?.name,
+        actorRole: actor?.role,
+        action,
+        changes,
+        meta
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write audit log (${action}) for feedback ${feedback._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Full history for a feedback item, oldest first
+   *
+   * @param {string} feedbackId - Feedback ID
+   * @returns {Promise<Array>} Audit log entries
+   */
+  getHistory(feedbackId) {
+    return AuditLog.find({ feedbackId }).sort({ createdAt: 1 });
+  }
+}
+
+// Export a singleton instance
+module.exports = new AuditService();
@@ -0,0 +1,164 @@
+/**
+ * Business Calendar Service
+ * Measures and adds time in working hours (weekdays, holidays, timezone aware)
+ */
+
+const BUSINESS_HOURS = require('../config/businessHours');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Safety net for misconfigured calendars (e.g. no workdays at all)
+const MAX_DAYS = 3660;
+
+/**
+ * Business Calendar Class
+ */
+class BusinessCalendar {
+  constructor(config = BUSINESS_HOURS) {
+    this.config = config;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: config.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  /**
+   * Wall-clock parts of an instant in the business timezone
+   */
+  getLocalParts(date) {
+    const parts = {};
+    this.formatter.formatToParts(date).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+  }
+
+  /**
+   * UTC instant for a local wall-clock time in the business timezone
+   */
+  toInstant({ year, month, day }, minutes) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    // Correct by the zone offset, then once more in case the guess crossed a DST change
+    let instant = guess - this.getOffset(guess);
+    instant = guess - this.getOffset(instant);
+    return instant;
+  }
+
+  getOffset(instant) {
+    const p = this.getLocalParts(new Date(instant));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+  }
+
+  nextDay({ year, month, day }) {
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+  }
+
+  isWorkingDay({ year, month, day }) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const isoDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return this.config.workdays.includes(weekday) && !this.config.holidays.includes(isoDate);
+  }
+
+  /**
+   * Working window [open, close] for a local date, or null on days off
+   */
+  getWindow(localDate) {
+    if (!this.isWorkingDay(localDate)) return null;
+    return [
+      this.toInstant(localDate, this.config.startMinutes),
+      this.toInstant(localDate, this.config.endMinutes)
+    ];
+  }
+
+  /**
+   * Readable calendar settings, e.g. for labelling dashboards
+   */
+  getSummary() {
+    const formatMinutes = (minutes) =>
+      `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    return {
+      timezone: this.config.timezone,
+      start: formatMinutes(this.config.startMinutes),
+      end: formatMinutes(this.config.endMinutes),
+      workdays: this.config.workdays,
+      holidays: this.config.holidays
+    };
+  }
+
+  /**
+   * Working milliseconds between two instants
+   *
+   * @param {Date} start - Start time
+   * @param {Date} end - End time
+   * @returns {number}
+   */
+  businessMsBetween(start, end) {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    if (!(to > from)) return 0;
+
+    let localDate = this.getLocalParts(new Date(from));
+    let total = 0;
+
+    for (let i = 0; i < MAX_DAYS; i++) {
+      const window = this.getWindow(localDate);
+      if (window) {
+        if (window[0] >= to) break;
+        total += Math.max(0, Math.min(window[1], to) - Math.max(window[0], from));
+      } else if (this.toInstant(localDate, 0) >= to) {
+        break;
+      }
+      localDate = this.nextDay(localDate);
+    }
+    return total;
+  }
+
+  /**
+   * Working hours between two instants
+   */
+  businessHoursBetween(start, end) {
+    return this.businessMsBetween(start, end) / HOUR_MS;
+  }
+
+  /**
+   * Move forward by a number of working hours
+   *
+   * @param {Date} start - Start time
+   * @param {number} hours - Working hours to add
+   * @returns {Date}
+   */
+  addBusinessHours(start, hours) {
+    const from = new Date(start).getTime();
+    let remaining = hours * HOUR_MS;
+    let localDate = this.getLocalParts(new Date(from));
+
+    for (let i = 0; i < MAX_DAYS; i++) {
+      const window = this.getWindow(localDate);
+      if (window) {
+        const windowStart = Math.max(window[0], from);
+        if (windowStart < window[1]) {
+          const available = window[1] - windowStart;
+          if (remaining <= available) return new Date(windowStart + remaining);
+          remaining -= available;
+        }
+      }
+      localDate = this.nextDay(localDate);
+    }
+
+    // No working time configured - fall back to wall-clock time
+    return new Date(from + hours * HOUR_MS);
+  }
+}
+
+// Export a singleton instance (and the class for custom calendars)
+module.exports = new BusinessCalendar();
+module.exports.BusinessCalendar = BusinessCalendar;
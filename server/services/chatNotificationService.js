@@ -0,0 +1,223 @@
+/**
+ * Chat Notification Service
+ * Posts alerts for urgent or unhappy feedback to Slack / Teams incoming webhooks
+ * Alerts go through the job queue (one 'chat.alert' job per channel) so failed posts are retried
+ */
+
+const Feedback = require('../models/Feedback');
+const jobQueue = require('./jobQueue');
+const { PermanentJobError } = require('./jobQueue');
+const { MODE, ENABLED_RULES, getChannels, getMatchingRules } = require('../config/chatNotifications');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Slack mrkdwn treats &, < and > as control characters
+const escapeSlack = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const truncate = (value = '', length) =>
+  value.length > length ? `${value.slice(0, length - 1)}…` : value;
+
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+/**
+ * Message builders per chat format
+ * Each receives { heading, feedback, rules, link } and returns the JSON body
+ */
+const formatters = {
+  slack: ({ heading, feedback, rules, link }) => ({
+    text: `${escapeSlack(heading)}: ${escapeSlack(feedback.subject)}`,    // Notification / fallback text
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${escapeSlack(heading)}*\n*<${link}|${escapeSlack(feedback.subject)}>*\n${escapeSlack(truncate(feedback.message, 500))}`
+        }
+      },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Customer*\n${escapeSlack(feedback.customerName)}` },
+          { type: 'mrkdwn', text: `*Rating*\n${stars(feedback.rating)}` },
+          { type: 'mrkdwn', text: `*Priority*\n${feedback.priority}` },
+          { type: 'mrkdwn', text: `*Category*\n${feedback.category}` }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Matched: ${rules.map(rule => rule.label).join(' · ')}` }]
+      }
+    ]
+  }),
+
+  // Office 365 connector card (accepted by Teams incoming webhooks)
+  teams: ({ heading, feedback, rules, link }) => ({
+    '@type': 'MessageCard',
+    '@context': 'http://schema.org/extensions',
+    summary: `${heading}: ${feedback.subject}`,
+    themeColor: feedback.priority === 'urgent' || feedback.rating <= 2 ? 'DC2626' : 'F59E0B',
+    title: heading,
+    sections: [
+      {
+        activityTitle: feedback.subject,
+        activitySubtitle: `from ${feedback.customerName}`,
+        text: truncate(feedback.message, 500),
+        facts: [
+          { name: 'Rating', value: stars(feedback.rating) },
+          { name: 'Priority', value: feedback.priority },
+          { name: 'Category', value: feedback.category },
+          { name: 'Matched', value: rules.map(rule => rule.label).join(', ') }
+        ]
+      }
+    ],
+    potentialAction: [
+      {
+        '@type': 'OpenUri',
+        name: 'Open in Feedback Tracker',
+        targets: [{ os: 'default', uri: link }]
+      }
+    ]
+  })
+};
+
+/**
+ * Chat Notification Service Class
+ */
+class ChatNotificationService {
+  constructor() {
+    this.clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    this.stubUrl = process.env.CHAT_STUB_URL || `http://localhost:${process.env.PORT || 5000}/api/chat-stub`;
+    this.channels = getChannels(this.stubUrl);
+
+    if (this.channels.length > 0) {
+      console.log(`💬 Chat notifications enabled (${MODE}: ${this.channels.map(channel => channel.format).join(', ')})`);
+    }
+  }
+
+  /**
+   * Mode, channels (URLs masked) and rules - for the admin settings view
+   */
+  getSummary() {
+    return {
+      mode: MODE,
+      channels: this.channels.map(({ format, url }) => ({
+        format,
+        url: MODE === 'test' ? url : url.replace(/^(https?:\/\/[^/]+\/).*$/, '$1…')
+      })),
+      rules: ENABLED_RULES.map(({ id, label, field }) => ({ id, label, field }))
+    };
+  }
+
+  /**
+   * Alert on new feedback that matches any rule
+   */
+  feedbackCreated(feedback) {
+    const rules = getMatchingRules(feedback);
+    if (rules.length === 0) return Promise.resolve([]);
+    return this.enqueue(feedback, rules, '🚨 New feedback needs attention');
+  }
+
+  /**
+   * Alert when a priority change newly matches a priority rule
+   *
+   * @param {Object} feedback - Feedback document (already updated)
+   * @param {string} previousPriority - Priority before the change
+   */
+  priorityChanged(feedback, previousPriority) {
+    const rules = getMatchingRules(feedback, 'priority');
+    const alreadyMatched = getMatchingRules({ ...feedback.toObject(), priority: previousPriority }, 'priority');
+    if (rules.length === 0 || alreadyMatched.length > 0) return Promise.resolve([]);
+    return this.enqueue(feedback, rules, `⬆️ Feedback raised to ${feedback.priority}`);
+  }
+
+  /**
+   * Queue one alert job per configured channel
+   *
+   * @returns {Promise<Array>} Queued jobs
+   */
+  enqueue(feedback, rules, heading) {
+    const ruleIds = rules.map(rule => rule.id);
+    return Promise.all(this.channels.map(({ format }) => jobQueue.enqueue(
+      'chat.alert',
+      { feedbackId: feedback._id, format, heading, ruleIds },
+      { feedbackId: feedback._id }
+    )));
+  }
+
+  /**
+   * Run a 'chat.alert' job: post the alert with the feedback as it is now
+   * Throws when the post fails so the job is retried
+   *
+   * @param {Object} payload - { feedbackId, format, heading, ruleIds }
+   * @returns {Promise<Object>} Job result
+   */
+  async deliver({ feedbackId, format, heading, ruleIds = [] }) {
+    const channel = this.channels.find(candidate => candidate.format === format);
+    if (!channel) {
+      throw new PermanentJobError(`No ${format} channel is configured`);
+    }
+
+    const feedback = await Feedback.findById(feedbackId);
+    if (!feedback) return { skipped: 'Feedback was deleted' };
+
+    const rules = ENABLED_RULES.filter(rule => ruleIds.includes(rule.id));
+    const [result] = await this.post(feedback, rules, heading, [channel]);
+    if (!result.ok) {
+      throw new Error(result.error);
+    }
+    return { status: result.status };
+  }
+
+  /**
+   * Post a sample alert to every channel and return the results
+   */
+  sendTest(actor) {
+    const sample = {
+      _id: 'test',
+      subject: 'Test alert from Feedback Tracker',
+      message: `Sent by ${actor.name} to check the chat integration. No action needed.`,
+      customerName: 'Test Customer',
+      rating: 1,
+      priority: 'urgent',
+      category: 'billing'
+    };
+    return this.post(sample, ENABLED_RULES, '🧪 Test alert');
+  }
+
+  /**
+   * Post one alert to each channel (all configured channels by default)
+   * Never throws - failures are reported in the results
+   *
+   * @returns {Promise<Array>} [{ format, ok, status, error }]
+   */
+  async post(feedback, rules, heading, channels = this.channels) {
+    const link = `${this.clientUrl}/admin?feedback=${feedback._id}`;
+
+    return Promise.all(channels.map(async ({ format, url }) => {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(formatters[format]({ heading, feedback, rules, link })),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        console.log(`💬 Posted ${format} alert: ${feedback.subject}`);
+        return { format, ok: true, status: response.status };
+      } catch (error) {
+        const reason = error.cause?.message || error.message;
+        console.error(`❌ Failed to post ${format} alert:`, reason);
+        return { format, ok: false, error: reason };
+      }
+    }));
+  }
+}
+
+// Export a singleton instance
+module.exports = new ChatNotificationService();
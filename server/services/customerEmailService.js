@@ -0,0 +1,110 @@
+/**
+ * Customer Email Service
+ * Emails customers about their feedback, honouring per-user opt-outs
+ * Emails are sent by 'email.customer' jobs, so a failed send is retried (see config/jobs.js)
+ *
+ * Environment:
+ * - FEEDBACK_EMAILS_ENABLED  "false" turns all customer emails off (default on)
+ * - FEEDBACK_ACK_EMAILS      "true" also acknowledges new feedback (default off)
+ */
+
+const Feedback = require('../models/Feedback');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const jobQueue = require('./jobQueue');
+const { PermanentJobError } = require('./jobQueue');
+
+// Email kind -> User.emailPreferences key, mail template and sender
+const EMAIL_KINDS = {
+  acknowledgement: {
+    subject: (feedback) => `We received your feedback: ${feedback.subject}`,
+    template: 'feedback_acknowledgement',
+    send: (feedback) => mailService.sendFeedbackAcknowledgement(feedback)
+  },
+  response: {
+    subject: (feedback) => `Re: ${feedback.subject}`,
+    template: 'feedback_response',
+    send: (feedback, { body }) => mailService.sendFeedbackResponse(feedback, body)
+  },
+  resolution: {
+    subject: (feedback) => `Resolved: ${feedback.subject}`,
+    template: 'feedback_resolved',
+    send: (feedback) => mailService.sendFeedbackResolved(feedback)
+  }
+};
+
+/**
+ * Customer Email Service Class
+ */
+class CustomerEmailService {
+  constructor() {
+    this.enabled = process.env.FEEDBACK_EMAILS_ENABLED !== 'false';
+    this.acknowledgementsEnabled = process.env.FEEDBACK_ACK_EMAILS === 'true';
+  }
+
+  /**
+   * Find the account whose preferences apply to a feedback item
+   */
+  async findRecipientAccount(feedback) {
+    if (feedback.userId) {
+      const owner = await User.findById(feedback.userId).select('emailPreferences');
+      if (owner) return owner;
+    }
+    return User.findOne({ email: feedback.customerEmail }).select('emailPreferences');
+  }
+
+  /**
+   * Queue one kind of email about a feedback item
+   * Never throws - a failure to queue is logged by the job queue
+   *
+   * @param {string} kind - 'acknowledgement', 'response' or 'resolution'
+   * @param {Object} feedback - Feedback document
+   * @param {Object} data - Extra template data, e.g. { body } for responses
+   * @returns {Promise<Object|null>} The queued job, or null if nothing needs sending
+   */
+  async send(kind, feedback, data = {}) {
+    if (!this.enabled || !EMAIL_KINDS[kind] || !feedback.customerEmail) return null;
+    if (kind === 'acknowledgement' && !this.acknowledgementsEnabled) return null;
+
+    return jobQueue.enqueue('email.customer', { kind, feedbackId: feedback._id, data }, { feedbackId: feedback._id });
+  }
+
+  /**
+   * Run an 'email.customer' job: check opt-outs and send the email
+   * Send failures are recorded in the mail log and thrown, so the job is retried
+   *
+   * @param {Object} payload - { kind, feedbackId, data }
+   * @returns {Promise<Object>} Job result
+   */
+  async deliver({ kind, feedbackId, data = {} }) {
+    const emailKind = EMAIL_KINDS[kind];
+    if (!emailKind) {
+      throw new PermanentJobError(`Unknown email kind "${kind}"`);
+    }
+
+    const feedback = await Feedback.findById(feedbackId);
+    if (!feedback) return { skipped: 'Feedback was deleted' };
+
+    const account = await this.findRecipientAccount(feedback);
+
+    if (account?.emailPreferences?.[kind] === false) {
+      await mailService.logSkipped({
+        to: feedback.customerEmail,
+        subject: emailKind.subject(feedback),
+        reason: 'opted_out',
+        template: emailKind.template,
+        userId: account._id,
+        feedbackId: feedback._id
+      });
+      return { skipped: 'opted_out' };
+    }
+
+    await feedback.ensureReplyToken();
+    await emailKind.send(feedback, data);
+    return { sent: true, to: feedback.customerEmail };
+  }
+}
+
+// Export a singleton instance
+module.exports = new CustomerEmailService();
+module.exports.EMAIL_KINDS = Object.keys(EMAIL_KINDS);
@@ -0,0 +1,141 @@
+/**
+ * Event Service
+ * Pushes feedback changes to connected browsers over Server-Sent Events
+ *
+ * Scoping: staff with feedback:read_all receive every event; customers only
+ * receive events for their own feedback. Payloads go through toJSONFor, so
+ * internal messages never reach customers.
+ */
+
+const { hasPermission } = require('../config/permissions');
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const EVENT_TYPES = ['feedback.created', 'feedback.updated', 'feedback.responded', 'feedback.deleted'];
+
+/**
+ * Event Service Class
+ */
+class EventService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Turn a request into an event stream for the authenticated user
+   *
+   * @param {Object} req - Express request (req.user set by requireAuth)
+   * @param {Object} res - Express response, kept open
+   * @param {Object} options - { expiresAt } closes the stream when the access token expires
+   */
+  subscribe(req, res, { expiresAt } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'    // Disable proxy buffering (nginx)
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { user: req.user, res, expiryTimer: null };
+    this.clients.add(client);
+
+    // The client reconnects with a refreshed token, which also picks up role changes
+    if (expiresAt) {
+      client.expiryTimer = setTimeout(() => res.end(), Math.max(0, expiresAt - Date.now()));
+    }
+
+    req.on('close', () => {
+      clearTimeout(client.expiryTimer);
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+
+    this.send(client, 'connected', { userId: req.user._id });
+    this.startHeartbeat();
+    console.log(`📡 Event stream opened for ${req.user.username} (${this.clients.size} connected)`);
+  }
+
+  /**
+   * Whether a user may see events about a feedback item
+   */
+  canReceive(user, feedback) {
+    if (hasPermission(user, 'feedback:read_all')) return true;
+    return Boolean(feedback.userId) && feedback.userId.toString() === user._id.toString();
+  }
+
+  /**
+   * Broadcast a feedback event to every client allowed to see it
+   *
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} feedback - Feedback document
+   * @param {Object} options - { staffOnly } for changes customers can't see (e.g. internal messages)
+   */
+  publishFeedback(type, feedback, { staffOnly = false } = {}) {
+    if (!feedback || this.clients.size === 0) return;
+
+    try {
+      this.clients.forEach(client => {
+        if (staffOnly && !hasPermission(client.user, 'feedback:read_all')) return;
+        if (!this.canReceive(client.user, feedback)) return;
+
+        const payload = type === 'feedback.deleted'
+          ? { id: feedback._id }
+          : feedback.toJSONFor(client.user);
+        this.send(client, type, { feedback: payload });
+      });
+    } catch (error) {
+      // Never fail the request that triggered the event
+      console.error('❌ Failed to publish event:', error.message);
+    }
+  }
+
+  /**
+   * Send an event to every open stream of one user (e.g. a new notification)
+   *
+   * @param {string|Object} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  publishToUser(userId, event, data) {
+    const recipient = userId.toString();
+    this.clients.forEach(client => {
+      if (client.user._id.toString() === recipient) this.send(client, event, data);
+    });
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * End every open stream (used on shutdown so server.close() can finish)
+   */
+  closeAll() {
+    this.clients.forEach(client => {
+      clearTimeout(client.expiryTimer);
+      client.res.end();
+    });
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+// Export a singleton instance
+module.exports = new EventService();
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,218 @@
+/**
+ * Inbound Email Service
+ * Turns customer email replies into messages on the matching feedback conversation
+ */
+
+const { simpleParser } = require('mailparser');
+const Feedback = require('../models/Feedback');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const { ADDRESS_TOKEN_PATTERN, SUBJECT_TOKEN_PATTERN } = require('../config/inboundEmail');
+
+// Same limit as messageSchema.body
+const MAX_BODY_LENGTH = 2000;
+
+// A line that starts the quoted original or a signature - everything from here on is dropped
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/i,                          // Gmail / Apple Mail
+  /^Am .+schrieb .+:\s*$/i,                     // German clients
+  /^Le .+a écrit\s*:\s*$/i,                     // French clients
+  /^-{2,}\s*Original Message\s*-{2,}/i,         // Outlook
+  /^_{10,}\s*$/,                                // Outlook (underscore rule)
+  /^Sent from my /i,                            // Mobile signatures
+  /^-- ?$/                                      // Standard signature delimiter
+];
+
+// Attribution lines clients wrap onto a second line ("On Mon, 4 Mar 2024 at 10:00, Support <" /
+// "support@example.com> wrote:") - matched against both lines joined, and only with a date in them
+const WRAPPED_QUOTE_MARKERS = QUOTE_MARKERS.slice(0, 3);
+
+// Outlook quotes the original under a header block; "From:" only counts as its start when another
+// header line follows, or a separator line comes right before it
+const FROM_HEADER = /^From:\s.+/i;
+const QUOTE_HEADER_FIELDS = /^(Sent|Date|To|Cc|Subject):\s/i;
+const SEPARATOR = /^([-_=*]\s*){5,}$/;
+
+/**
+ * Inbound Email Service Class
+ */
+class InboundEmailService {
+  /**
+   * Find the reply token in recipient headers, falling back to the subject tag
+   *
+   * @param {Object} parsed - mailparser result
+   * @returns {string|null}
+   */
+  extractToken(parsed) {
+    const recipientHeaders = ['to', 'cc', 'delivered-to', 'x-original-to', 'envelope-to']
+      .map(name => {
+        const value = parsed.headers.get(name);
+        return value?.text || value?.value?.map?.(address => address.address).join(' ') || value || '';
+      })
+      .join(' ');
+
+    const addressMatch = ADDRESS_TOKEN_PATTERN.exec(String(recipientHeaders));
+    if (addressMatch) return addressMatch[1].toLowerCase();
+
+    const subjectMatch = SUBJECT_TOKEN_PATTERN.exec(parsed.subject || '');
+    return subjectMatch ? subjectMatch[1].toLowerCase() : null;
+  }
+
+  /**
+   * Keep only the new part of a reply: drop quoted lines, the quoted original and signatures
+   *
+   * @param {string} text - Plain-text body
+   * @returns {string}
+   */
+  stripQuotedText(text = '') {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const kept = [];
+
+    const startsQuote = (index) => {
+      const trimmed = lines[index].trim();
+      if (QUOTE_MARKERS.some(pattern => pattern.test(trimmed))) return true;
+
+      const next = (lines[index + 1] || '').trim();
+      const joined = `${trimmed} ${next}`;
+      if (/\d/.test(joined) && WRAPPED_QUOTE_MARKERS.some(pattern => pattern.test(joined))) return true;
+
+      if (FROM_HEADER.test(trimmed)) {
+        const previous = (lines[index - 1] || '').trim();
+        return SEPARATOR.test(previous) ||
+          lines.slice(index + 1, index + 4).some(following => QUOTE_HEADER_FIELDS.test(following.trim()));
+      }
+      return false;
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+      if (startsQuote(index)) break;
+      if (lines[index].trim().startsWith('>')) continue;
+      kept.push(lines[index]);
+    }
+
+    // The separator above a quoted header block belongs to the quote
+    while (kept.length > 0 && (SEPARATOR.test(kept[kept.length - 1].trim()) || !kept[kept.length - 1].trim())) {
+      kept.pop();
+    }
+
+    return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Plain text for a message, converting HTML-only mail
+   */
+  getPlainText(parsed) {
+    if (parsed.text) return parsed.text;
+    if (!parsed.html) return '';
+
+    return parsed.html
+      .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')    // Quoted original in HTML replies
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Auto-replies and bounces must not land in the thread (and must not loop)
+   */
+  isAutomated(parsed) {
+    const autoSubmitted = String(parsed.headers.get('auto-submitted') || 'no').toLowerCase();
+    const precedence = String(parsed.headers.get('precedence') || '').toLowerCase();
+
+    return autoSubmitted !== 'no' ||
+      ['bulk', 'junk', 'list', 'auto_reply'].includes(precedence) ||
+      parsed.headers.has('x-autoreply') ||
+      parsed.headers.has('x-autorespond');
+  }
+
+  /**
+   * Parse a raw MIME message and append it to the matching feedback
+   *
+   * @param {Buffer|string} raw - Full RFC 822 message
+   * @returns {Promise<Object>} { status: 'appended' | 'ignored' | 'rejected', reason, feedbackId }
+   */
+  async ingest(raw) {
+    const parsed = await simpleParser(raw);
+    const sender = parsed.from?.value?.[0]?.address?.toLowerCase();
+
+    if (this.isAutomated(parsed)) {
+      return { status: 'ignored', reason: 'automated_message' };
+    }
+
+    const token = this.extractToken(parsed);
+    if (!token) {
+      return { status: 'rejected', reason: 'no_reply_token' };
+    }
+
+    const feedback = await Feedback.findOne({ replyToken: token });
+    if (!feedback) {
+      return { status: 'rejected', reason: 'unknown_reply_token' };
+    }
+
+    // Duplicate delivery (e.g. webhook retried after a timeout)
+    if (parsed.messageId && feedback.messages.some(message => message.emailMessageId === parsed.messageId)) {
+      return { status: 'ignored', reason: 'duplicate', feedbackId: feedback._id };
+    }
+
+    // Only the customer may reply into their thread
+    const owner = feedback.userId ? await User.findById(feedback.userId) : null;
+    const allowedSenders = [feedback.customerEmail, owner?.email].filter(Boolean).map(email => email.toLowerCase());
+    if (!sender || !allowedSenders.includes(sender)) {
+      console.log(`🚫 Inbound email from ${sender} does not match feedback ${feedback._id}`);
+      return { status: 'rejected', reason: 'sender_mismatch', feedbackId: feedback._id };
+    }
+
+    const body = this.stripQuotedText(this.getPlainText(parsed)).slice(0, MAX_BODY_LENGTH);
+    if (!body) {
+      return { status: 'ignored', reason: 'empty_reply', feedbackId: feedback._id };
+    }
+
+    // Customers always act as customers here, even if the account has since become staff
+    const author = {
+      _id: owner?._id,
+      name: owner?.name || feedback.customerName,
+      role: 'user'
+    };
+
+    const previousStatus = feedback.status;
+    let message;
+    try {
+      // The workflow's onCustomerReply rule reopens resolved feedback
+      message = feedback.addMessage(author, body, { source: 'email', emailMessageId: parsed.messageId });
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return { status: 'rejected', reason: 'conversation_closed', feedbackId: feedback._id };
+      }
+      throw error;
+    }
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: author,
+      action: 'message_added',
+      changes: previousStatus !== feedback.status
+        ? [{ field: 'status', before: previousStatus, after: feedback.status }]
+        : [],
+      meta: { messageId: message._id, internal: false, source: 'email' }
+    });
+    eventService.publishFeedback('feedback.updated', feedback);
+    await notificationService.customerReplied(feedback, author, body);
+    webhookService.statusChanged(feedback, previousStatus, author);
+
+    console.log(`📥 Email reply from ${sender} added to feedback: ${feedback.subject}`);
+    return { status: 'appended', feedbackId: feedback._id, messageId: message._id, feedbackStatus: feedback.status };
+  }
+}
+
+// Export a singleton instance
+module.exports = new InboundEmailService();
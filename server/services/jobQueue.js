@@ -0,0 +1,179 @@
+/**
+ * Job Queue Service
+ * Durable background jobs stored in MongoDB: enqueue, claim, complete, retry with backoff
+ * and dead-lettering (jobs/jobWorker.js runs them; types are listed in config/jobs.js)
+ *
+ * Jobs survive restarts: anything queued or mid-run when the process stops is picked up
+ * again once its lease expires.
+ */
+
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+const { JOB_TYPES, LEASE_MS, getRetryDelay } = require('../config/jobs');
+
+const LEASE_EXPIRED_ERROR = 'Lease expired - the worker stopped or took too long';
+
+/**
+ * Error for failures a retry can't fix - the job is dead-lettered straight away
+ */
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Job Queue Class
+ * Emits 'enqueued' (type) so a worker in the same process can start without waiting for its next poll
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * Add a job to the queue
+   * Never throws - a failure is logged and the caller carries on without the job
+   *
+   * @param {string} type - One of JOB_TYPE_NAMES
+   * @param {Object} payload - Plain data the handler needs (IDs, not documents)
+   * @param {Object} options - { feedbackId, delayMs }
+   * @returns {Promise<Object|null>} The job, or null if it couldn't be stored
+   */
+  async enqueue(type, payload = {}, { feedbackId, delayMs = 0 } = {}) {
+    try {
+      const job = await Job.create({
+        type,
+        payload,
+        feedbackId,
+        maxAttempts: JOB_TYPES[type]?.maxAttempts,
+        runAt: new Date(Date.now() + delayMs)
+      });
+
+      this.emit('enqueued', type);
+      return job;
+    } catch (error) {
+      console.error(`❌ Failed to enqueue ${type} job:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Take the oldest due job of the given types and mark it running
+   *
+   * @param {Array} types - Job types the worker has capacity for
+   * @param {string} workerId - Claiming worker
+   * @returns {Promise<Object|null>} Claimed job, or null if none are due
+   */
+  claim(types, workerId) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now }, type: { $in: types } },
+      {
+        $set: { status: 'running', workerId, startedAt: now, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Mark a running job as done
+   *
+   * @param {Object} job - Claimed job
+   * @param {*} result - Small summary stored on the job (optional)
+   */
+  complete(job, result) {
+    return Job.updateOne(
+      { _id: job._id, status: 'running', workerId: job.workerId },
+      { $set: { status: 'succeeded', finishedAt: new Date(), result, lockedUntil: null } }
+    );
+  }
+
+  /**
+   * Record a failed attempt: schedule a retry, or dead-letter the job when it is out of
+   * attempts or the error is permanent
+   *
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Why the attempt failed
+   * @returns {Promise<boolean>} true if the job was dead-lettered
+   */
+  async fail(job, error) {
+    const now = new Date();
+    const dead = error instanceof PermanentJobError || job.attempts >= job.maxAttempts;
+
+    await Job.updateOne(
+      { _id: job._id, status: 'running', workerId: job.workerId },
+      {
+        $set: dead
+          ? { status: 'dead', finishedAt: now, lastError: error.message, lockedUntil: null }
+          : { status: 'queued', runAt: new Date(now.getTime() + getRetryDelay(job.attempts)), lastError: error.message, lockedUntil: null },
+        $push: {
+          failures: { $each: [{ attempt: job.attempts, error: error.message, at: now }], $slice: -Job.MAX_ATTEMPT_LOG }
+        }
+      }
+    );
+    return dead;
+  }
+
+  /**
+   * Return running jobs whose lease ran out (crashed or stuck worker) to the queue,
+   * dead-lettering those that have no attempts left
+   *
+   * @returns {Promise<number>} Jobs recovered
+   */
+  async recoverExpired() {
+    const now = new Date();
+    const expired = { status: 'running', lockedUntil: { $lt: now } };
+    const failure = { $push: { failures: { $each: [{ error: LEASE_EXPIRED_ERROR, at: now }], $slice: -Job.MAX_ATTEMPT_LOG } } };
+
+    const [dead, requeued] = await Promise.all([
+      Job.updateMany(
+        { ...expired, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        { $set: { status: 'dead', finishedAt: now, lastError: LEASE_EXPIRED_ERROR, lockedUntil: null }, ...failure }
+      ),
+      Job.updateMany(
+        { ...expired, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+        { $set: { status: 'queued', runAt: now, lastError: LEASE_EXPIRED_ERROR, lockedUntil: null }, ...failure }
+      )
+    ]);
+    return dead.modifiedCount + requeued.modifiedCount;
+  }
+
+  /**
+   * Queue a dead-lettered job again with a fresh set of attempts
+   *
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} The job, or null if it isn't dead-lettered
+   */
+  async retry(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date(), finishedAt: null } },
+      { new: true }
+    );
+    if (job) this.emit('enqueued', job.type);
+    return job;
+  }
+
+  /**
+   * Job counts per type and status
+   *
+   * @returns {Promise<Object>} { [type]: { label, queued, running, succeeded, dead } }
+   */
+  async getStats() {
+    const counts = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const stats = {};
+    Object.entries(JOB_TYPES).forEach(([type, { label }]) => {
+      stats[type] = { label, ...Object.fromEntries(Job.STATUSES.map(status => [status, 0])) };
+    });
+    counts.forEach(({ _id, count }) => {
+      if (stats[_id.type]) stats[_id.type][_id.status] = count;
+    });
+    return stats;
+  }
+}
+
+// Export a singleton instance
+module.exports = new JobQueue();
+module.exports.PermanentJobError = PermanentJobError;
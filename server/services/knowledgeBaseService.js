@@ -0,0 +1,322 @@
+/**
+ * Knowledge Base Service
+ * Retrieval for the AI assistant: ranks knowledge base articles and past resolutions
+ * against a question (BM25, optionally blended with embedding similarity)
+ *
+ * The index is built in memory from MongoDB and reused for KB_REFRESH_MS, or until an
+ * article changes (see config/knowledgeBase.js).
+ */
+
+const Feedback = require('../models/Feedback');
+const KnowledgeArticle = require('../models/KnowledgeArticle');
+const aiService = require('./aiService');
+const {
+  TOP_K,
+  INCLUDE_RESOLVED,
+  MAX_RESOLVED,
+  REFRESH_MS,
+  EMBEDDINGS_ENABLED,
+  EMBEDDING_WEIGHT,
+  BM25,
+  TITLE_WEIGHT,
+  MIN_RELATIVE_SCORE,
+  RESOLVED_STATUSES,
+  MAX_PROMPT_CHARS,
+  EXCERPT_CHARS
+} = require('../config/knowledgeBase');
+
+// Texts per embedding request
+const EMBEDDING_BATCH_SIZE = 50;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'have',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so',
+  'that', 'the', 'their', 'them', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Lowercase words without stop words; plurals are folded ("returns" → "return")
+ */
+const tokenize = (text = '') => (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+const truncate = (text, length) =>
+  (text.length > length ? `${text.slice(0, length - 1).replace(/\s+\S*$/, '')}…` : text);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Strip customer details from a staff reply before it is used as an answer elsewhere:
+ * the greeting line, the customer's name, email addresses and phone numbers
+ */
+const redact = (text = '', customerName = '') => {
+  let result = text
+    .replace(/^\s*(hi|hello|hey|dear)\b[^,\n!]*[,!]?/i, '')
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]')
+    .replace(/\+?\d[\d\s().-]{7,}\d/g, '[phone]');
+
+  customerName.split(/\s+/).filter(part => part.length >= 3).forEach(part => {
+    const name = escapeRegExp(part);
+    result = result
+      .replace(new RegExp(`(^|[.!?]\\s+)${name},\\s*`, 'gi'), '$1')    // "Ann, tracking..." → "Tracking..."
+      .replace(new RegExp(`\\b${name}\\b`, 'gi'), 'the customer');
+  });
+  return result
+    .trim()
+    .replace(/(^|[.!?]\s+)([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Knowledge Base Service Class
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+    this.embeddings = new Map();    // "<key>@<updatedAt>" → vector, reused across rebuilds
+  }
+
+  /**
+   * Drop the index so the next search rebuilds it (call after articles change)
+   */
+  invalidate() {
+    this.index = null;
+  }
+
+  /**
+   * Whether retrieval blends in embedding similarity
+   */
+  usesEmbeddings() {
+    return EMBEDDINGS_ENABLED && aiService.canEmbed();
+  }
+
+  /**
+   * Documents to index: published articles, then recent resolutions
+   * - searchText: what is matched against (for resolutions this includes the customer's message)
+   * - text:       what the model and the citation see (for resolutions only the redacted staff reply)
+   */
+  async loadDocuments() {
+    const articles = await KnowledgeArticle.find({ published: true }).select('title body tags updatedAt');
+
+    const documents = articles.map(article => ({
+      key: `article:${article._id}`,
+      source: 'article',
+      sourceId: article._id,
+      title: article.title,
+      searchText: `${article.body} ${article.tags.join(' ')}`,
+      text: article.body,
+      updatedAt: article.updatedAt
+    }));
+
+    if (INCLUDE_RESOLVED) {
+      const resolved = await Feedback.find({
+        status: { $in: RESOLVED_STATUSES },
+        adminResponse: { $nin: [null, ''] }
+      })
+        .sort({ updatedAt: -1 })
+        .limit(MAX_RESOLVED)
+        .select('subject message category adminResponse customerName updatedAt');
+
+      resolved.forEach(feedback => {
+        const answer = redact(feedback.adminResponse, feedback.customerName);
+        if (!answer) return;
+
+        documents.push({
+          key: `resolution:${feedback._id}`,
+          source: 'resolution',
+          sourceId: feedback._id,
+          title: `Resolved ${feedback.category} question: ${redact(feedback.subject, feedback.customerName)}`,
+          searchText: `${feedback.message} ${answer}`,
+          text: answer,
+          updatedAt: feedback.updatedAt
+        });
+      });
+    }
+
+    return documents;
+  }
+
+  /**
+   * Tokenize documents and collect the BM25 statistics (and embeddings, when enabled)
+   */
+  async buildIndex() {
+    const documents = await this.loadDocuments();
+    const documentFrequency = new Map();
+
+    documents.forEach(document => {
+      const titleTokens = tokenize(document.title);
+      const tokens = [...Array(TITLE_WEIGHT).fill(titleTokens).flat(), ...tokenize(document.searchText)];
+
+      document.length = tokens.length;
+      document.termFrequency = new Map();
+      tokens.forEach(token => {
+        document.termFrequency.set(token, (document.termFrequency.get(token) || 0) + 1);
+      });
+      document.termFrequency.forEach((count, token) => {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      });
+    });
+
+    if (this.usesEmbeddings()) {
+      await this.attachEmbeddings(documents);
+    }
+
+    const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+    this.index = {
+      documents,
+      documentFrequency,
+      averageLength: documents.length > 0 ? totalLength / documents.length : 0
+    };
+    this.builtAt = Date.now();
+
+    console.log(`📚 Knowledge base indexed: ${documents.length} document(s)`);
+    return this.index;
+  }
+
+  /**
+   * Embed documents that changed since the last build
+   * On failure the index is used without embeddings
+   */
+  async attachEmbeddings(documents) {
+    const cacheKey = (document) => `${document.key}@${new Date(document.updatedAt).getTime()}`;
+    const missing = documents.filter(document => !this.embeddings.has(cacheKey(document)));
+
+    try {
+      for (let start = 0; start < missing.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = missing.slice(start, start + EMBEDDING_BATCH_SIZE);
+        const vectors = await aiService.embed(batch.map(document => `${document.title}\n${truncate(document.text, MAX_PROMPT_CHARS)}`));
+        batch.forEach((document, i) => this.embeddings.set(cacheKey(document), vectors[i]));
+      }
+    } catch (error) {
+      console.error('❌ Failed to embed knowledge base documents - using keyword search only:', error.message);
+    }
+
+    // Forget vectors of documents that changed or were removed
+    const current = new Set(documents.map(cacheKey));
+    [...this.embeddings.keys()].filter(key => !current.has(key)).forEach(key => this.embeddings.delete(key));
+
+    documents.forEach(document => {
+      document.embedding = this.embeddings.get(cacheKey(document)) || null;
+    });
+  }
+
+  /**
+   * Current index, rebuilt when stale (concurrent callers share one rebuild)
+   */
+  async getIndex() {
+    if (this.index && Date.now() - this.builtAt < REFRESH_MS) return this.index;
+
+    if (!this.building) {
+      this.building = this.buildIndex().finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  /**
+   * BM25 score of one document for the query tokens
+   */
+  scoreBM25(document, queryTokens, { documents, documentFrequency, averageLength }) {
+    const { k1, b } = BM25;
+
+    return queryTokens.reduce((score, token) => {
+      const frequency = document.termFrequency.get(token);
+      if (!frequency) return score;
+
+      const containing = documentFrequency.get(token);
+      const idf = Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5));
+      return score + idf * (frequency * (k1 + 1)) /
+        (frequency + k1 * (1 - b + b * document.length / averageLength));
+    }, 0);
+  }
+
+  /**
+   * Best matches for a question
+   *
+   * @param {string} query - The question (plus any context)
+   * @param {Object} options - { limit, includeResolved } - past resolutions are other
+   *   customers' tickets: only include them for staff
+   * @returns {Promise<Array>} [{ source, sourceId, title, text, excerpt, score }], best first
+   */
+  async search(query, { limit = TOP_K, includeResolved = false } = {}) {
+    const index = await this.getIndex();
+    const documents = includeResolved
+      ? index.documents
+      : index.documents.filter(document => document.source !== 'resolution');
+    if (documents.length === 0) return [];
+
+    const queryTokens = [...new Set(tokenize(query))];
+
+    let queryEmbedding = null;
+    if (this.usesEmbeddings() && documents.some(document => document.embedding)) {
+      try {
+        [queryEmbedding] = await aiService.embed([query]);
+      } catch (error) {
+        console.error('❌ Failed to embed knowledge base query - using keyword search only:', error.message);
+      }
+    }
+
+    const keywordScores = documents.map(document => this.scoreBM25(document, queryTokens, index));
+    const bestKeywordScore = Math.max(...keywordScores);
+
+    const scored = documents.map((document, i) => {
+      const keyword = bestKeywordScore > 0 ? keywordScores[i] / bestKeywordScore : 0;
+      if (!queryEmbedding || !document.embedding) {
+        return { document, score: keyword };
+      }
+      const semantic = Math.max(0, cosineSimilarity(queryEmbedding, document.embedding));
+      return { document, score: (1 - EMBEDDING_WEIGHT) * keyword + EMBEDDING_WEIGHT * semantic };
+    });
+
+    const bestScore = Math.max(...scored.map(({ score }) => score));
+    if (bestScore <= 0) return [];
+
+    return scored
+      .filter(({ score }) => score >= bestScore * MIN_RELATIVE_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ document, score }) => ({
+        source: document.source,
+        sourceId: document.sourceId,
+        title: document.title,
+        text: truncate(document.text, MAX_PROMPT_CHARS),
+        excerpt: truncate(document.text.replace(/\s+/g, ' '), EXCERPT_CHARS),
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Matches for the assistant - never throws, an unavailable knowledge base means no sources
+   *
+   * @param {string} query - The question (plus any context)
+   * @param {Object} options - See search()
+   * @returns {Promise<Array>} See search()
+   */
+  async retrieve(query, options) {
+    try {
+      return await this.search(query, options);
+    } catch (error) {
+      console.error('❌ Knowledge base search failed:', error.message);
+      return [];
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new KnowledgeBaseService();
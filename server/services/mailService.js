@@ -0,0 +1,279 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailLog = require('../models/MailLog');
+const { ENABLED: REPLY_BY_EMAIL, getReplyAddress, getSubjectTag } = require('../config/inboundEmail');
+
+/**
+ * Escape user-provided values before placing them in HTML bodies
+ */
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Available transports
+ *
+ * Each factory returns an object with a `send(message)` method that
+ * resolves to `{ messageId }`. Pick one with MAIL_TRANSPORT:
+ * - smtp:    real delivery via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *            (in development, point it at a local SMTP sink such as MailHog on port 1025)
+ * - file:    writes each message as an .eml file to MAIL_OUTPUT_DIR
+ * - console: logs each message (default for local development; in production it must be
+ *            chosen explicitly with MAIL_TRANSPORT=console)
+ */
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  file: () => {
+    const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'mail-outbox'));
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix'
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(outputDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+
+        console.log(`📁 Email written to ${path.join(outputDir, fileName)}`);
+        return info;
+      }
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        console.log(`📧 [console mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return info;
+      }
+    };
+  }
+};
+
+/**
+ * Mail Service Class
+ */
+class MailService {
+  constructor() {
+    this.transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+
+    if (!this.transportName) {
+      // The console transport writes reset and verification links to the logs - never pick it silently
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SMTP_HOST (or an explicit MAIL_TRANSPORT) is required in production');
+      }
+      this.transportName = 'console';
+    }
+
+    this.from = process.env.MAIL_FROM || 'Smart Feedback Tracker <no-reply@feedbacktracker.local>';
+    this.clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+    this.transport = this.createTransport(this.transportName);
+
+    console.log(`📮 Mail Service initialized (${this.transportName} transport)`);
+  }
+
+  /**
+   * Build a transport by name
+   *
+   * @param {string} name - Registered transport name
+   * @returns {Object} Transport with a send(message) method
+   */
+  createTransport(name) {
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}". Available: ${Object.keys(transports).join(', ')}`);
+    }
+    return factory();
+  }
+
+  /**
+   * Register an additional transport (e.g. a provider API)
+   *
+   * @param {string} name - Transport name used in MAIL_TRANSPORT
+   * @param {Function} factory - Returns an object with send(message)
+   */
+  registerTransport(name, factory) {
+    transports[name] = factory;
+  }
+
+  /**
+   * Send an email and record it in the mail log
+   *
+   * @param {Object} message - { to, subject, text, html, replyTo, headers }
+   * @param {Object} meta - { template, userId, feedbackId } stored in the mail log
+   * @returns {Object} Transport result with messageId
+   */
+  async sendMail({ to, subject, text, html, replyTo, headers }, meta = {}) {
+    let info;
+    try {
+      info = await this.transport.send({
+        from: this.from,
+        to,
+        subject,
+        text,
+        html,
+        replyTo,
+        headers
+      });
+    } catch (error) {
+      await this.log({ to, subject, status: 'failed', error: error.message, ...meta });
+      throw error;
+    }
+
+    await this.log({ to, subject, status: 'sent', messageId: info.messageId, ...meta });
+    console.log(`📨 Email sent to ${to}: ${subject}`);
+    return info;
+  }
+
+  /**
+   * Record an email that was deliberately not sent (e.g. the recipient opted out)
+   */
+  async logSkipped({ to, subject, reason, ...meta }) {
+    await this.log({ to, subject, status: 'skipped', error: reason, ...meta });
+    console.log(`⏭️ Email to ${to} skipped (${reason}): ${subject}`);
+  }
+
+  /**
+   * Write a mail log entry - logging problems never fail the send itself
+   */
+  async log({ template = 'generic', ...entry }) {
+    try {
+      await MailLog.create({ template, transport: this.transportName, ...entry });
+    } catch (error) {
+      console.error('❌ Failed to write mail log:', error.message);
+    }
+  }
+
+  /**
+   * Send the password reset link
+   *
+   * @param {Object} user - User document
+   * @param {string} token - Raw reset token
+   */
+  async sendPasswordReset(user, token) {
+    const link = `${this.clientUrl}/reset-password?token=${token}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Reset your Smart Feedback Tracker password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour and can only be used once. If you didn't request this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Use the link below to choose a new one:</p><p><a href="${link}">Reset my password</a></p><p>This link expires in 1 hour and can only be used once. If you didn't request this, you can ignore this email.</p>`
+    }, { template: 'password_reset', userId: user._id });
+  }
+
+  /**
+   * Send the email verification link
+   *
+   * @param {Object} user - User document
+   * @param {string} token - Raw verification token
+   */
+  async sendEmailVerification(user, token) {
+    const link = `${this.clientUrl}/verify-email?token=${token}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nPlease confirm that ${user.email} is your email address:\n\n${link}\n\nThis link expires in 24 hours.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm that ${escapeHtml(user.email)} is your email address:</p><p><a href="${link}">Verify my email</a></p><p>This link expires in 24 hours.</p>`
+    }, { template: 'email_verification', userId: user._id });
+  }
+
+  /**
+   * Build a feedback email (shared footer with the preferences link)
+   * With reply-by-email set up, replies go to the feedback's reply address so they land in
+   * the conversation; otherwise customers are pointed to their dashboard
+   *
+   * @param {Object} feedback - Feedback document
+   * @param {string} template - Mail log template name
+   * @param {Object} content - { subject, intro, body } (body is optional quoted text)
+   */
+  buildFeedbackMail(feedback, template, { subject, intro, body }) {
+    const link = `${this.clientUrl}/dashboard`;
+    const token = REPLY_BY_EMAIL ? feedback.replyToken : null;
+    const footer = `${token ? 'Reply to this email to add to the conversation.' : 'To reply, open the conversation from your dashboard.'} You can change which emails you receive from your dashboard: ${link}`;
+
+    return {
+      message: {
+        to: feedback.customerEmail,
+        subject: token ? `${subject} ${getSubjectTag(token)}` : subject,
+        replyTo: token ? getReplyAddress(token) : undefined,
+        headers: { 'Auto-Submitted': 'auto-generated' },
+        text: `Hi ${feedback.customerName},\n\n${intro}\n\n${body ? `${body}\n\n` : ''}View the conversation: ${link}\n\n--\n${footer}`,
+        html: `<p>Hi ${escapeHtml(feedback.customerName)},</p><p>${escapeHtml(intro)}</p>${body ? `<blockquote style="border-left:3px solid #ddd;margin:0;padding-left:1em">${escapeHtml(body).replace(/\n/g, '<br>')}</blockquote>` : ''}<p><a href="${link}">View the conversation</a></p><hr><p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>`
+      },
+      meta: { template, userId: feedback.userId, feedbackId: feedback._id }
+    };
+  }
+
+  /**
+   * Confirm that new feedback was received
+   */
+  async sendFeedbackAcknowledgement(feedback) {
+    const { message, meta } = this.buildFeedbackMail(feedback, 'feedback_acknowledgement', {
+      subject: `We received your feedback: ${feedback.subject}`,
+      intro: `Thanks for getting in touch about "${feedback.subject}". Our team will get back to you as soon as possible.`
+    });
+    return this.sendMail(message, meta);
+  }
+
+  /**
+   * Forward a public staff reply to the customer
+   *
+   * @param {Object} feedback - Feedback document
+   * @param {string} body - Reply text
+   */
+  async sendFeedbackResponse(feedback, body) {
+    const { message, meta } = this.buildFeedbackMail(feedback, 'feedback_response', {
+      subject: `Re: ${feedback.subject}`,
+      intro: `Our support team replied to your feedback "${feedback.subject}":`,
+      body
+    });
+    return this.sendMail(message, meta);
+  }
+
+  /**
+   * Tell the customer their feedback was resolved
+   */
+  async sendFeedbackResolved(feedback) {
+    const { message, meta } = this.buildFeedbackMail(feedback, 'feedback_resolved', {
+      subject: `Resolved: ${feedback.subject}`,
+      intro: `Your feedback "${feedback.subject}" has been marked as resolved. If anything is still not right, just reply from your dashboard and we'll reopen it.`
+    });
+    return this.sendMail(message, meta);
+  }
+}
+
+// Export a singleton instance
+module.exports = new MailService();
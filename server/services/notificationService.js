@@ -0,0 +1,227 @@
+/**
+ * Notification Service
+ * Creates in-app notifications for feedback activity and pushes them to open event streams
+ * Customer-facing events also trigger emails (see customerEmailService)
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const eventService = require('./eventService');
+const customerEmailService = require('./customerEmailService');
+const { getRolesWithPermission } = require('../config/permissions');
+const { getStatus } = require('../config/workflow');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Populated refs and raw IDs both become plain ID strings
+const toId = (value) => (value?._id || value)?.toString();
+
+const excerpt = (text = '', length = 140) =>
+  (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Notification Service Class
+ */
+class NotificationService {
+  /**
+   * Create one notification per recipient (never for the actor themselves)
+   * Errors are logged, not thrown - notifications must not break the triggering action
+   *
+   * @param {Object} params
+   * @param {Array} params.recipients - User IDs (duplicates and nulls are ignored)
+   * @param {string} params.type - One of Notification.TYPES
+   * @param {string} params.title - Short headline
+   * @param {string} params.message - Optional detail line
+   * @param {Object} params.feedback - Related feedback document
+   * @param {Object} params.actor - User (or system actor) who caused it
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notify({ recipients, type, title, message, feedback, actor }) {
+    try {
+      const actorId = toId(actor);
+      const recipientIds = [...new Set(recipients.map(toId).filter(Boolean))]
+        .filter(id => id !== actorId);
+
+      if (recipientIds.length === 0) return [];
+
+      const notifications = await Notification.insertMany(recipientIds.map(recipient => ({
+        recipient,
+        type,
+        title,
+        message,
+        feedbackId: feedback?._id,
+        actorName: actor?.name
+      })));
+
+      notifications.forEach(notification => {
+        eventService.publishToUser(notification.recipient, 'notification.created', {
+          notification: notification.toJSON()
+        });
+      });
+      return notifications;
+    } catch (error) {
+      console.error('❌ Failed to create notifications:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * New feedback - optionally acknowledge it by email
+   */
+  feedbackCreated(feedback) {
+    customerEmailService.send('acknowledgement', feedback);    // Background - not awaited
+  }
+
+  /**
+   * Staff posted a public reply - tell the customer
+   * Pass the status from before the reply so a reply that also resolves sends the resolution email
+   */
+  feedbackResponded(feedback, actor, body, { previousStatus } = {}) {
+    customerEmailService.send('response', feedback, { body: body || feedback.adminResponse });
+    if (previousStatus && previousStatus !== 'resolved' && feedback.status === 'resolved') {
+      customerEmailService.send('resolution', feedback);
+    }
+
+    return this.notify({
+      recipients: [feedback.userId],
+      type: 'response',
+      title: `New reply to "${feedback.subject}"`,
+      message: excerpt(body || feedback.adminResponse),
+      feedback,
+      actor
+    });
+  }
+
+  /**
+   * Customer replied - tell the assignee
+   */
+  customerReplied(feedback, actor, body) {
+    return this.notify({
+      recipients: [feedback.assignedTo],
+      type: 'message',
+      title: `${feedback.customerName} replied to "${feedback.subject}"`,
+      message: excerpt(body),
+      feedback,
+      actor
+    });
+  }
+
+  /**
+   * Status moved - tell the customer and the assignee
+   */
+  statusChanged(feedback, actor) {
+    if (feedback.status === 'resolved') {
+      customerEmailService.send('resolution', feedback);
+    }
+
+    const status = getStatus(feedback.status);
+    return this.notify({
+      recipients: [feedback.userId, feedback.assignedTo],
+      type: 'status_changed',
+      title: `"${feedback.subject}" is now ${status ? status.label : feedback.status}`,
+      message: status?.customerMessage,
+      feedback,
+      actor
+    });
+  }
+
+  assigned(feedback, actor, assignee) {
+    return this.notify({
+      recipients: [assignee],
+      type: 'assigned',
+      title: `You were assigned "${feedback.subject}"`,
+      message: actor?.name ? `Assigned by ${actor.name}` : undefined,
+      feedback,
+      actor
+    });
+  }
+
+  mentioned(feedback, actor, users, body) {
+    return this.notify({
+      recipients: users,
+      type: 'mention',
+      title: `${actor.name} mentioned you on "${feedback.subject}"`,
+      message: excerpt(body),
+      feedback,
+      actor
+    });
+  }
+
+  /**
+   * SLA target missed - tell the assignee, or everyone who can assign if nobody owns it
+   *
+   * @param {Object} feedback - Feedback document
+   * @param {string} target - 'firstResponse' or 'resolution'
+   * @param {Object} actor - System actor
+   */
+  async slaBreached(feedback, target, actor) {
+    let recipients = [feedback.assignedTo];
+
+    if (!feedback.assignedTo) {
+      const managers = await User.find({
+        role: { $in: getRolesWithPermission('feedback:assign') },
+        isActive: true
+      }).select('_id');
+      recipients = managers.map(user => user._id);
+    }
+
+    return this.notify({
+      recipients,
+      type: 'sla_breached',
+      title: `SLA breached: "${feedback.subject}"`,
+      message: `${target === 'firstResponse' ? 'First response' : 'Resolution'} target missed (${feedback.slaPolicy} policy)`,
+      feedback,
+      actor
+    });
+  }
+
+  /**
+   * Newest notifications for a user
+   *
+   * @param {Object} user - Recipient
+   * @param {Object} options - { unreadOnly, limit, before } (before = ISO date for paging)
+   */
+  async list(user, { unreadOnly = false, limit = DEFAULT_PAGE_SIZE, before } = {}) {
+    const filter = { recipient: user._id };
+    if (unreadOnly) filter.readAt = null;
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    return Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE));
+  }
+
+  unreadCount(user) {
+    return Notification.countDocuments({ recipient: user._id, readAt: null });
+  }
+
+  /**
+   * Mark one notification as read (only the recipient's own)
+   *
+   * @returns {Promise<Object|null>} Updated notification, or null if not found
+   */
+  markRead(user, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, recipient: user._id },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark everything as read
+   *
+   * @returns {Promise<number>} Number of notifications updated
+   */
+  async markAllRead(user) {
+    const result = await Notification.updateMany(
+      { recipient: user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+// Export a singleton instance
+module.exports = new NotificationService();
@@ -0,0 +1,71 @@
+/**
+ * SLA Service
+ * Computes SLA due dates for feedback and classifies items as at risk or breached
+ */
+
+const { getPolicy, AT_RISK_THRESHOLD } = require('../config/sla');
+const businessCalendar = require('./businessCalendar');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA Service Class
+ */
+class SlaService {
+  /**
+   * Add a number of SLA hours to a start time
+   *
+   * @param {Date} start - When the clock starts
+   * @param {number} hours - SLA target in hours
+   * @param {string} clock - 'business' or 'calendar'
+   * @returns {Date}
+   */
+  addHours(start, hours, clock = 'calendar') {
+    if (clock === 'business') {
+      return businessCalendar.addBusinessHours(start, hours);
+    }
+    return new Date(new Date(start).getTime() + hours * HOUR_MS);
+  }
+
+  /**
+   * Set the policy name and due dates on a feedback document (does not save)
+   * The clock always starts when the feedback was created
+   *
+   * @param {Object} feedback - Feedback document
+   */
+  applyPolicy(feedback) {
+    const policy = getPolicy(feedback.priority, feedback.category);
+    const start = feedback.createdAt || new Date();
+
+    feedback.slaPolicy = policy.name;
+    feedback.firstResponseDueAt = this.addHours(start, policy.firstResponseHours, policy.clock);
+    feedback.resolutionDueAt = this.addHours(start, policy.resolutionHours, policy.clock);
+  }
+
+  /**
+   * Query condition: most of the SLA window has elapsed but the deadline hasn't passed
+   *
+   * @param {string} dueField - 'firstResponseDueAt' or 'resolutionDueAt'
+   * @param {Date} now - Current time
+   * @returns {Object} Mongo filter
+   */
+  atRiskFilter(dueField, now = new Date()) {
+    return {
+      [dueField]: { $gt: now },
+      $expr: {
+        $gte: [
+          now,
+          {
+            $add: [
+              '$createdAt',
+              { $multiply: [{ $subtract: [`$${dueField}`, '$createdAt'] }, AT_RISK_THRESHOLD] }
+            ]
+          }
+        ]
+      }
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new SlaService();
@@ -0,0 +1,208 @@
+/**
+ * Token Service
+ * Issues and verifies signed JWT access tokens and rotating refresh tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+/**
+ * Build an error carrying an HTTP status code for the route handlers
+ */
+const authError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Token Service Class
+ *
+ * Access tokens are short-lived JWTs checked on every request.
+ * Refresh tokens are opaque random strings stored hashed in MongoDB;
+ * each one can be used exactly once and is replaced on every refresh.
+ */
+class TokenService {
+  constructor() {
+    this.accessSecret = process.env.JWT_SECRET;
+
+    if (!this.accessSecret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET is required in environment variables');
+      }
+      // Development fallback - tokens will not survive a server restart
+      this.accessSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ JWT_SECRET not set, using a temporary secret for this process');
+    }
+
+    this.accessExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTtlDays = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 7;
+
+    console.log('🔑 Token Service initialized');
+  }
+
+  /**
+   * Hash a raw refresh token for storage/lookup
+   *
+   * @param {string} token - Raw refresh token
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign an access token for a user
+   *
+   * @param {Object} user - User document
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString(), role: user.role },
+      this.accessSecret,
+      { expiresIn: this.accessExpiresIn }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * Throws JsonWebTokenError / TokenExpiredError when invalid
+   *
+   * @param {string} token - JWT from the Authorization header
+   * @returns {Object} Decoded payload
+   */
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.accessSecret);
+  }
+
+  /**
+   * Create and persist a new refresh token
+   *
+   * @param {Object} user - User document
+   * @param {string} ip - Requesting IP address
+   * @returns {Object} Raw token and its stored document
+   */
+  async createRefreshToken(user, ip) {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    const record = await RefreshToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.refreshTtlDays * 24 * 60 * 60 * 1000),
+      createdByIp: ip
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Issue an access/refresh token pair
+   *
+   * @param {Object} user - User document
+   * @param {string} ip - Requesting IP address
+   * @returns {Object} { accessToken, refreshToken, expiresIn }
+   */
+  async issueTokens(user, ip) {
+    const { token } = await this.createRefreshToken(user, ip);
+
+    return {
+      accessToken: this.signAccessToken(user),
+      refreshToken: token,
+      expiresIn: this.accessExpiresIn
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * The presented token is revoked atomically, so of two concurrent refreshes with the
+   * same token only one succeeds. Presenting an already revoked token is treated as
+   * theft and revokes every token of that user.
+   *
+   * @param {string} token - Raw refresh token
+   * @param {string} ip - Requesting IP address
+   * @returns {Object} { user, tokens }
+   */
+  async rotateRefreshToken(token, ip) {
+    if (!token) {
+      throw authError('Refresh token is required', 400);
+    }
+
+    const tokenHash = this.hashToken(token);
+    const now = new Date();
+
+    // Claim the token: only an active one is revoked here, and only by one request
+    const record = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      { revokedAt: now },
+      { new: true }
+    );
+
+    if (!record) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+
+      if (!existing) {
+        throw authError('Invalid refresh token');
+      }
+
+      if (existing.revokedAt) {
+        console.warn(`🚨 Reuse of revoked refresh token detected for user ${existing.userId}`);
+        await this.revokeAllForUser(existing.userId);
+        throw authError('Refresh token has been revoked');
+      }
+
+      throw authError('Refresh token has expired');
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      throw authError('Invalid user');
+    }
+
+    const { token: newToken, record: newRecord } = await this.createRefreshToken(user, ip);
+    await RefreshToken.updateOne({ _id: record._id }, { replacedByHash: newRecord.tokenHash });
+
+    return {
+      user,
+      tokens: {
+        accessToken: this.signAccessToken(user),
+        refreshToken: newToken,
+        expiresIn: this.accessExpiresIn
+      }
+    };
+  }
+
+  /**
+   * Revoke a single refresh token (logout)
+   *
+   * @param {string} token - Raw refresh token
+   * @returns {boolean} Whether an active token was revoked
+   */
+  async revokeRefreshToken(token) {
+    if (!token) return false;
+
+    const result = await RefreshToken.updateOne(
+      { tokenHash: this.hashToken(token), revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active refresh token of a user
+   *
+   * @param {string} userId - User ID
+   */
+  async revokeAllForUser(userId) {
+    await RefreshToken.updateMany(
+      { userId, revokedAt: { $exists: false } },
+      { revokedAt: new Date() }
+    );
+  }
+}
+
+// Export a singleton instance
+module.exports = new TokenService();
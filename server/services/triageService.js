@@ -0,0 +1,106 @@
+/**
+ * Triage Service
+ * Runs AI triage on feedback and stores the result: sentiment, topics, a suggested
+ * category (flagged when it differs from the customer's choice) and a priority
+ */
+
+const Feedback = require('../models/Feedback');
+const aiService = require('./aiService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const chatNotificationService = require('./chatNotificationService');
+const jobQueue = require('./jobQueue');
+const { ENABLED, AUTO_PRIORITY, TRIAGE_ACTOR } = require('../config/triage');
+
+// Priority every new feedback item starts with - anything else was chosen by a person
+const DEFAULT_PRIORITY = Feedback.schema.path('priority').defaultValue;
+
+/**
+ * Triage Service Class
+ */
+class TriageService {
+  /**
+   * Triage a feedback item and save the result
+   * The priority is only applied on the first triage, and only while it is still the default
+   *
+   * @param {string} feedbackId - Feedback to triage
+   * @param {Object} options - { applyPriority } (defaults to AI_TRIAGE_AUTO_PRIORITY)
+   * @returns {Promise<Object|null>} Updated feedback, or null if not found
+   */
+  async triage(feedbackId, { applyPriority = AUTO_PRIORITY } = {}) {
+    const feedback = await Feedback.findById(feedbackId);
+    if (!feedback) return null;
+
+    const result = await aiService.triageFeedback(feedback);
+    const firstTriage = !feedback.triage?.triagedAt;
+    const previousPriority = feedback.priority;
+
+    const setPriority = applyPriority && firstTriage &&
+      previousPriority === DEFAULT_PRIORITY && result.priority !== previousPriority;
+
+    feedback.triage = {
+      sentimentLabel: result.sentimentLabel,
+      sentimentScore: result.sentimentScore,
+      topics: result.topics,
+      suggestedCategory: result.category,
+      categoryMismatch: Boolean(result.category) && result.category !== feedback.category,
+      suggestedPriority: result.priority,
+      // Keep the flag from an earlier run - re-running never takes the priority back
+      priorityApplied: setPriority || Boolean(feedback.triage?.priorityApplied),
+      reason: result.reason,
+      provider: result.provider,
+      model: result.model,
+      triagedAt: new Date()
+    };
+    if (setPriority) {
+      feedback.priority = result.priority;
+    }
+
+    await feedback.save();
+
+    await auditService.record({
+      feedback,
+      actor: TRIAGE_ACTOR,
+      action: 'triaged',
+      meta: {
+        sentiment: result.sentimentLabel,
+        topics: result.topics,
+        suggestedCategory: result.category,
+        suggestedPriority: result.priority,
+        provider: result.provider
+      }
+    });
+
+    if (setPriority) {
+      await auditService.record({
+        feedback,
+        actor: TRIAGE_ACTOR,
+        action: 'priority_changed',
+        changes: [{ field: 'priority', before: previousPriority, after: feedback.priority }],
+        meta: { reason: result.reason }
+      });
+    }
+
+    eventService.publishFeedback('feedback.updated', feedback, { staffOnly: true });
+    if (setPriority) {
+      chatNotificationService.priorityChanged(feedback, previousPriority);
+    }
+
+    return feedback;
+  }
+
+  /**
+   * Queue an 'ai.triage' job for new feedback (no-op when AI_TRIAGE_ENABLED is false)
+   * Never throws - failed attempts are retried by the job worker
+   *
+   * @param {string} feedbackId - Newly created feedback
+   * @returns {Promise<Object|null>} The queued job
+   */
+  async triageNew(feedbackId) {
+    if (!ENABLED) return null;
+    return jobQueue.enqueue('ai.triage', { feedbackId }, { feedbackId });
+  }
+}
+
+// Export a singleton instance
+module.exports = new TriageService();
@@ -0,0 +1,232 @@
+/**
+ * Webhook Service
+ * Signs and delivers feedback events to admin-managed webhook subscriptions
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  TEST_EVENT,
+  MAX_ATTEMPTS,
+  REQUEST_TIMEOUT_MS,
+  getRetryDelay
+} = require('../config/webhooks');
+
+// Stored response bodies are trimmed to keep the delivery log small
+const MAX_RESPONSE_BODY = 1000;
+
+// A claimed delivery is skipped by other runs until the attempt had time to finish
+const CLAIM_LEASE_MS = REQUEST_TIMEOUT_MS * 2;
+
+/**
+ * Webhook Service Class
+ */
+class WebhookService {
+  /**
+   * New random signing secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * HMAC-SHA256 signature over "<timestamp>.<body>" (see config/webhooks.js)
+   */
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Queue an event for every active subscription and attempt delivery right away
+   * Never throws - webhooks must not fail the request that triggered them
+   *
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   */
+  async dispatch(event, data) {
+    try {
+      const webhooks = await Webhook.find({ active: true, events: event });
+      if (webhooks.length === 0) return;
+
+      const payload = { event, createdAt: new Date().toISOString(), data };
+      const deliveries = await WebhookDelivery.insertMany(
+        webhooks.map(webhook => ({ webhookId: webhook._id, event, payload }))
+      );
+
+      // First attempts run in the background; failures are picked up by the dispatcher job
+      deliveries.forEach(delivery => {
+        this.deliver(delivery._id).catch(error => {
+          console.error(`❌ Webhook delivery ${delivery._id} errored:`, error.message);
+        });
+      });
+    } catch (error) {
+      console.error(`❌ Failed to dispatch webhook event ${event}:`, error.message);
+    }
+  }
+
+  /**
+   * Dispatch a feedback lifecycle event
+   *
+   * @param {string} event - e.g. 'feedback.created'
+   * @param {Object} feedback - Feedback document
+   * @param {Object} options - { actor, ...extra event fields such as previousStatus }
+   */
+  feedbackEvent(event, feedback, { actor, ...details } = {}) {
+    return this.dispatch(event, {
+      feedback: feedback.toJSON(),
+      ...details,
+      ...(actor && { actor: { id: actor._id, name: actor.name, role: actor.role } })
+    });
+  }
+
+  /**
+   * Dispatch feedback.status_changed if the status actually moved
+   */
+  statusChanged(feedback, previousStatus, actor) {
+    if (!previousStatus || previousStatus === feedback.status) return Promise.resolve();
+    return this.feedbackEvent('feedback.status_changed', feedback, { actor, previousStatus });
+  }
+
+  /**
+   * Claim a due delivery and make one attempt
+   *
+   * @param {string} deliveryId - WebhookDelivery ID
+   * @returns {Promise<Object|null>} Updated delivery, or null if it wasn't due or was claimed elsewhere
+   */
+  async deliver(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const webhook = await Webhook.findById(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.error = 'Webhook was deleted';
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    delivery.attempts += 1;
+    delivery.error = undefined;
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FeedbackTracker-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      delivery.responseStatus = response.status;
+      delivery.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+      if (!response.ok) delivery.error = `HTTP ${response.status}`;
+    } catch (error) {
+      delivery.error = error.name === 'TimeoutError'
+        ? `Timed out after ${REQUEST_TIMEOUT_MS}ms`
+        : (error.cause?.message || error.message);
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    if (!delivery.error) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    }
+
+    await delivery.save();
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.error ? 'failed' : 'succeeded' } },
+      { timestamps: false }
+    );
+
+    return delivery;
+  }
+
+  /**
+   * Attempt every delivery whose retry is due
+   *
+   * @param {number} limit - Max deliveries per run
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async processDue(limit = 50) {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    let attempted = 0;
+    for (const { _id } of due) {
+      if (await this.deliver(_id)) attempted++;
+    }
+    return attempted;
+  }
+
+  /**
+   * Send a test event to one webhook and wait for the result
+   *
+   * @param {Object} webhook - Webhook document
+   * @param {Object} actor - User who triggered the test
+   * @returns {Promise<Object>} The delivery after its first attempt
+   */
+  async sendTest(webhook, actor) {
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook._id,
+      event: TEST_EVENT,
+      payload: {
+        event: TEST_EVENT,
+        createdAt: new Date().toISOString(),
+        data: {
+          message: 'Test event from Feedback Tracker',
+          webhook: { id: webhook._id, events: webhook.events },
+          actor: { id: actor._id, name: actor.name, role: actor.role }
+        }
+      }
+    });
+
+    return (await this.deliver(delivery._id)) || delivery;
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery with the same payload
+   *
+   * @param {Object} original - WebhookDelivery document
+   * @returns {Promise<Object>} The new delivery after its first attempt
+   */
+  async redeliver(original) {
+    const delivery = await WebhookDelivery.create({
+      webhookId: original.webhookId,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id
+    });
+
+    return (await this.deliver(delivery._id)) || delivery;
+  }
+}
+
+// Export a singleton instance
+module.exports = new WebhookService();
@@ -0,0 +1,101 @@
+/**
+ * Widget Service
+ * Site keys and anonymous submissions for the embeddable feedback widget
+ */
+
+const crypto = require('crypto');
+const Feedback = require('../models/Feedback');
+const WidgetSite = require('../models/WidgetSite');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const chatNotificationService = require('./chatNotificationService');
+const triageService = require('./triageService');
+const { SITE_KEY_PREFIX, ANONYMOUS_NAME, normalizeOrigin, getSubject } = require('../config/widget');
+
+/**
+ * Widget Service Class
+ */
+class WidgetService {
+  /**
+   * Register a site that may embed the widget
+   *
+   * @param {Object} params - { name, allowedOrigins }
+   * @param {Object} creator - Admin user registering the site
+   * @returns {Promise<Object>} WidgetSite document
+   */
+  createSite({ name, allowedOrigins }, creator) {
+    return WidgetSite.create({
+      name,
+      allowedOrigins,
+      siteKey: `${SITE_KEY_PREFIX}${crypto.randomBytes(12).toString('hex')}`,
+      createdBy: creator._id
+    });
+  }
+
+  /**
+   * Active site for a site key
+   *
+   * @param {string} siteKey - Key from the embed snippet
+   * @returns {Promise<Object|null>} WidgetSite document, or null if unknown or disabled
+   */
+  async findActiveSite(siteKey) {
+    if (typeof siteKey !== 'string' || !siteKey.startsWith(SITE_KEY_PREFIX)) return null;
+    return WidgetSite.findOne({ siteKey, active: true });
+  }
+
+  /**
+   * Whether the page the widget was opened on belongs to the site
+   *
+   * @param {Object} site - WidgetSite document
+   * @param {string} pageUrl - Full URL of the embedding page
+   * @returns {boolean}
+   */
+  isAllowedPage(site, pageUrl) {
+    const origin = normalizeOrigin(pageUrl);
+    return Boolean(origin) && site.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Create feedback from a widget submission and run the usual "new feedback" side effects
+   *
+   * @param {Object} site - WidgetSite document
+   * @param {Object} submission - { customerName, customerEmail, message, rating, category, pageUrl }
+   * @returns {Promise<Object>} Saved feedback
+   */
+  async submit(site, { customerName, customerEmail, message, rating, category, pageUrl }) {
+    const feedback = await new Feedback({
+      channel: 'widget',
+      widgetSiteId: site._id,
+      pageUrl,
+      customerName: String(customerName || '').trim() || ANONYMOUS_NAME,
+      customerEmail: String(customerEmail || '').trim() || undefined,
+      subject: getSubject(message),
+      message,
+      rating,
+      category: category || 'general'
+    }).save();
+
+    // Audit entries and webhooks name the site, as there's no account behind the submission
+    const actor = { name: `Widget "${site.name}"`, role: 'widget' };
+
+    await auditService.record({ feedback, actor, action: 'created', meta: { pageUrl } });
+    eventService.publishFeedback('feedback.created', feedback);
+    notificationService.feedbackCreated(feedback);
+    webhookService.feedbackEvent('feedback.created', feedback, { actor });
+    chatNotificationService.feedbackCreated(feedback);
+    triageService.triageNew(feedback._id);
+
+    WidgetSite.updateOne(
+      { _id: site._id },
+      { $inc: { submissionCount: 1 }, $set: { lastSubmissionAt: new Date() } },
+      { timestamps: false }
+    ).catch(error => console.error('❌ Failed to record widget submission:', error.message));
+
+    return feedback;
+  }
+}
+
+// Export a singleton instance
+module.exports = new WidgetService();